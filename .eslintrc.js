@@ -26,6 +26,9 @@ module.exports = {
 		// Unavoidable when loading assets.
 		'security/detect-non-literal-fs-filename': 'off',
 
+		// Optional dependency (only needed for "generate.js --export-sqlite"), it might not be installed.
+		'node/no-missing-require': [ 'error', { allowModules: [ 'better-sqlite3' ] } ],
+
 		// Not exactly against applying these in the future,
 		// but they are very annoying with the current codestyle ("for ( var [ a, b ] of ..." loops, etc.).
 		'prefer-const': 'off',
@@ -43,6 +46,14 @@ module.exports = {
 			rules: {
 				'no-dupe-keys': 'off'
 			}
+		},
+		{
+			// Scripts of the static HTML site (see HtmlSiteWriter), they run in the browser.
+			files: [ 'templatesAndStyles/htmlSite/*.js' ],
+			env: {
+				browser: true,
+				node: false
+			}
 		}
 	]
 };
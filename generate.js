@@ -5,104 +5,151 @@
  * @author Edward Chernenko
  *
  * Usage: node generate.js
+ * Options:
+ *   --watch   After generating the results, keep running and regenerate them when the files of the mod are modified.
+ *   --save    Remember the results (for --diff) and keep them as a snapshot of the current version of the mod
+ *             (for the "Changes in FU <version>" page, which compares the results with the previous version).
+ *   --diff    Print the differences between the new results and the results of the previous run.
+ *   --diff-format=json
+ *             Print these differences as JSON (added/removed/changed rows, grouped by table) instead of text.
+ *   --diff-output=FILE
+ *             Write these differences into FILE instead of printing them.
+ *   --export-sqlite=FILE
+ *             Also write all rows of Cargo tables into SQLite database FILE (one SQLite table per Cargo table).
+ *   --html-site=DIR
+ *             Instead of the files for Pywikibot, write a static HTML site into DIR (see HtmlSiteWriter).
+ *             Run prepare_uploads.js first (to include the images). Can't be used with --watch.
+ *             DIR must be empty (or not exist) or contain the site that was written by the previous run.
  */
 
 'use strict';
 
 const { ItemDatabase, RecipeDatabase, ResearchTreeDatabase, ArmorSetDatabase, PlanetDatabase,
 	BiomeDatabase, MonsterDatabase, RegionDatabase, WeatherPoolDatabase, StatusEffectDatabase,
-	ResultsWriter, TreasurePoolDatabase, SaplingDatabase, TenantDatabase,
-	BotUpdatedPages, util } = require( './lib' );
+	ResultsWriter, HtmlSiteWriter, TreasurePoolDatabase, SaplingDatabase, TenantDatabase, QuestDatabase,
+	MerchantDatabase, BotUpdatedPages, Watcher, argv, util } = require( './lib' );
 
-/* -------------------------------------------------------------------------------------------- */
+if ( argv.watch && argv['html-site'] ) {
+	process.stderr.write( 'generate.js: --watch can\'t be used with --html-site.\n' );
+	process.exit( 1 );
+}
 
-// Generate the wikitext for each item that has at least 1 Recipe.
-// Then send the results to ResultsWriter.write().
+// Output backend: either the wikitext for Pywikibot (default) or the static HTML site.
+const writer = argv['html-site'] ? new HtmlSiteWriter( argv['html-site'] ) : ResultsWriter;
+
+/* -------------------------------------------------------------------------------------------- */
 
-for ( var itemCode of RecipeDatabase.listMentionedItemCodes() ) {
-	var item = ItemDatabase.find( itemCode );
-	if ( !item ) {
-		// Must be tolerant to bad input (ignore unknown items, continue with known items),
-		// because a typo somewhere in the mod shouldn't stop the script.
-		util.warnAboutUnknownItem( itemCode );
-		continue;
+/**
+ * Send all entities (items, recipes, etc.) to ResultsWriter (or HtmlSiteWriter).
+ */
+function generate() {
+	// Generate the wikitext for each item that has at least 1 Recipe.
+	// Then send the results to the writer.
+
+	for ( var itemCode of RecipeDatabase.listMentionedItemCodes() ) {
+		var item = ItemDatabase.find( itemCode );
+		if ( !item ) {
+			// Must be tolerant to bad input (ignore unknown items, continue with known items),
+			// because a typo somewhere in the mod shouldn't stop the script.
+			util.warnAboutUnknownItem( itemCode );
+			continue;
+		}
+
+		if ( item.isCodex() ) {
+			// Codexes will be handled below.
+			continue;
+		}
+
+		writer.writeItem( item );
 	}
 
-	if ( item.isCodex() ) {
-		// Codexes will be handled below.
-		continue;
+	// Write all non-vanilla codexes (regardless of whether they have a recipe or not). Skip vanilla codexes.
+	ItemDatabase.forEach( ( itemCode2, item2 ) => {
+		if ( item2.isNonVanillaCodex() ) {
+			writer.writeItem( item2 );
+		}
+	} );
+
+	// Generate Cargo database of all known recipes.
+	RecipeDatabase.forEach( ( recipe ) => {
+		writer.writeRecipe( recipe );
+	} );
+
+	// Generate Cargo database of all research nodes.
+	ResearchTreeDatabase.forEach( ( node ) => {
+		writer.writeResearchNode( node );
+	} );
+
+	// Generate Cargo database of all known armor sets.
+	ArmorSetDatabase.forEach( ( armorSet ) => {
+		writer.writeArmorSet( armorSet );
+	} );
+
+	// Generate Cargo database of all known monsters.
+	MonsterDatabase.forEach( ( monster ) => {
+		writer.writeMonster( monster );
+	} );
+
+	for ( var poolName of RecipeDatabase.listMentionedTreasurePools() ) {
+		var pool = TreasurePoolDatabase.find( poolName );
+		if ( !pool ) {
+			util.log( '[error] Unknown TreasurePool in the recipe: ' + poolName );
+			continue;
+		}
+
+		writer.writeTreasurePool( pool );
 	}
 
-	ResultsWriter.writeItem( item );
-}
+	PlanetDatabase.forEach( ( planet ) => {
+		writer.writePlanet( planet );
+	} );
 
-// Write all non-vanilla codexes (regardless of whether they have a recipe or not). Skip vanilla codexes.
-ItemDatabase.forEach( ( itemCode2, item2 ) => {
-	if ( item2.isNonVanillaCodex() ) {
-		ResultsWriter.writeItem( item2 );
-	}
-} );
-
-// Generate Cargo database of all known recipes.
-RecipeDatabase.forEach( ( recipe ) => {
-	ResultsWriter.writeRecipe( recipe );
-} );
-
-// Generate Cargo database of all research nodes.
-ResearchTreeDatabase.forEach( ( node ) => {
-	ResultsWriter.writeResearchNode( node );
-} );
-
-// Generate Cargo database of all known armor sets.
-ArmorSetDatabase.forEach( ( armorSet ) => {
-	ResultsWriter.writeArmorSet( armorSet );
-} );
-
-// Generate Cargo database of all known monsters.
-MonsterDatabase.forEach( ( monster ) => {
-	ResultsWriter.writeMonster( monster );
-} );
-
-for ( var poolName of RecipeDatabase.listMentionedTreasurePools() ) {
-	var pool = TreasurePoolDatabase.find( poolName );
-	if ( !pool ) {
-		util.log( '[error] Unknown TreasurePool in the recipe: ' + poolName );
-		continue;
-	}
+	RegionDatabase.forEach( ( region ) => {
+		writer.writeRegion( region );
+	} );
 
-	ResultsWriter.writeTreasurePool( pool );
-}
+	BiomeDatabase.forEach( ( biome ) => {
+		writer.writeBiome( biome );
+	} );
 
-PlanetDatabase.forEach( ( planet ) => {
-	ResultsWriter.writePlanet( planet );
-} );
+	WeatherPoolDatabase.forEach( ( weatherPool ) => {
+		writer.writeWeatherPool( weatherPool );
+	} );
 
-RegionDatabase.forEach( ( region ) => {
-	ResultsWriter.writeRegion( region );
-} );
+	StatusEffectDatabase.forEach( ( statusEffect ) => {
+		writer.writeStatusEffect( statusEffect );
+	} );
 
-BiomeDatabase.forEach( ( biome ) => {
-	ResultsWriter.writeBiome( biome );
-} );
+	SaplingDatabase.forEach( ( saplingPart ) => {
+		writer.writeSaplingPart( saplingPart );
+	} );
 
-WeatherPoolDatabase.forEach( ( weatherPool ) => {
-	ResultsWriter.writeWeatherPool( weatherPool );
-} );
+	TenantDatabase.forEach( ( tenant ) => {
+		writer.writeTenant( tenant );
+	} );
 
-StatusEffectDatabase.forEach( ( statusEffect ) => {
-	ResultsWriter.writeStatusEffect( statusEffect );
-} );
+	QuestDatabase.forEach( ( quest ) => {
+		writer.writeQuest( quest );
+	} );
 
-SaplingDatabase.forEach( ( saplingPart ) => {
-	ResultsWriter.writeSaplingPart( saplingPart );
-} );
+	MerchantDatabase.forEach( ( merchant ) => {
+		writer.writeMerchant( merchant );
+	} );
 
-TenantDatabase.forEach( ( tenant ) => {
-	ResultsWriter.writeTenant( tenant );
-} );
+	BotUpdatedPages.forEach( ( page ) => {
+		var text = page.getText();
+		if ( text === null ) {
+			// This page has nothing to show (e.g. Changelog page when there are no snapshots of previous versions).
+			return;
+		}
 
-BotUpdatedPages.forEach( ( page ) => {
-	ResultsWriter.overwritePage( page.getTitle(), page.getText() );
-} );
+		writer.overwritePage( page.getTitle(), text );
+	} );
+}
+
+generate();
+writer.finalize();
 
-ResultsWriter.finalize();
+if ( argv.watch ) {
+	new Watcher( generate ).start();
+}
@@ -1,16 +1,36 @@
 'use strict';
-const { LoadedAsset, config, util } = require( '.' ),
+const { LoadedAsset, PakArchive, config, util } = require( '.' ),
 	cliProgress = require( 'cli-progress' ),
 	childProcess = require( 'child_process' ),
+	crypto = require( 'crypto' ),
 	fs = require( 'fs' ),
+	os = require( 'os' ),
 	picomatch = require( 'picomatch' ),
-	fsWalkSync = require( '@nodelib/fs.walk' ).walkSync;
+	fsWalkSync = require( '@nodelib/fs.walk' ).walkSync,
+	{ Worker, MessageChannel, receiveMessageOnPort } = require( 'worker_threads' );
 
-const cacheFilename = util.tmpdir + '/assetdb.cache.json',
-	prevCommitFilename = util.tmpdir + '/assetdb.cachedcommit.txt';
+const cacheFilename = util.tmpdir + '/assetdb.cache.json';
 
 /**
- * Loads all json files (like *.object) from both vanilla and the mod, applying necessary patches.
+ * Arbitrary number. Incrementing it will invalidate existing caches (needed if format of the cache changes).
+ */
+const CACHE_VERSION = 2;
+
+/**
+ * Worker threads are only started if each of them gets at least this many assets to parse,
+ * because starting a worker is relatively slow (it must load all modules of this generator).
+ */
+const MIN_ASSETS_PER_WORKER = 500;
+
+/**
+ * If no worker thread has sent any message for this many milliseconds, then the workers are considered dead
+ * (e.g. crashed outside of their try/catch block or ran out of memory), and the rest of assets are parsed
+ * in the main thread. Parsing of one asset normally takes a few milliseconds.
+ */
+const WORKER_IDLE_TIMEOUT = 30000;
+
+/**
+ * Loads all json files (like *.object) from both vanilla and the mods, applying necessary patches.
  */
 class AssetDatabase {
 	constructor() {
@@ -18,159 +38,245 @@ class AssetDatabase {
 
 		// Map of all known assets:
 		// { filename: { data: SomeDataStructure, vanilla: true/false, absolutePath: string, type: string }, ... },
-		// where "filename" is relative path (its root is either vanilla directory or mod directory).
+		// where "filename" is relative path (its root is either vanilla directory or one of mod directories).
 		this.knownAssets = new Map();
 
-		// Map of known patches
+		// Map of known patches: { filenameOfTargetAsset: [ patchAsset1, patchAsset2, ... ], ... },
+		// where patches are sorted in the load order of the mods that contain them.
 		this.knownPatches = new Map();
 
 		// Lists of assets of each known assetType. Used to improve performance of AssetDatabase.forEach().
 		// Format: { "item": [ [ filename1, asset1 ], ... ], "monster": [ [ ... ], ... ] }
 		this.knownAssetsByType = {};
+
+		// Information about all files that were used to load the assets (both assets and their patches).
+		// This is used to determine which files were modified since the cache was last updated.
+		// Format: { absolutePath1: { signature: "mtime:size", hash: "SHA1 of contents" }, ... }
+		this.manifest = new Map();
+
+		// Same as this.manifest, but loaded from the cache.
+		this.cachedManifest = new Map();
+
+		// Directories that must be treated as other directories when comparing the assets with the cache.
+		// Format: { "/path/to/worktree": "/path/to/mod", ... }. See load().
+		this.cachePathAliases = new Map();
 	}
 
 	/**
-	 * Scan the sources of both vanilla and the mod and populate AssetDatabase.
+	 * Scan the sources of both vanilla and the mods and populate AssetDatabase.
 	 *
 	 * @param {Object} options if options.vanillaOnly is true, only vanilla assets will be loaded.
+	 * If options.readOnlyCache is true, the cache is used, but not updated (e.g. when loading older version of the mod).
+	 * Optional options.cachePathAliases (Object, e.g. { "/path/to/worktree": "/path/to/mod" }) allows to use the cache
+	 * of the mod when loading another copy of it (e.g. Git worktree): files in the copy that have the same contents
+	 * as the files in the cache won't be parsed again. Only allowed together with readOnlyCache.
 	 */
 	load( options = {} ) {
-		var canUseCache = !options.vanillaOnly;
-		if ( !canUseCache || !this.loadFromCache() ) {
-			util.log( '[notice] AssetDatabase: no cache available. Will find/load all existing asset files.' );
-			this.loadWithoutCache( options );
+		// Measure performance (for logging).
+		var timeStart = Date.now();
+
+		if ( options.cachePathAliases && !options.readOnlyCache ) {
+			throw new Error( 'AssetDatabase: cachePathAliases can only be used with readOnlyCache.' );
+		}
+		this.cachePathAliases = new Map( Object.entries( options.cachePathAliases || {} ) );
+
+		// Directories are scanned in reverse load order (from the last mod to vanilla),
+		// because an asset from the mod that is loaded later replaces the same asset from earlier mods.
+		var directories = options.vanillaOnly ? [ config.pathToVanilla ] : util.listAssetRoots().reverse();
+		for ( var directory of directories ) {
+			this.discoverFilesInDirectory( directory );
 		}
 
-		if ( canUseCache && this.mustUpdateCache ) {
-			// This is skipped if loadFromCache() succeeded and no files were modified.
+		// Assets that weren't modified since the last run are loaded from the cache,
+		// and all other assets are parsed. Note: partially loaded database (vanillaOnly) is never cached.
+		var canUseCache = !options.vanillaOnly,
+			cachedCount = canUseCache ? this.loadFromCache() : 0,
+			parsedCount = this.parseDiscoveredFiles();
+
+		if ( canUseCache && !options.readOnlyCache && ( parsedCount > 0 || this.mustUpdateCache ) ) {
+			// This is skipped if all assets were loaded from the cache and no files were modified/deleted.
 			this.updateCache();
 		}
 
-		// Populate this.knownAssetsByType, which will be used in forEach().
+		this.indexAssetsByType();
+
+		util.log( '[info] AssetDatabase: found ' + this.knownAssets.size + ' assets in ' +
+			( Date.now() - timeStart ) / 1000 + 's. Loaded from cache: ' + cachedCount +
+			', parsed: ' + parsedCount + '.' );
+		this.loaded = true;
+	}
+
+	/**
+	 * Populate this.knownAssetsByType, which will be used in forEach().
+	 */
+	indexAssetsByType() {
+		this.knownAssetsByType = {};
 		for ( var type of Object.values( config.extensionToAssetType ).concat( [ 'unknown' ] ) ) {
 			this.knownAssetsByType[type] = [];
 		}
 
 		for ( var [ filename, asset ] of this.knownAssets ) {
+			if ( asset.type === 'extra' ) {
+				// Lazy-loaded by loadExtra(). Such assets are not discovered by load(), so forEach() skips them too.
+				continue;
+			}
+
 			this.knownAssetsByType[asset.type].push( [ filename, asset ] );
 		}
-
-		util.log( '[info] AssetDatabase: found ' + this.knownAssets.size + ' assets.' );
-		this.loaded = true;
 	}
 
 	/**
-	 * Attempt to load AssetDatabase by scanning files in config.pathToMod and config.pathToVanilla.
-	 * Unlike loadFromCache(), this works even without a Git repository.
+	 * Reload the assets after their files (or patches to them) have been modified, added or deleted.
+	 * This is used by "generate.js --watch" to avoid reloading the entire AssetDatabase.
+	 * Note: files in .pak archives are ignored (archives are not expected to change during the run).
 	 *
-	 * @param {Object} options if options.vanillaOnly is true, only vanilla assets will be loaded.
+	 * @param {string[]} absolutePaths Paths to modified/added/deleted files.
+	 * @return {LoadedAsset[]} All assets that were affected by these changes (including deleted assets).
 	 */
-	loadWithoutCache( options ) {
-		// Measure performance (for logging).
-		var timeStart = Date.now();
-
-		if ( !options.vanillaOnly ) {
-			this.discoverFilesInDirectory( config.pathToMod );
+	reloadFiles( absolutePaths ) {
+		if ( !this.loaded ) {
+			this.load();
 		}
-		this.discoverFilesInDirectory( config.pathToVanilla );
 
-		this.parseDiscoveredFiles();
-		this.mustUpdateCache = true;
+		var allRoots = util.listAssetRoots(),
+			unpackedRoots = allRoots.filter( ( path ) => !PakArchive.isPak( path ) ),
+			affectedAssets = new Set();
 
-		util.log( '[info] AssetDatabase: loaded without cache in ' +
-			( Date.now() - timeStart ) / 1000 + 's.' );
+		for ( var absolutePath of absolutePaths ) {
+			var root = unpackedRoots.find( ( path ) => absolutePath.startsWith( path + '/' ) );
+			if ( !root ) {
+				continue;
+			}
+
+			var filename = absolutePath.slice( root.length + 1 );
+			if ( !this.shouldAdd( filename ) ) {
+				var extraAsset = this.knownAssets.get( filename );
+				if ( extraAsset && extraAsset.type === 'extra' ) {
+					// Forget the asset from loadExtra(), so that the next loadExtra() would load the new version.
+					affectedAssets.add( extraAsset );
+					this.knownAssets.delete( filename );
+				}
+				continue;
+			}
+
+			// Forget the file (and its overrides in other mods), then rediscover it in the same way as load() does.
+			// This correctly handles the situation when the file in one mod replaces the same file in another mod.
+			var targetOfPatch = filename.endsWith( '.patch' ) ? filename.replace( /.patch$/, '' ) : null;
+			if ( targetOfPatch ) {
+				this.knownPatches.set( targetOfPatch, ( this.knownPatches.get( targetOfPatch ) || [] )
+					.filter( ( patchAsset ) => patchAsset.filename !== filename ) );
+			} else {
+				var oldAsset = this.knownAssets.get( filename );
+				if ( oldAsset ) {
+					affectedAssets.add( oldAsset );
+					this.knownAssets.delete( filename );
+				}
+			}
+
+			for ( var directory of allRoots.slice().reverse() ) {
+				if ( util.assetFileExists( directory + '/' + filename ) ) {
+					this.addAssetByFilename( filename, directory, directory === config.pathToVanilla );
+				}
+			}
+
+			var asset = this.knownAssets.get( targetOfPatch || filename );
+			if ( asset ) {
+				// Reload this asset (or the asset that is modified by this patch).
+				affectedAssets.add( asset );
+
+				if ( !asset.loadNow() ) {
+					this.knownAssets.delete( asset.filename );
+				}
+			}
+		}
+
+		this.indexAssetsByType();
+		return [...affectedAssets];
 	}
 
 	/**
-	 * Attempt to load AssetDatabase from cache. Only works if config.pathToMod has Git repository.
+	 * Use the cache to load all discovered assets that weren't modified since the last updateCache().
+	 * Asset is considered modified if its file, any of its patches or the list of its patches has changed.
+	 * This works with any directories (Git repository is not required) and .pak archives.
 	 *
-	 * @return {boolean} True if successfully loaded, false if AssetDatabase must be loaded from scratch.
+	 * @return {number} Number of assets that were loaded from the cache.
 	 */
 	loadFromCache() {
-		// Measure performance (for logging).
-		var timeStart = Date.now();
-
-		var prevCommit = this.getCachedCommit();
-		if ( !prevCommit ) {
-			// Cache doesn't exist.
-			return false;
-		}
-
-		var modifiedFiles = this.getFilesModifiedInGit( prevCommit );
-		if ( modifiedFiles === false ) {
-			return false;
+		if ( !fs.existsSync( cacheFilename ) ) {
+			util.log( '[notice] AssetDatabase: no cache available. Will load all existing asset files.' );
+			return 0;
 		}
 
-		// Because we know "which files were modified since the last updateCache()",
-		// it's safe to use the cache (we know which parts of it must be updated).
-		var cachedAssets;
+		var cache;
 		try {
-			cachedAssets = JSON.parse( fs.readFileSync( cacheFilename ) );
+			cache = JSON.parse( fs.readFileSync( cacheFilename ) );
 		} catch ( error ) {
 			console.log( '[error] AssetDatabase: failed to load from cache: ' + error.message );
-			return false;
+			return 0;
 		}
 
-		for ( var assetInfo of cachedAssets ) {
-			// assetInfo became a simple Object after JSON.parse(). Must be of LoadedAsset class.
-			this.knownAssets.set( assetInfo.filename, new LoadedAsset( this, assetInfo ) );
+		if ( cache.version !== CACHE_VERSION || cache.configHash !== this.getConfigHash() ) {
+			util.log( '[notice] AssetDatabase: ignoring the cache, because it was created with different settings.' );
+			return 0;
 		}
 
-		// Update the cache.
-		// Note that vanilla assets are never updated (new releases of base game are exceptionally rare).
-		// If vanilla got modified, user should just delete the cache file manually.
-		var changedAssetsCount = modifiedFiles.length;
-		for ( var filename of modifiedFiles ) {
-			var targetOfPatch = filename.replace( /\.patch$/, '' );
-			var isPatch = ( filename !== targetOfPatch );
+		this.cachedManifest = new Map( cache.manifest );
 
-			// We don't have this.knownPatches in the cache (it's empty when we load from cache),
-			// but if some asset got modified, then we need to load its patch as well.
-			var patchFilename = isPatch ? filename : ( filename + '.patch' );
-			if ( fs.existsSync( config.pathToMod + '/' + patchFilename ) ) {
-				this.addAssetByFilename( patchFilename, config.pathToMod, false );
+		var cachedCount = 0;
+		for ( var cachedInfo of cache.assets ) {
+			var asset = this.knownAssets.get( cachedInfo.filename );
+			if ( !asset ) {
+				// Asset was deleted.
+				this.mustUpdateCache = true;
+				continue;
 			}
 
-			if ( isPatch ) {
-				// When the patch itself gets modified, all we need to do is reload the "target" asset.
-				// Furthermore, if target asset doesn't exist, we don't need to do anything.
-				var targetAsset = this.knownAssets.get( targetOfPatch );
-				if ( targetAsset ) {
-					util.log( '[debug] AssetDatabase: reloaded asset (its patch got modified): ' + targetOfPatch );
-					targetAsset.loadNow();
-				}
+			// Patches that will be applied to this asset (if it gets loaded now).
+			var patchSources = ( this.knownPatches.get( asset.filename ) || [] )
+				.map( ( patchAsset ) => this.getPathInCache( patchAsset.source ) );
+
+			if ( cachedInfo.type !== asset.type ||
+				( cachedInfo.source || config.pathToVanilla ) !== this.getPathInCache( asset.source ) ||
+				( cachedInfo.patchedBy || [] ).join( '\n' ) !== patchSources.join( '\n' )
+			) {
+				// Either this asset is now supplied by another mod, or some patches were added/removed.
 				continue;
 			}
 
-			// Not a patch.
-			if ( !fs.existsSync( config.pathToMod + '/' + filename ) ) {
-				// Asset was deleted.
-				this.knownAssets.delete( filename );
-				util.log( '[debug] AssetDatabase: removed deleted asset from cache: ' + filename );
-			} else {
-				if ( this.knownAssets.has( filename ) ) {
-					// Existing asset was modified. Reload it.
-					this.knownAssets.get( filename ).loadNow();
-					util.log( '[debug] AssetDatabase: reloaded modified asset: ' + filename );
-				} else {
-					// New asset was added.
-					var lazyAsset = this.addAssetByFilename( filename, config.pathToMod, false );
-					if ( lazyAsset ) {
-						lazyAsset.loadNow();
-						util.log( '[debug] AssetDatabase: added new asset to cache: ' + filename );
-					} else {
-						// This file was added to Git, but is not a JSON asset (e.g. a "png" image).
-						changedAssetsCount--;
-					}
+			var isModified = false;
+			for ( var absolutePath of this.listDependencies( asset ) ) {
+				if ( !this.checkFile( absolutePath ) ) {
+					isModified = true;
 				}
 			}
+
+			if ( isModified ) {
+				continue;
+			}
+
+			asset.data = cachedInfo.data;
+			asset.patched = cachedInfo.patched || false;
+			asset.patchedBy = cachedInfo.patchedBy || [];
+			cachedCount++;
 		}
 
-		util.log( '[info] AssetDatabase: loaded from cache in ' +
-			( Date.now() - timeStart ) / 1000 + 's. Modified assets reloaded: ' + changedAssetsCount + '.' );
+		return cachedCount;
+	}
+
+	/**
+	 * Get the path that the file (or directory) would have in the cache (see options.cachePathAliases of load()).
+	 *
+	 * @param {string} path Absolute path.
+	 * @return {string}
+	 */
+	getPathInCache( path ) {
+		for ( var [ actualRoot, cachedRoot ] of this.cachePathAliases ) {
+			if ( path === actualRoot || path.startsWith( actualRoot + '/' ) ) {
+				return cachedRoot + path.slice( actualRoot.length );
+			}
+		}
 
-		this.mustUpdateCache = ( changedAssetsCount > 0 );
-		return true;
+		return path;
 	}
 
 	/**
@@ -180,72 +286,99 @@ class AssetDatabase {
 		// Measure performance (for logging).
 		var timeStart = Date.now();
 
-		var currentCommit = this.getCurrentCommit();
-		if ( !currentCommit ) {
-			util.log( '[notice] AssetDatabase: skipped updateCache(): cache is useless without Git repo in the mod directory.' );
-			return;
+		// Remember signatures/checksums of all files that were used to load the assets.
+		// Files that were already checked in loadFromCache() are not checked again.
+		for ( var asset of this.knownAssets.values() ) {
+			for ( var absolutePath of this.listDependencies( asset ) ) {
+				if ( !this.manifest.has( absolutePath ) ) {
+					this.checkFile( absolutePath );
+				}
+			}
 		}
 
+		var cache = {
+			version: CACHE_VERSION,
+			configHash: this.getConfigHash(),
+			manifest: [...this.manifest],
+			assets: [...this.knownAssets.values()]
+		};
+
 		fs.mkdirSync( util.tmpdir, { recursive: true } );
-		fs.rmSync( prevCommitFilename, { force: true } );
-		fs.writeFileSync( cacheFilename, JSON.stringify( Array.from( this.knownAssets.values() ) ) );
-		fs.writeFileSync( prevCommitFilename, currentCommit );
+		fs.writeFileSync( cacheFilename, JSON.stringify( cache ) );
 
 		util.log( '[info] AssetDatabase: saved the updated cache to disk in ' +
 			( Date.now() - timeStart ) / 1000 + 's.' );
 	}
 
 	/**
-	 * Returns current Git commit in config.pathToMod. Fails if this path is not a Git repository.
+	 * Get checksum of all settings that affect the contents of loaded assets.
+	 * If these settings are changed, the cache can't be used.
 	 *
-	 * @return {string|false}
+	 * @return {string}
 	 */
-	getCurrentCommit() {
-		var result = childProcess.spawnSync( 'git', [ 'rev-parse', 'HEAD' ], {
-			cwd: config.pathToMod,
-			encoding: 'utf8'
-		} );
-		if ( result.status !== 0 ) {
-			return false;
-		}
+	getConfigHash() {
+		var settings = [ config.ignoredAssetKeys, config.ignoreAssetPatterns, config.extensionToAssetType ];
+		return crypto.createHash( 'sha1' ).update( JSON.stringify( settings ) ).digest( 'hex' );
+	}
 
-		return result.stdout.trim();
+	/**
+	 * Get full paths to all files that affect the contents of the asset: the asset itself and its patches.
+	 *
+	 * @param {LoadedAsset} asset
+	 * @return {string[]}
+	 */
+	listDependencies( asset ) {
+		return [ asset.absolutePath ].concat(
+			( this.knownPatches.get( asset.filename ) || [] ).map( ( patchAsset ) => patchAsset.absolutePath )
+		);
 	}
 
 	/**
-	 * Determine "HEAD commit in Git at the moment when the cache of AssetDatabase was last updated".
+	 * Check whether the file was modified since the last updateCache(). Records the result in this.manifest.
+	 * Comparing modification time and size is fast, but if they have changed (e.g. the file was touched
+	 * without changing its contents), then we compare SHA1 checksum of its contents.
 	 *
-	 * @return {string|null}
+	 * @param {string} absolutePath Path to either the file on disk or the file inside .pak archive.
+	 * @return {boolean} True if the file is unchanged, false if it was modified or added.
 	 */
-	getCachedCommit() {
-		if ( !fs.existsSync( prevCommitFilename ) ) {
-			return null;
+	checkFile( absolutePath ) {
+		var cachedFileInfo = this.cachedManifest.get( this.getPathInCache( absolutePath ) ),
+			fileInfo = { signature: this.getFileSignature( absolutePath ) },
+			isUnchanged;
+
+		if ( cachedFileInfo && cachedFileInfo.signature === fileInfo.signature ) {
+			fileInfo.hash = cachedFileInfo.hash;
+			isUnchanged = true;
+		} else {
+			// Even if the contents are the same, the new signature must be saved into the cache.
+			this.mustUpdateCache = true;
+
+			fileInfo.hash = crypto.createHash( 'sha1' ).update( util.readAssetFile( absolutePath ) ).digest( 'hex' );
+			isUnchanged = ( cachedFileInfo !== undefined && cachedFileInfo.hash === fileInfo.hash );
 		}
 
-		return fs.readFileSync( prevCommitFilename ).toString();
+		this.manifest.set( absolutePath, fileInfo );
+		return isUnchanged;
 	}
 
 	/**
-	 * Return array of filenames that were modified in the mod since "prevCommit".
-	 * This uses Git repository in config.pathToMod. Cache won't work if such repository doesn't exist.
+	 * Get arbitrary string that changes when the file is modified (based on modification time and size).
 	 *
-	 * @param {string} prevCommit
-	 * @return {string[]|false} False if failed to determine. Array of filenames if successful.
+	 * @param {string} absolutePath Path to either the file on disk or the file inside .pak archive.
+	 * @return {string}
 	 */
-	getFilesModifiedInGit( prevCommit ) {
-		var result = childProcess.spawnSync(
-			'git', [ 'diff', '--name-only', '--no-renames', prevCommit ],
-			{
-				cwd: config.pathToMod,
-				encoding: 'utf8'
-			}
-		);
-		if ( result.status !== 0 ) {
-			console.log( '[warn] No Git repository in ' + config.pathToMod + ': AssetDatabase can\'t use the cache to load faster.' );
-			return false;
+	getFileSignature( absolutePath ) {
+		var pakPaths = PakArchive.splitPath( absolutePath );
+		if ( pakPaths ) {
+			// Files inside the archive don't have their own modification time, so we use the time of archive.
+			let pakStat = fs.statSync( pakPaths[0] ),
+				fileInfo = PakArchive.open( pakPaths[0] ).files.get( pakPaths[1] );
+
+			return pakStat.mtimeMs + ':' + fileInfo.offset + ':' + fileInfo.length;
 		}
 
-		return result.stdout.trim().split( '\n' );
+		let stat = fs.statSync( absolutePath );
+		return stat.mtimeMs + ':' + stat.size;
 	}
 
 	/**
@@ -267,12 +400,53 @@ class AssetDatabase {
 		return result.stdout.trim().split( '\n' );
 	}
 
+	/**
+	 * Returns current Git commit in config.pathToMod (with "-dirty" suffix if some files were modified since then).
+	 *
+	 * @return {string|false} False if config.pathToMod is not a Git repository.
+	 */
+	getCurrentCommit() {
+		var result = childProcess.spawnSync( 'git', [ 'rev-parse', 'HEAD' ], {
+			cwd: config.pathToMod,
+			encoding: 'utf8'
+		} );
+		if ( result.status !== 0 ) {
+			return false;
+		}
+
+		var isDirty = childProcess.spawnSync( 'git', [ 'diff', '--quiet', 'HEAD' ], { cwd: config.pathToMod } ).status !== 0;
+		return result.stdout.trim() + ( isDirty ? '-dirty' : '' );
+	}
+
+	/**
+	 * Return array of filenames that were modified in config.pathToMod between two Git commits.
+	 *
+	 * @param {string} fromCommit
+	 * @param {string} toCommit
+	 * @return {string[]|false} False if failed to determine. Array of filenames (relative to the mod) if successful.
+	 */
+	getFilesModifiedInGit( fromCommit, toCommit ) {
+		var result = childProcess.spawnSync(
+			'git', [ 'diff', '--name-only', '--no-renames', fromCommit, toCommit ],
+			{
+				cwd: config.pathToMod,
+				encoding: 'utf8',
+				maxBuffer: 50 * 1024 * 1024
+			}
+		);
+		if ( result.status !== 0 ) {
+			return false;
+		}
+
+		return result.stdout.split( '\n' ).filter( ( filename ) => filename !== '' );
+	}
+
 	/**
 	 * Manually add 1 asset to this.knownAssets.
-	 * Used in discoverFilesInDirectory (for all files) and loadFromCache (for new files added to Git).
+	 * Used in discoverFilesInDirectory().
 	 *
 	 * @param {string} filename Relative filename, e.g. "weather/healingstorm.weather".
-	 * @param {string} directory Either config.pathToMod or config.pathToVanilla.
+	 * @param {string} directory Either config.pathToVanilla or the directory of one of the mods.
 	 * @param {boolean} isVanilla
 	 * @return {LoadedAsset}
 	 */
@@ -282,11 +456,14 @@ class AssetDatabase {
 			return;
 		}
 
-		if ( isVanilla && this.knownAssets.has( filename ) ) {
-			// If both mod and vanilla have an asset with the same name,
-			// that means "the mod has completely replaced this asset,
-			// and the vanilla asset must be ignored".
-			this.knownAssets.get( filename ).overwrittenVanilla = true;
+		var existingAsset = this.knownAssets.get( filename );
+		if ( existingAsset ) {
+			// If several mods (or the mod and vanilla) have an asset with the same name,
+			// that means "the mod that is loaded later has completely replaced this asset,
+			// and the asset from earlier mod (or vanilla) must be ignored".
+			if ( isVanilla ) {
+				existingAsset.overwrittenVanilla = true;
+			}
 			return;
 		}
 
@@ -300,6 +477,7 @@ class AssetDatabase {
 		var assetInfo = {
 			filename: filename,
 			absolutePath: directory + '/' + filename,
+			source: directory,
 			vanilla: isVanilla,
 			type: type
 		};
@@ -310,7 +488,15 @@ class AssetDatabase {
 
 		var lazyAsset = new LoadedAsset( this, assetInfo );
 		if ( type === 'patch' ) {
-			this.knownPatches.set( filename.replace( /.patch$/, '' ), lazyAsset );
+			var targetOfPatch = filename.replace( /.patch$/, '' ),
+				roots = util.listAssetRoots(),
+				patches = this.knownPatches.get( targetOfPatch ) || [];
+
+			// Patches must be applied in the load order of their mods.
+			patches.push( lazyAsset );
+			patches.sort( ( patch1, patch2 ) => roots.indexOf( patch1.source ) - roots.indexOf( patch2.source ) );
+
+			this.knownPatches.set( targetOfPatch, patches );
 		} else {
 			this.knownAssets.set( filename, lazyAsset );
 		}
@@ -343,14 +529,16 @@ class AssetDatabase {
 	 * This doesn't parse the files (calling asset.loadNow() later lazy-loads the file),
 	 * because doing it here would deny us Progress Bar (we don't know the total number of files yet).
 	 *
-	 * @param {string} directory
+	 * @param {string} directory Path to either directory or .pak archive.
 	 */
 	discoverFilesInDirectory( directory ) {
 		var isVanilla = ( directory === config.pathToVanilla );
 
-		// Attempt to very quickly find all files via "git ls-files".
+		// Attempt to very quickly find all files via "git ls-files" (or via the index of .pak archive).
 		// If that fails (e.g. there is no Git repository), we will perform full directory scan.
-		var files = this.listAllFilesInGit( directory );
+		var files = PakArchive.isPak( directory ) ?
+			PakArchive.open( directory ).listFiles() :
+			this.listAllFilesInGit( directory );
 		if ( !files ) {
 			util.log( '[notice] AssetDatabase: no Git repository in ' + directory + ', using full directory scan (slower).' );
 
@@ -371,18 +559,43 @@ class AssetDatabase {
 
 	/**
 	 * Parse all JSON files that were previously discovered in discoverFilesInDirectory().
-	 * This triggers immediate loading of all LoadedAsset objects in this.knownAssets.
+	 * This triggers immediate loading of all LoadedAsset objects in this.knownAssets,
+	 * except those that were already loaded from the cache.
+	 *
+	 * @return {number} Number of parsed assets.
 	 */
 	parseDiscoveredFiles() {
+		var assetsToParse = [...this.knownAssets].filter( ( entry ) => entry[1].data === undefined );
+
 		var progressBar = new cliProgress.Bar( {
 			stopOnComplete: true,
 			barsize: 20,
 			format: '[{bar}] {percentage}% | {value}/{total} | {filename}'
 		} );
-		progressBar.start( this.knownAssets.size, 0, { filename: '' } );
+		progressBar.start( assetsToParse.length, 0, { filename: '' } );
 
-		var step = 0;
-		for ( var [ filename, asset ] of this.knownAssets ) {
+		var workersCount = Math.min(
+			config.parserWorkersCount || os.cpus().length,
+			Math.floor( assetsToParse.length / MIN_ASSETS_PER_WORKER )
+		);
+		if ( workersCount > 1 ) {
+			this.parseInWorkers( assetsToParse, workersCount, progressBar );
+		} else {
+			this.parseInMainThread( assetsToParse, progressBar, 0 );
+		}
+
+		return assetsToParse.length;
+	}
+
+	/**
+	 * Parse the assets in the main thread (without worker threads).
+	 *
+	 * @param {Array} assetsToParse Array of [ filename, LoadedAsset ] pairs.
+	 * @param {cliProgress.Bar} progressBar
+	 * @param {number} step Number of assets that were already parsed (for progress bar).
+	 */
+	parseInMainThread( assetsToParse, progressBar, step ) {
+		for ( var [ filename, asset ] of assetsToParse ) {
 			if ( ++step % 2500 === 0 ) {
 				progressBar.update( step, { filename: filename } );
 			}
@@ -395,6 +608,136 @@ class AssetDatabase {
 		progressBar.update( step );
 	}
 
+	/**
+	 * Parse the assets in several worker threads (see AssetParser.worker.js).
+	 * This method is synchronous: it blocks the main thread until all workers are finished.
+	 * If the workers stop responding, the remaining assets are parsed in the main thread.
+	 *
+	 * @param {Array} assetsToParse Array of [ filename, LoadedAsset ] pairs.
+	 * @param {number} workersCount
+	 * @param {cliProgress.Bar} progressBar
+	 */
+	parseInWorkers( assetsToParse, workersCount, progressBar ) {
+		// Information that is needed to load the asset or its patch in another thread.
+		var getAssetInfo = ( asset ) => ( {
+			filename: asset.filename,
+			absolutePath: asset.absolutePath,
+			source: asset.source,
+			vanilla: asset.vanilla,
+			type: asset.type,
+			notJson: asset.notJson,
+			data: asset.data
+		} );
+
+		// Distribute the assets between workers (round-robin, so that every worker gets
+		// the files of all types, and no worker gets only the large files).
+		var jobsPerWorker = [];
+		for ( var i = 0; i < workersCount; i++ ) {
+			jobsPerWorker.push( [] );
+		}
+
+		assetsToParse.forEach( ( [ filename, asset ], index ) => {
+			jobsPerWorker[index % workersCount].push( {
+				assetInfo: getAssetInfo( asset ),
+				patches: ( this.knownPatches.get( filename ) || [] ).map( getAssetInfo )
+			} );
+		} );
+
+		// Workers increment signal[0] after sending each message, so that the main thread
+		// could sleep (in Atomics.wait) until there are new messages.
+		var signal = new Int32Array( new SharedArrayBuffer( 4 ) ),
+			ports = [],
+			workers = [];
+
+		for ( var jobs of jobsPerWorker ) {
+			var channel = new MessageChannel();
+			ports.push( channel.port1 );
+			workers.push( new Worker( __dirname + '/misc/AssetParser.worker.js', {
+				workerData: {
+					config: config,
+					jobs: jobs,
+					port: channel.port2,
+					signal: signal
+				},
+				transferList: [ channel.port2 ]
+			} ) );
+		}
+
+		var step = 0,
+			workersRunning = workersCount,
+			lastMessageTime = Date.now(),
+			workersStuck = false,
+			fatalError;
+
+		while ( workersRunning > 0 && !fatalError && !workersStuck ) {
+			var signalValue = Atomics.load( signal, 0 ),
+				receivedAny = false;
+
+			for ( var port of ports ) {
+				var received;
+				while ( ( received = receiveMessageOnPort( port ) ) ) {
+					var message = received.message;
+					receivedAny = true;
+
+					if ( message.log ) {
+						util.log( message.log );
+					} else if ( message.fatalError ) {
+						fatalError = message.fatalError;
+					} else if ( message.done ) {
+						workersRunning--;
+					} else {
+						var parsedAsset = this.knownAssets.get( message.filename );
+						if ( !message.data ) {
+							// Failed to load.
+							this.knownAssets.delete( message.filename );
+						} else {
+							parsedAsset.data = message.data;
+							parsedAsset.patched = message.patched;
+							parsedAsset.patchedBy = message.patchedBy;
+						}
+
+						if ( ++step % 2500 === 0 ) {
+							progressBar.update( step, { filename: message.filename } );
+						}
+					}
+				}
+			}
+
+			if ( receivedAny ) {
+				lastMessageTime = Date.now();
+			} else if ( Date.now() - lastMessageTime > WORKER_IDLE_TIMEOUT ) {
+				// Worker that has died without sending "done" or "fatalError" will never wake us up.
+				// We can't rely on "exit" event of Worker (or its threadId) here, because events
+				// are not delivered while the main thread is blocked by this loop.
+				workersStuck = true;
+			} else {
+				// Sleep until some worker sends a new message (or until the timeout).
+				Atomics.wait( signal, 0, signalValue, 1000 );
+			}
+		}
+		progressBar.update( step );
+
+		for ( var worker of workers ) {
+			worker.terminate();
+		}
+		for ( var portToClose of ports ) {
+			portToClose.close();
+		}
+
+		if ( fatalError ) {
+			throw new Error( 'AssetDatabase: worker thread failed to parse assets: ' + fatalError );
+		}
+
+		if ( workersStuck ) {
+			var remainingAssets = assetsToParse.filter( ( [ filename, asset ] ) =>
+				asset.data === undefined && this.knownAssets.has( filename ) );
+
+			util.log( '[warning] AssetDatabase: worker threads stopped responding, parsing the remaining ' +
+				remainingAssets.length + ' assets in the main thread.' );
+			this.parseInMainThread( remainingAssets, progressBar, step );
+		}
+	}
+
 	/**
 	 * Iterate over the entire database, calling the callback for each asset.
 	 *
@@ -463,27 +806,20 @@ class AssetDatabase {
 		// Remove the leading slash, if any.
 		path = path.replace( /^\//, '' );
 
-		var isVanilla, directory, absolutePath;
-		var found = false;
-		for ( isVanilla of [ false, true ] ) {
-			directory = isVanilla ? config.pathToVanilla : config.pathToMod;
-			absolutePath = directory + '/' + path;
-			if ( fs.existsSync( absolutePath ) ) {
-				found = true;
-				break;
-			}
-		}
-		if ( !found ) {
-			// Not found (neither in mod nor in vanilla).
+		var absolutePath = util.findInModOrVanilla( path );
+		if ( !absolutePath ) {
+			// Not found (neither in mods nor in vanilla).
 			return;
 		}
 
-		var assetInfo = {
-			filename: path,
-			absolutePath: absolutePath,
-			vanilla: isVanilla,
-			type: 'extra'
-		};
+		var directory = absolutePath.slice( 0, -1 * ( path.length + 1 ) ),
+			assetInfo = {
+				filename: path,
+				absolutePath: absolutePath,
+				source: directory,
+				vanilla: ( directory === config.pathToVanilla ),
+				type: 'extra'
+			};
 		var lazyAsset = new LoadedAsset( this, assetInfo );
 		if ( !lazyAsset.loadNow() ) {
 			// Failed to load.
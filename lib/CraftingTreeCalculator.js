@@ -0,0 +1,223 @@
+'use strict';
+
+const { CraftingTree, Recipe, RecipeDatabase, config, util } = require( '.' );
+
+/**
+ * Types of recipes that are used for expanding the crafting tree, in the order of preference
+ * (if the item can be both crafted and extracted, then the crafting recipe is used).
+ * Other types (drops, shops, harvesting, etc.) don't convert items into other items, so they are not used.
+ */
+const usedRecipeTypes = [ Recipe.Type.Crafting, Recipe.Type.Smelter, Recipe.Type.Extraction ];
+
+/**
+ * Calculates the total amount of raw materials that are needed to obtain some item,
+ * e.g. "1 Copper Bar = 2 Copper Ore" or "1 Durasteel Bar = 1 Iron Bar + ... = 2 Iron Ore + ...".
+ *
+ * If there are several recipes for the same item, then the recipe is chosen by:
+ * 1) priority of its crafting station in config.craftingStationPriorities,
+ * 2) type of recipe (see usedRecipeTypes above),
+ * 3) number of different ingredients (fewer is better).
+ *
+ * Recipes that would create a cycle (e.g. "A is extracted from B, and B is crafted from A") are skipped.
+ * If an item has no recipes (or all its recipes were skipped), it is considered a raw material.
+ *
+ * Only the item that we are interested in is counted as an output of multi-output recipes
+ * (e.g. if extraction of 1 Sand produces 1 Silicon and 1 Glass, then 1 Silicon needs 1 Sand),
+ * and other outputs are recorded as byproducts (see CraftingTree.getByproducts()).
+ */
+class CraftingTreeCalculator {
+	constructor() {
+		// Recipes that can produce each item, sorted by priority (see chooseRecipe()).
+		// Format: { itemCode: [ Recipe1, Recipe2, ... ], ... }
+		this.recipesByOutput = null;
+
+		// Already calculated trees. The same item can have several trees, because the cycle detection
+		// can choose different recipes depending on the ancestors of this item (see isReusable()).
+		// Format: { itemCode: [ CraftingTree1, CraftingTree2, ... ], ... }
+		this.cachedTrees = new Map();
+
+		// Items that are always considered raw materials (even if there is a recipe that produces them).
+		this.rawMaterialCodes = new Set( config.craftingTreeRawMaterials );
+	}
+
+	/**
+	 * Find all recipes that can be used in crafting trees.
+	 */
+	load() {
+		this.recipesByOutput = new Map();
+
+		RecipeDatabase.forEach( ( recipe ) => {
+			if ( !usedRecipeTypes.includes( recipe.type ) ) {
+				return;
+			}
+
+			for ( var component of recipe.outputs.getAllComponents() ) {
+				// Chance-based outputs (like bonus outputs of smelters) can't be relied upon.
+				if ( !component.isItem || !component.quantity.count || this.rawMaterialCodes.has( component.id ) ) {
+					continue;
+				}
+
+				if ( !this.recipesByOutput.has( component.id ) ) {
+					this.recipesByOutput.set( component.id, [] );
+				}
+
+				var recipes = this.recipesByOutput.get( component.id );
+				if ( !recipes.includes( recipe ) ) {
+					recipes.push( recipe );
+				}
+			}
+		} );
+
+		var stationPriorities = config.craftingStationPriorities;
+		var getStationPriority = ( station ) => {
+			var index = stationPriorities.indexOf( station );
+			return index === -1 ? stationPriorities.length : index;
+		};
+
+		for ( var candidates of this.recipesByOutput.values() ) {
+			candidates.sort( ( a, b ) =>
+				getStationPriority( a.station ) - getStationPriority( b.station ) ||
+				usedRecipeTypes.indexOf( a.type ) - usedRecipeTypes.indexOf( b.type ) ||
+				this.getIngredients( a ).length - this.getIngredients( b ).length
+			);
+		}
+
+		util.log( '[info] CraftingTreeCalculator: found recipes for ' + this.recipesByOutput.size + ' items.' );
+	}
+
+	/**
+	 * Get the crafting tree of 1 item.
+	 *
+	 * @param {string} itemCode
+	 * @return {CraftingTree}
+	 */
+	getTree( itemCode ) {
+		if ( !this.recipesByOutput ) {
+			this.load();
+		}
+
+		return this.buildTree( itemCode, new Set() );
+	}
+
+	/**
+	 * Recursively calculate the crafting tree of 1 item.
+	 *
+	 * @param {string} itemCode
+	 * @param {Set<string>} path Codes of items that are currently being expanded (ancestors of this item).
+	 * @return {CraftingTree}
+	 */
+	buildTree( itemCode, path ) {
+		var cachedTrees = this.cachedTrees.get( itemCode );
+		if ( !cachedTrees ) {
+			cachedTrees = [];
+			this.cachedTrees.set( itemCode, cachedTrees );
+		}
+
+		var cachedTree = cachedTrees.find( ( candidate ) => this.isReusable( candidate, path ) );
+		if ( cachedTree ) {
+			return cachedTree;
+		}
+
+		var innerPath = new Set( path ).add( itemCode );
+		var { recipe, isConstrained, consultedItemCodes } = this.chooseRecipe( itemCode, innerPath );
+
+		var tree = new CraftingTree( itemCode, recipe );
+		consultedItemCodes.forEach( ( ingredientCode ) => tree.consultedItemCodes.add( ingredientCode ) );
+
+		if ( recipe ) {
+			tree.outputCount = util.sum( recipe.outputs.getAllComponents()
+				.filter( ( output ) => output.isItem && output.id === itemCode )
+				.map( ( output ) => output.quantity.count || 0 ) );
+
+			for ( var otherOutput of recipe.outputs.getAllComponents() ) {
+				// Chance-based outputs (e.g. bonus outputs of Smelters) are counted on average.
+				var amountPerCraft = otherOutput.quantity.count || ( otherOutput.quantity.chance || 0 ) / 100;
+				if ( otherOutput.isItem && otherOutput.id !== itemCode && amountPerCraft ) {
+					tree.byproducts.set( otherOutput.id, ( tree.byproducts.get( otherOutput.id ) || 0 ) +
+						amountPerCraft / tree.outputCount );
+				}
+			}
+
+			for ( var ingredient of this.getIngredients( recipe ) ) {
+				var inputTree = this.buildTree( ingredient.id, innerPath );
+				tree.addInput( ( ingredient.quantity.count || 1 ) / tree.outputCount, inputTree );
+
+				// If the subtree was affected by the cycle detection, then this tree is also affected.
+				isConstrained = isConstrained || inputTree.isConstrained;
+			}
+		}
+
+		tree.isConstrained = isConstrained;
+		for ( var consultedCode of tree.consultedItemCodes ) {
+			if ( path.has( consultedCode ) ) {
+				tree.blockedItemCodes.add( consultedCode );
+			}
+		}
+
+		cachedTrees.push( tree );
+		return tree;
+	}
+
+	/**
+	 * Check whether the already calculated tree can be used for the item with these ancestors.
+	 * This is true if the cycle detection would make the same choices, which only depend on whether
+	 * the consulted items (see CraftingTree.consultedItemCodes) are among the ancestors.
+	 *
+	 * @param {CraftingTree} tree
+	 * @param {Set<string>} path Codes of items that are currently being expanded (ancestors of this item).
+	 * @return {boolean}
+	 */
+	isReusable( tree, path ) {
+		var blockedCount = 0;
+		for ( var code of tree.consultedItemCodes ) {
+			if ( path.has( code ) ) {
+				if ( !tree.blockedItemCodes.has( code ) ) {
+					return false;
+				}
+				blockedCount++;
+			}
+		}
+
+		return blockedCount === tree.blockedItemCodes.size;
+	}
+
+	/**
+	 * Choose the best recipe that produces this item without creating a cycle.
+	 *
+	 * @param {string} itemCode
+	 * @param {Set<string>} path Codes of this item and its ancestors (they can't be used as ingredients).
+	 * @return {Object} Format: { recipe: Recipe|null, isConstrained: boolean, consultedItemCodes: Set<string> }.
+	 * If isConstrained is true, then some better recipe was skipped because of a cycle.
+	 * Choice of recipe depends only on whether consultedItemCodes are in the path.
+	 */
+	chooseRecipe( itemCode, path ) {
+		var candidates = this.recipesByOutput.get( itemCode ) || [],
+			consultedItemCodes = new Set();
+
+		for ( var i = 0; i < candidates.length; i++ ) {
+			var recipe = candidates[i],
+				ingredientCodes = this.getIngredients( recipe ).map( ( component ) => component.id );
+
+			ingredientCodes.forEach( ( code ) => consultedItemCodes.add( code ) );
+			if ( !ingredientCodes.some( ( code ) => path.has( code ) ) ) {
+				return { recipe: recipe, isConstrained: i > 0, consultedItemCodes: consultedItemCodes };
+			}
+		}
+
+		return { recipe: null, isConstrained: candidates.length > 0, consultedItemCodes: consultedItemCodes };
+	}
+
+	/**
+	 * Get the list of items that are consumed by the recipe.
+	 * Blueprints and non-item inputs (e.g. "seconds to craft") are not consumed.
+	 *
+	 * @param {Recipe} recipe
+	 * @return {RecipeComponent[]}
+	 */
+	getIngredients( recipe ) {
+		return recipe.inputs.getAllComponents().filter( ( component ) =>
+			component.isItem && !component.quantity.isBlueprint );
+	}
+}
+
+module.exports = new CraftingTreeCalculator();
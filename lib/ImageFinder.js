@@ -50,13 +50,16 @@ class ImageFinder {
 			return {};
 		}
 
+		// If the sprite is inside the .pak archive, then "convert" needs an extracted copy of it.
+		var realPathToSprite = util.getRealFilePath( absolutePathToSprite );
+
 		// Create the directory for output files.
 		var cachePath = util.tmpdir + '/sprite' + absolutePathToSprite,
 			canUseCache = false;
 
 		if ( fs.existsSync( cachePath ) ) {
 			// If the cache directory was modified after the sprite, then we don't need to run "convert" again.
-			if ( fs.statSync( cachePath ).mtimeMs > fs.statSync( absolutePathToSprite ).mtimeMs ) {
+			if ( fs.statSync( cachePath ).mtimeMs > fs.statSync( realPathToSprite ).mtimeMs ) {
 				canUseCache = true;
 			}
 		} else {
@@ -75,7 +78,7 @@ class ImageFinder {
 				width + 'x' + height,
 				'+repage',
 				'+adjoin',
-				absolutePathToSprite, // Input filename
+				realPathToSprite, // Input filename
 				cachePath + '/icon%d.png' // Output filename pattern
 			];
 
@@ -89,7 +92,7 @@ class ImageFinder {
 			}
 		} else if ( list ) {
 			convertArguments = [
-				absolutePathToSprite, // Input filename
+				realPathToSprite, // Input filename
 				'-write'
 			];
 			const entries = Object.entries( list );
@@ -165,10 +168,14 @@ class ImageFinder {
 	 */
 	loadFramesConf( absolutePathToSprite ) {
 		// TODO: refactor this (we know the relative path in one of the callers, shouldn't recalculate it).
-		var relativePath = absolutePathToSprite
-			.replace( config.pathToVanilla, '' )
-			.replace( config.pathToMod, '' )
-			.replace( /^\//, '' );
+		var relativePath = absolutePathToSprite;
+		for ( var directory of util.listAssetRoots() ) {
+			if ( relativePath.startsWith( directory + '/' ) ) {
+				relativePath = relativePath.slice( directory.length );
+				break;
+			}
+		}
+		relativePath = relativePath.replace( /^\//, '' );
 
 		var relativeDir = nodePath.dirname( relativePath ),
 			basename = nodePath.basename( relativePath ).replace( /\.[^.]+$/, '.frames' );
@@ -201,6 +208,7 @@ class ImageFinder {
 	/**
 	 * Discover the full path (e.g. /usr/src/FrackinUniverse/items/generic/crafting/algaegreen.png)
 	 * of an image that is referenced in "inventoryIcon", "dualImage", etc. keys of JSON asset files.
+	 * Images from .pak archives are extracted, so the returned path is always a file on disk.
 	 *
 	 * @param {string|Object[]} relativePath Value of "inventoryIcon" key, or "dualImage" key, etc.
 	 * @param {LoadedAsset|null} relativeToAsset If not null, relativePath that doesn't start with "/"
@@ -230,10 +238,10 @@ class ImageFinder {
 			path = nodePath.dirname( relativeToAsset.filename ) + '/' + path;
 		}
 
-		// We look for this image in both mod and vanilla. Image from the mod always has priority.
+		// We look for this image in both mods and vanilla. Image from the mod always has priority.
 		var possiblePath = util.findInModOrVanilla( path );
 		if ( !possiblePath ) {
-			// Not found (neither in vanilla nor in the mod).
+			// Not found (neither in vanilla nor in the mods).
 			util.log( '[warning] Asset ' + ( relativeToAsset ? relativeToAsset.filename + ' ' : '' ) +
 				'refers to nonexistent image: ' + path );
 			return false;
@@ -245,6 +253,9 @@ class ImageFinder {
 			// but most .frames files will have "default" as a valid value for every variable that they use).
 			frame = frame.replace( /<[^<>]+>/g, 'default' );
 			possiblePath = this.unpackSprite( possiblePath )[frame] || false;
+		} else {
+			// If the image is inside the .pak archive, then it must be extracted.
+			possiblePath = util.getRealFilePath( possiblePath );
 		}
 
 		if ( transformations.length ) {
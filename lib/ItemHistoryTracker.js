@@ -0,0 +1,336 @@
+'use strict';
+
+const { AssetDatabase, CargoRow, ItemDatabase, RecipeDatabase, SnapshotArchive, Watcher, config, util } = require( '.' ),
+	childProcess = require( 'child_process' ),
+	fs = require( 'fs' );
+
+/**
+ * Fields of "item" Cargo table that are not tracked (they never change or are not interesting).
+ */
+const ignoredItemFields = [ 'id', 'wikiPage' ];
+
+/**
+ * Finds the changes of items (price, stats, recipes, etc.) in every Git commit of config.pathToMod
+ * within some range of commits. Used by tools/item_history.js.
+ *
+ * Commits are checked out in a separate Git worktree (the working directory of the mod is not modified).
+ * For every commit, only the modified assets are reloaded (see AssetDatabase.reloadFiles()),
+ * and only the affected items are compared with their state in the previous commit.
+ *
+ * @example
+ * var rows = new ItemHistoryTracker().run( 'v6.3.0', 'HEAD' );
+ */
+class ItemHistoryTracker {
+	/**
+	 * Cargo table that is written by tools/item_history.js, one row per changed field (see CargoSchema).
+	 */
+	static cargoTables = {
+		/* eslint-disable camelcase */
+		item_history: {
+			id: 'String',
+			version: 'String',
+			commit: 'String',
+			date: 'Datetime',
+			field: 'String',
+			oldValue: 'Wikitext',
+			newValue: 'Wikitext'
+		}
+		/* eslint-enable camelcase */
+	};
+
+	constructor() {
+		// Path to Git worktree where the commits are checked out.
+		this.worktree = util.tmpdir + '/itemHistory.worktree';
+
+		// State of items in the currently checked out commit.
+		// Format: { itemCode: Map { fieldName: value, ... }, ... }
+		this.itemFields = new Map();
+
+		// Recipes that produce each item, in the same format as this.itemFields.
+		// Field names are "recipe:" + ID of the recipe (see Recipe.getSomewhatUniqueId()).
+		this.recipeFields = new Map();
+
+		// Found changes, in the order of commits.
+		this.historyRows = [];
+
+		// Used to determine and reset the databases that depend on the modified assets.
+		this.watcher = new Watcher();
+	}
+
+	/**
+	 * Find the changes of items in all commits after fromCommit (up to and including toCommit).
+	 * Only the "first parent" commits are checked (changes from merged branches appear in the merge commit).
+	 *
+	 * @param {string} fromCommit
+	 * @param {string} toCommit
+	 * @return {CargoRow[]} Rows of "item_history" Cargo table.
+	 */
+	run( fromCommit, toCommit ) {
+		var repository = config.pathToMod,
+			modPaths = config.modPaths;
+
+		// Format: [ { hash: "1a2b3c...", date: "2024-01-01T00:00:00+00:00" }, ... ]
+		var commits = this.git( repository, [ 'log', '--reverse', '--first-parent', '--format=%H %cI',
+			fromCommit + '..' + toCommit ] ).split( '\n' ).filter( ( line ) => line ).map( ( line ) => {
+			var [ hash, date ] = line.split( ' ' );
+			return { hash: hash, date: date };
+		} );
+
+		this.removeWorktree( repository );
+		this.git( repository, [ 'worktree', 'add', '--detach', this.worktree, fromCommit ] );
+
+		try {
+			// Load the assets from the worktree instead of the working directory of the mod.
+			config.modPaths = util.listModPaths().map( ( path ) => path === repository ? this.worktree : path );
+			config.pathToMod = this.worktree;
+
+			// The cache is for the current version of the mod, and it shouldn't be overwritten with older versions.
+			// Files in the worktree that are the same as in the current version are loaded from the cache.
+			AssetDatabase.load( {
+				readOnlyCache: true,
+				cachePathAliases: { [ this.worktree ]: repository }
+			} );
+
+			this.itemFields = this.collectItemFields( null );
+			this.recipeFields = this.collectRecipeFields();
+
+			var previousHash = this.git( this.worktree, [ 'rev-parse', 'HEAD' ] ).trim();
+			for ( var commit of commits ) {
+				this.git( this.worktree, [ 'checkout', '--quiet', '--detach', commit.hash ] );
+				this.processCommit( previousHash, commit );
+
+				previousHash = commit.hash;
+			}
+		} finally {
+			config.pathToMod = repository;
+			config.modPaths = modPaths;
+			this.removeWorktree( repository );
+		}
+
+		util.log( '[info] ItemHistoryTracker: checked ' + commits.length + ' commits, found ' +
+			this.historyRows.length + ' changes.' );
+		return this.historyRows;
+	}
+
+	/**
+	 * Reload the assets that were modified in this commit, then record the changes of affected items.
+	 *
+	 * @param {string} previousHash Commit that was checked out before this commit.
+	 * @param {Object} commit
+	 * @param {string} commit.hash
+	 * @param {string} commit.date
+	 */
+	processCommit( previousHash, commit ) {
+		var modifiedFiles = AssetDatabase.getFilesModifiedInGit( previousHash, commit.hash );
+		if ( !modifiedFiles ) {
+			throw new Error( 'ItemHistoryTracker: failed to get the list of files modified in ' + commit.hash );
+		}
+
+		var affectedAssets = AssetDatabase.reloadFiles( modifiedFiles.map( ( filename ) => this.worktree + '/' + filename ) );
+		if ( affectedAssets.length === 0 ) {
+			return;
+		}
+
+		var databaseNames = this.watcher.findAffectedDatabases( affectedAssets.map( ( asset ) => asset.type ) ),
+			lib = require( '.' );
+
+		for ( var dbName of databaseNames ) {
+			this.watcher.resetSingleton( lib[dbName] );
+		}
+
+		var context = {
+			version: SnapshotArchive.getCurrentVersion(),
+			commit: commit.hash,
+			date: commit.date
+		};
+
+		if ( databaseNames.includes( 'ItemDatabase' ) ) {
+			// If only the items were modified, then other items are unaffected.
+			// Otherwise (e.g. modified liquids or .config files) any item can be affected.
+			var itemCodes = null;
+			if ( affectedAssets.every( ( asset ) => asset.type === 'item' ) ) {
+				// Both old and new data of the asset are checked, because its itemCode could have changed.
+				itemCodes = [...new Set( affectedAssets.filter( ( asset ) => asset.data )
+					.map( ( asset ) => asset.data.itemName || asset.data.objectName ) )];
+			}
+
+			this.compare( this.itemFields, this.collectItemFields( itemCodes ), itemCodes, context, true );
+		}
+
+		if ( databaseNames.includes( 'RecipeDatabase' ) ) {
+			this.compare( this.recipeFields, this.collectRecipeFields(), null, context, false );
+		}
+	}
+
+	/**
+	 * Get the current values of all tracked fields of items.
+	 *
+	 * @param {string[]|null} itemCodes If null, all items are checked.
+	 * @return {Map} Same format as this.itemFields.
+	 */
+	collectItemFields( itemCodes ) {
+		var result = new Map();
+		var addItem = ( item ) => {
+			var fields = new Map();
+
+			var itemRow = item.toCargoDatabase().find( ( row ) => row.table === 'item' );
+			for ( var [ fieldName, value ] of itemRow.fields ) {
+				if ( !ignoredItemFields.includes( fieldName ) ) {
+					fields.set( fieldName, value );
+				}
+			}
+
+			// Metadata values are normalized in the same way as in Cargo rows (e.g. arrays become comma-separated).
+			for ( var [ key, metadataValue ] of new CargoRow( 'item_metadata', Object.fromEntries( item.metadata ) ).fields ) {
+				fields.set( key, metadataValue );
+			}
+
+			result.set( item.itemCode, fields );
+		};
+
+		if ( itemCodes ) {
+			itemCodes.map( ( itemCode ) => ItemDatabase.find( itemCode ) ).filter( ( item ) => item ).forEach( addItem );
+		} else {
+			ItemDatabase.forEach( ( itemCode, item ) => addItem( item ) );
+		}
+
+		return result;
+	}
+
+	/**
+	 * Get the current recipes of all items (only the recipes where the item is one of the outputs).
+	 *
+	 * @return {Map} Same format as this.recipeFields.
+	 */
+	collectRecipeFields() {
+		var result = new Map();
+		RecipeDatabase.forEach( ( recipe ) => {
+			var wikitext = recipe.toWikitext().trim();
+			if ( !wikitext ) {
+				return;
+			}
+
+			var fieldName = 'recipe:' + recipe.getSomewhatUniqueId();
+			for ( var itemCode of recipe.outputs.getAllCodes() ) {
+				if ( !result.has( itemCode ) ) {
+					result.set( itemCode, new Map() );
+				}
+
+				var fields = result.get( itemCode );
+
+				// Several recipes can have the same ID (e.g. BiomeContents), so their wikitext is concatenated.
+				fields.set( fieldName, [ fields.get( fieldName ), wikitext ].filter( ( text ) => text ).sort().join( '\n' ) );
+			}
+		} );
+
+		return result;
+	}
+
+	/**
+	 * Record the differences between the old and new state of items into this.historyRows,
+	 * then replace the old state with the new state.
+	 *
+	 * @param {Map} oldState Previous state of items (this.itemFields or this.recipeFields). Will be modified.
+	 * @param {Map} newState Current state of items (in the same format).
+	 * @param {string[]|null} itemCodes Items that should be compared. If null, all items are compared.
+	 * @param {Object} context Fields that are the same for all rows (version, commit and date).
+	 * @param {boolean} trackExistence If true, addition/removal of the item is recorded as change of "exists" field.
+	 */
+	compare( oldState, newState, itemCodes, context, trackExistence ) {
+		if ( !itemCodes ) {
+			itemCodes = [ ...new Set( [ ...oldState.keys(), ...newState.keys() ] ) ];
+		}
+
+		for ( var itemCode of itemCodes.sort() ) {
+			var oldFields = oldState.get( itemCode ),
+				newFields = newState.get( itemCode );
+
+			if ( trackExistence && !oldFields !== !newFields ) {
+				// Values of fields are not recorded for added/removed items (only the fact of addition/removal).
+				this.addRow( itemCode, 'exists', oldFields ? 'yes' : 'no', newFields ? 'yes' : 'no', context );
+			} else {
+				this.addChangedFields( itemCode, oldFields || new Map(), newFields || new Map(), context );
+			}
+
+			if ( newFields ) {
+				oldState.set( itemCode, newFields );
+			} else {
+				oldState.delete( itemCode );
+			}
+		}
+	}
+
+	/**
+	 * Record the changes of fields of one item into this.historyRows.
+	 *
+	 * @param {string} itemCode
+	 * @param {Map} oldFields
+	 * @param {Map} newFields
+	 * @param {Object} context
+	 */
+	addChangedFields( itemCode, oldFields, newFields, context ) {
+		var fieldNames = new Set( [ ...oldFields.keys(), ...newFields.keys() ] );
+		for ( var fieldName of [...fieldNames].sort() ) {
+			var oldValue = oldFields.get( fieldName ),
+				newValue = newFields.get( fieldName );
+
+			if ( oldValue !== newValue ) {
+				this.addRow( itemCode, fieldName, oldValue, newValue, context );
+			}
+		}
+	}
+
+	/**
+	 * Add one row to this.historyRows.
+	 *
+	 * @param {string} itemCode
+	 * @param {string} fieldName
+	 * @param {string|undefined} oldValue
+	 * @param {string|undefined} newValue
+	 * @param {Object} context
+	 */
+	addRow( itemCode, fieldName, oldValue, newValue, context ) {
+		this.historyRows.push( new CargoRow( 'item_history', {
+			id: itemCode,
+			version: context.version,
+			commit: context.commit,
+			date: context.date,
+			field: fieldName,
+			oldValue: oldValue === undefined ? '' : util.escapeParameterOfCargoStore( oldValue ),
+			newValue: newValue === undefined ? '' : util.escapeParameterOfCargoStore( newValue )
+		} ) );
+	}
+
+	/**
+	 * Run Git command and return its output.
+	 *
+	 * @param {string} directory
+	 * @param {string[]} args
+	 * @return {string}
+	 */
+	git( directory, args ) {
+		var result = childProcess.spawnSync( 'git', args, {
+			cwd: directory,
+			encoding: 'utf8',
+			maxBuffer: 50 * 1024 * 1024
+		} );
+		if ( result.status !== 0 ) {
+			throw new Error( 'ItemHistoryTracker: "git ' + args.join( ' ' ) + '" failed in ' + directory + ': ' +
+				( result.stderr || result.error ) );
+		}
+
+		return result.stdout;
+	}
+
+	/**
+	 * Remove the worktree (if it exists, e.g. after the previous run was interrupted).
+	 *
+	 * @param {string} repository
+	 */
+	removeWorktree( repository ) {
+		fs.rmSync( this.worktree, { recursive: true, force: true } );
+		this.git( repository, [ 'worktree', 'prune' ] );
+	}
+}
+
+module.exports = ItemHistoryTracker;
@@ -87,7 +87,8 @@ class PageNameRegistry {
 				this.objectToTitle.set( arbitraryObject, result );
 				if ( lazyDispute.counter > 1 ) {
 					util.log( '[info] PageNameRegistry: lazy title allocation: ' + result + ': ' +
-						( arbitraryObject.itemCode || arbitraryObject.type || arbitraryObject.biomeCode ) );
+						( arbitraryObject.itemCode || arbitraryObject.type || arbitraryObject.biomeCode ||
+							arbitraryObject.questCode ) );
 				}
 			}
 		}
@@ -155,7 +156,8 @@ class PageNameRegistry {
 			'MonsterDatabase',
 			'BiomeDatabase',
 			'SaplingDatabase',
-			'TreasurePoolDatabase'
+			'TreasurePoolDatabase',
+			'QuestDatabase'
 		];
 		var lib = require( '.' );
 
@@ -240,6 +242,11 @@ class PageNameRegistry {
 
 				info.isBiome = true;
 				info.wantedTitle = this.getOverride( 'overrideBiomePageTitles', biome.biomeCode, biome.displayName );
+			} else if ( className === 'Quest' ) {
+				const quest = arbitraryObject;
+
+				info.isQuest = true;
+				info.wantedTitle = this.getOverride( 'overrideQuestPageTitles', quest.questCode, quest.displayName );
 			} else {
 				throw new Error( 'PageNameRegistry.resolve(): Object has unsupported class: ' + className );
 			}
@@ -334,6 +341,9 @@ class PageNameRegistry {
 				} else if ( info.isBiome ) {
 					// Sorting: after both items and monsters.
 					info.sortkey = 200000;
+				} else if ( info.isQuest ) {
+					// Sorting: after items, monsters and biomes.
+					info.sortkey = 300000;
 				}
 			}
 		}
@@ -569,6 +579,12 @@ class PageNameRegistry {
 			}
 		}
 
+		// Detect quest/non-quest name collisions.
+		if ( b.isQuest && !a.isQuest ) {
+			b.wantedTitle += ' (quest)';
+			return b;
+		}
+
 		// Detect Skath-specific materials.
 		if ( b.isSkath && !a.isSkath ) {
 			b.wantedTitle += ' (Skath)';
@@ -0,0 +1,307 @@
+'use strict';
+
+const { CraftingTreeCalculator, ItemDatabase, Recipe, RecipeDatabase, config, util } = require( '.' );
+
+/**
+ * Calculates how many crafting stations (Extraction Labs, Centrifuges, Smelters, etc.) are needed at each stage
+ * of the production chain to produce N items per minute of some item (see tools/production_planner.js).
+ *
+ * The chain is the crafting tree of the item (see CraftingTreeCalculator), so the same rules apply:
+ * the recipes of Crafting, Smelter and Extraction types are preferred. If some ingredient can't be obtained
+ * this way (and is not listed in config.craftingTreeRawMaterials), then it is obtained by the Centrifuge recipe
+ * with the largest expected output of this ingredient (outputs of Centrifuges are random, so the amounts are averaged,
+ * see RecipeSide.getAverageItemAmounts()).
+ *
+ * Time of 1 craft is taken from the recipe (see RecipeSide.setSecondsToCraft() and "duration" in *.recipe files),
+ * or from config.stationSecondsToCraft if the recipe doesn't have it. If the station is not listed there,
+ * then the "default" time is used, and the step is marked as estimated.
+ *
+ * @example
+ * var plan = new ProductionPlanner( 'copperbar', 60 ).plan();
+ */
+class ProductionPlanner {
+	/**
+	 * @param {string} itemCode Item that must be produced.
+	 * @param {number} itemsPerMinute
+	 */
+	constructor( itemCode, itemsPerMinute ) {
+		this.itemCode = itemCode;
+		this.itemsPerMinute = itemsPerMinute;
+
+		// Format: { "itemCode:recipeId": { stage, itemCode, recipe, itemsPerMinute }, ... }
+		this.steps = new Map();
+
+		// Format: { itemCode: itemsPerMinute, ... }
+		this.rawMaterials = new Map();
+
+		// The best Centrifuge recipe for each item (null if there is none), see findCentrifugeRecipe().
+		// Format: { itemCode: Recipe|null, ... }
+		this.centrifugeRecipes = new Map();
+
+		// Items that must be always considered raw materials (they are never obtained from Centrifuges).
+		this.rawMaterialCodes = new Set( config.craftingTreeRawMaterials );
+	}
+
+	/**
+	 * Calculate the production chain.
+	 *
+	 * @return {Object} Plan that can be converted into JSON. Format: {
+	 *   item: "copperbar",
+	 *   itemsPerMinute: 60,
+	 *   steps: [ {
+	 *     stage: 1, item: "copperbar", station: "Primitive Furnace", itemsPerMinute: 60, craftsPerMinute: 60,
+	 *     secondsToCraft: 1, isEstimatedTime: true, stationsNeeded: 1, byproducts: { silverore: 1.5 }
+	 *   }, ... ],
+	 *   rawMaterials: { copperore: 120 },
+	 *   byproducts: { silverore: 1.5 }
+	 * }
+	 * Stage 1 processes only the raw materials, each next stage uses the products of previous stages.
+	 */
+	plan() {
+		var tree = CraftingTreeCalculator.getTree( this.itemCode );
+		if ( tree.isRawMaterial() ) {
+			throw new Error( 'ProductionPlanner: ' + this.itemCode + ' is a raw material (no recipe to craft it).' );
+		}
+
+		this.steps.clear();
+		this.rawMaterials.clear();
+		this.addDemand( tree, this.itemsPerMinute, new Set() );
+
+		var steps = [...this.steps.values()].sort( ( a, b ) => a.stage - b.stage || a.itemCode.localeCompare( b.itemCode ) )
+			.map( ( plannedStep ) => this.describeStep( plannedStep ) );
+
+		var totalByproducts = {};
+		for ( var step of steps ) {
+			for ( var [ byproductCode, perMinute ] of Object.entries( step.byproducts ) ) {
+				totalByproducts[byproductCode] = util.trimFloatNumber( ( totalByproducts[byproductCode] || 0 ) + perMinute, 3 );
+			}
+		}
+
+		return {
+			item: this.itemCode,
+			itemsPerMinute: this.itemsPerMinute,
+			steps: steps,
+			rawMaterials: Object.fromEntries( [...this.rawMaterials].sort( ( a, b ) => a[0].localeCompare( b[0] ) )
+				.map( ( [ materialCode, materialPerMinute ] ) => [ materialCode, util.trimFloatNumber( materialPerMinute, 3 ) ] ) ),
+			byproducts: totalByproducts
+		};
+	}
+
+	/**
+	 * Record that some part of the chain needs this item, then do the same for its ingredients.
+	 *
+	 * @param {CraftingTree} tree
+	 * @param {number} itemsPerMinute
+	 * @param {Set<string>} centrifugedItemCodes Items that are obtained from Centrifuges in this branch of the chain
+	 * (they can't be used again as inputs of Centrifuges, otherwise the chain would be a cycle).
+	 * @return {number} Stage of the step that produces this item (0 for raw materials).
+	 */
+	addDemand( tree, itemsPerMinute, centrifugedItemCodes ) {
+		var itemCode = tree.itemCode,
+			recipe = tree.recipe,
+			outputCount = tree.outputCount,
+			inputs = tree.inputs;
+
+		if ( tree.isRawMaterial() ) {
+			recipe = centrifugedItemCodes.has( itemCode ) ? null : this.findCentrifugeRecipe( itemCode );
+			if ( !recipe ) {
+				this.rawMaterials.set( itemCode, ( this.rawMaterials.get( itemCode ) || 0 ) + itemsPerMinute );
+				return 0;
+			}
+
+			outputCount = recipe.outputs.getAverageItemAmounts().get( itemCode );
+			inputs = this.getIngredientAmounts( recipe ).map( ( [ inputCode, count ] ) => ( {
+				amount: count / outputCount,
+				tree: CraftingTreeCalculator.getTree( inputCode )
+			} ) );
+			centrifugedItemCodes = new Set( centrifugedItemCodes ).add( itemCode );
+		}
+
+		// Usually there is one step per item, but cycle detection can choose different recipes in different branches.
+		var key = itemCode + ':' + recipe.getSomewhatUniqueId(),
+			step = this.steps.get( key );
+		if ( !step ) {
+			step = {
+				stage: 1,
+				itemCode: itemCode,
+				recipe: recipe,
+				outputCount: outputCount,
+				itemsPerMinute: 0
+			};
+			this.steps.set( key, step );
+		}
+
+		step.itemsPerMinute += itemsPerMinute;
+
+		for ( var input of inputs ) {
+			var inputStage = this.addDemand( input.tree, itemsPerMinute * input.amount, centrifugedItemCodes );
+			step.stage = Math.max( step.stage, inputStage + 1 );
+		}
+
+		return step.stage;
+	}
+
+	/**
+	 * Find the Centrifuge recipe (including Sifters, etc.) that produces the most of this item on average.
+	 *
+	 * @param {string} itemCode
+	 * @return {Recipe|null} Null if the item can't be obtained from Centrifuges (or is always a raw material).
+	 */
+	findCentrifugeRecipe( itemCode ) {
+		if ( this.rawMaterialCodes.has( itemCode ) ) {
+			return null;
+		}
+
+		if ( !this.centrifugeRecipes.has( itemCode ) ) {
+			var bestRecipe = null,
+				bestAmount = 0;
+
+			RecipeDatabase.forEach( ( recipe ) => {
+				if ( recipe.type !== Recipe.Type.Centrifuge || this.getIngredientAmounts( recipe ).length === 0 ) {
+					return;
+				}
+
+				var amount = recipe.outputs.getAverageItemAmounts().get( itemCode ) || 0;
+				if ( amount > bestAmount ) {
+					bestRecipe = recipe;
+					bestAmount = amount;
+				}
+			} );
+
+			this.centrifugeRecipes.set( itemCode, bestRecipe );
+		}
+
+		return this.centrifugeRecipes.get( itemCode );
+	}
+
+	/**
+	 * Get the items that are consumed by 1 craft of the recipe (blueprints and non-items are not consumed).
+	 *
+	 * @param {Recipe} recipe
+	 * @return {Array} Format: [ [ itemCode, count ], ... ]
+	 */
+	getIngredientAmounts( recipe ) {
+		return CraftingTreeCalculator.getIngredients( recipe ).map( ( component ) =>
+			[ component.id, component.quantity.count || 1 ] );
+	}
+
+	/**
+	 * Calculate the number of stations and byproducts of one step.
+	 *
+	 * @param {Object} step Element of this.steps.
+	 * @return {Object} Element of "steps" array in the result of plan().
+	 */
+	describeStep( step ) {
+		var craftsPerMinute = step.itemsPerMinute / step.outputCount,
+			{ secondsToCraft, isEstimated } = this.getSecondsToCraft( step.recipe );
+
+		// Other outputs of the recipe. Chance-based outputs (e.g. bonus outputs of Smelters) are counted on average.
+		var byproducts = {};
+		for ( var [ byproductCode, amountPerCraft ] of step.recipe.outputs.getAverageItemAmounts() ) {
+			if ( byproductCode !== step.itemCode ) {
+				byproducts[byproductCode] = util.trimFloatNumber( amountPerCraft * craftsPerMinute, 3 );
+			}
+		}
+
+		var description = {
+			stage: step.stage,
+			item: step.itemCode,
+			station: step.recipe.station,
+			itemsPerMinute: util.trimFloatNumber( step.itemsPerMinute, 3 ),
+			craftsPerMinute: util.trimFloatNumber( craftsPerMinute, 3 ),
+			secondsToCraft: secondsToCraft,
+			stationsNeeded: util.trimFloatNumber( craftsPerMinute * secondsToCraft / 60, 3 ),
+			byproducts: byproducts
+		};
+		if ( isEstimated ) {
+			description.isEstimatedTime = true;
+		}
+
+		return description;
+	}
+
+	/**
+	 * Get the time (in seconds) of 1 craft of this recipe.
+	 *
+	 * @param {Recipe} recipe
+	 * @return {Object} Format: { secondsToCraft: 1, isEstimated: true },
+	 * where isEstimated is true if neither the recipe nor config.stationSecondsToCraft know the time of this station.
+	 */
+	getSecondsToCraft( recipe ) {
+		if ( recipe.secondsToCraft ) {
+			// Crafting recipes ("duration" in *.recipe file).
+			return { secondsToCraft: recipe.secondsToCraft, isEstimated: false };
+		}
+
+		var timedComponent = recipe.outputs.getAllComponents().find( ( component ) => component.quantity.secondsToCraft );
+		if ( timedComponent ) {
+			return { secondsToCraft: timedComponent.quantity.secondsToCraft, isEstimated: false };
+		}
+
+		var stationTimes = config.stationSecondsToCraft;
+		if ( stationTimes[recipe.station] ) {
+			return { secondsToCraft: stationTimes[recipe.station], isEstimated: false };
+		}
+
+		return { secondsToCraft: stationTimes.default, isEstimated: true };
+	}
+
+	/**
+	 * Format the plan as a wikitable.
+	 *
+	 * @param {Object} plan Value returned by plan().
+	 * @return {string}
+	 */
+	static toWikitext( plan ) {
+		var wikitext = '{| class="wikitable"\n' +
+			'! Stage !! Item !! Station !! Items per minute !! Time of 1 craft !! Stations needed !! Byproducts per minute\n';
+
+		for ( var step of plan.steps ) {
+			wikitext += '|-\n| ' + [
+				step.stage,
+				ProductionPlanner.makeItemLink( step.item ),
+				step.station,
+				step.itemsPerMinute,
+				step.secondsToCraft + 's' + ( step.isEstimatedTime ? ' (estimated)' : '' ),
+				Math.ceil( step.stationsNeeded ) + ' (' + step.stationsNeeded + ')',
+				ProductionPlanner.describeAmounts( step.byproducts )
+			].join( ' || ' ) + '\n';
+		}
+
+		wikitext += '|}\n';
+		if ( plan.steps.some( ( plannedStep ) => plannedStep.isEstimatedTime ) ) {
+			wikitext += "''Estimated time of 1 craft: this station is not listed in stationSecondsToCraft of config.json.''\n\n";
+		}
+		wikitext += "'''Raw materials per minute:''' " + ProductionPlanner.describeAmounts( plan.rawMaterials ) + '\n';
+
+		if ( Object.keys( plan.byproducts ).length > 0 ) {
+			wikitext += "\n'''Total byproducts per minute:''' " + ProductionPlanner.describeAmounts( plan.byproducts ) + '\n';
+		}
+
+		return wikitext;
+	}
+
+	/**
+	 * Format the list of items, e.g. "[[Copper Ore]] × 120, [[Silver Ore]] × 1.5".
+	 *
+	 * @param {Object} amounts Format: { itemCode: amount, ... }
+	 * @return {string}
+	 */
+	static describeAmounts( amounts ) {
+		return Object.entries( amounts ).map( ( [ itemCode, amount ] ) =>
+			ProductionPlanner.makeItemLink( itemCode ) + ' × ' + amount ).join( ', ' );
+	}
+
+	/**
+	 * Get wikitext link to the article about the item (or its ID, if this item is unknown).
+	 *
+	 * @param {string} itemCode
+	 * @return {string}
+	 */
+	static makeItemLink( itemCode ) {
+		var item = ItemDatabase.find( itemCode );
+		return item ? item.getWikiPageLink() : itemCode;
+	}
+}
+
+module.exports = ProductionPlanner;
@@ -250,9 +250,6 @@ class Query {
 		// This can't be required on top of Query.js, because Query is loaded before StatusEffectDatabase.
 		if ( !this.statusDb ) {
 			this.statusDb = require( '.' ).StatusEffectDatabase;
-			if ( !this.statusDb.loaded ) {
-				throw new Error( 'Query.getStatusEffectLabel() can\'t be called before StatusEffectDatabase.load().' );
-			}
 		}
 
 		return this.statusDb.find( effectCode );
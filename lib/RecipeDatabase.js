@@ -1,8 +1,8 @@
 'use strict';
 
 const { Recipe, RecipeSide, CraftingStationDatabase, AssetDatabase,
-	ItemDatabase, TreasurePoolDatabase, MonsterDatabase, TenantDatabase,
-	BiomeDatabase, MaterialDatabase, SaplingDatabase, RemoveBadSymbols,
+	ItemDatabase, TreasurePoolDatabase, MonsterDatabase, TenantDatabase, QuestDatabase, MerchantDatabase,
+	BiomeDatabase, MaterialDatabase, SaplingDatabase, OreDistributionDatabase, RemoveBadSymbols,
 	config, util } = require( '.' );
 
 /**
@@ -56,6 +56,9 @@ class RecipeDatabase {
 		// "Pixels for item" recipes for shops (like Infinity Express).
 		this.loadPixelShops();
 
+		// "Pixels for item" recipes for NPC merchants (like Lost and Found trader in the Science Outpost).
+		this.loadMerchants();
+
 		// "Pixels for item" recipes for spacestation terminals.
 		this.loadStationShops();
 
@@ -96,6 +99,9 @@ class RecipeDatabase {
 		// Which blocks can be found in which biomes.
 		this.loadBiomeBlocks();
 
+		// Which ores can be found in which biomes (and on which tiers of planets).
+		this.loadBiomeOres();
+
 		// Which monsters can be found in which biomes.
 		this.loadBiomeMonsters();
 		this.loadBiomeFish();
@@ -123,6 +129,9 @@ class RecipeDatabase {
 		// "Tenant -> possible rent" recipes.
 		this.loadTenantRent();
 
+		// "Quest -> its rewards" recipes.
+		this.loadQuestRewards();
+
 		// "Species -> contents of starting shiplocker" recipes.
 		this.loadStartingShiplocker();
 
@@ -483,15 +492,6 @@ class RecipeDatabase {
 		var shops = {};
 		shops.Geologist = AssetDatabase.getData( 'npcs/crew/crewmembergeologist.npctype' ).scriptConfig.crew;
 
-		// "Lost and Found" trader in the Science Outpost.
-		// TODO: if we need more merchants later, this should be moved to MerchantDatabase or something.
-		var lostAndFoundPool = AssetDatabase.getData( 'npcs/merchantpools.config' ).fulostandfound[0][1];
-		var lostAndFoundNpc = AssetDatabase.getData( 'npcs/scienceoutpost/lostandfoundnpc.npctype' );
-		shops['Lost and Found'] = { interactData: {
-			items: lostAndFoundPool,
-			buyFactor: lostAndFoundNpc.scriptConfig.merchant.buyFactorRange[0]
-		} };
-
 		ItemDatabase.forEach( ( itemCode, data ) => {
 			if ( data.interactAction !== 'OpenMerchantInterface' || !data.interactData.items ) {
 				// Not a merchant.
@@ -503,47 +503,115 @@ class RecipeDatabase {
 		} );
 
 		for ( let [ shopName, data ] of Object.entries( shops ) ) {
+			var buyFactor = data.interactData.buyFactor;
 			data.interactData.items.forEach( ( shopSlot ) => {
-				var soldItemCode = shopSlot.item,
-					soldItemCount = 1;
+				this.addShopSlot( shopName, shopSlot, [ buyFactor, buyFactor ] );
+			} );
+		}
+	}
 
-				if ( typeof shopSlot.item === 'object' ) {
-					if ( Array.isArray( shopSlot.item ) ) {
-						// Vanilla: Terramart: [ 'hopsseed', 3 ]
-						[ soldItemCode, soldItemCount ] = shopSlot.item;
-					} else {
-						// Vanilla: Ursa Miner: { name: 'silverpickaxe' }
-						soldItemCode = shopSlot.item.name;
-					}
-				} else {
-					// Most shops: item ID (string)
-					soldItemCode = shopSlot.item;
+	/**
+	 * Load "pixels for item" recipes for NPC merchants (*.npctype files with "merchant" key in scriptConfig).
+	 * Items that are sold by the merchant depend on the tier of the planet (and sometimes on species of NPC).
+	 */
+	loadMerchants() {
+		MerchantDatabase.forEach( ( merchant ) => {
+			for ( var [ species, poolNames ] of merchant.getPoolsBySpecies() ) {
+				var shopName = merchant.displayName;
+				if ( species !== 'default' ) {
+					shopName += ' (' + util.ucfirst( species ) + ')';
 				}
 
-				// TODO: handle situation when sold item is a blueprint ("-recipe" suffix).
-				var soldItem = ItemDatabase.find( soldItemCode );
-				if ( !soldItem ) {
-					// Some shops sell items from other mods, e.g. "impvase3" in "Forum Decorum" shop.
-					util.warnAboutUnknownItem( soldItemCode );
-					return;
-				}
+				for ( var poolName of poolNames ) {
+					var stock = MerchantDatabase.getStock( merchant, poolName );
+					if ( !stock ) {
+						// Some merchants (like weapon merchants) sell random items from tiered treasure pools.
+						if ( !TreasurePoolDatabase.find( poolName ) ) {
+							util.log( '[warn] Merchant ' + merchant.npcType + ' sells items from unknown pool: ' + poolName );
+							continue;
+						}
 
-				var buyPrice = Math.ceil( ( shopSlot.price || soldItem.price ) * data.interactData.buyFactor );
+						var [ minFactor, maxFactor ] = merchant.buyFactorRange.map( ( factor ) => util.trimFloatNumber( factor, 2 ) );
+						var priceComment = "''(price of item x" + minFactor + ( maxFactor === minFactor ? '' : '-' + maxFactor ) + ")''";
 
-				var inputs = new RecipeSide();
-				inputs.addItem( 'money', { count: buyPrice * soldItemCount } );
+						this.add( shopName,
+							RecipeSide.newEmpty().addComment( priceComment ),
+							RecipeSide.newEmpty().addPool( poolName ),
+							{ type: Recipe.Type.Shop }
+						);
+						continue;
+					}
+
+					for ( var { minTier, maxTier, items } of stock ) {
+						var outputQuantity = {};
+						if ( stock.length > 1 ) {
+							outputQuantity.subtype = 'tier ' + minTier + ( maxTier === null ? '+' :
+								( maxTier === minTier ? '' : '-' + maxTier ) );
+						}
 
-				if ( shopSlot.prerequisiteQuest ) {
-					inputs.addQuest( shopSlot.prerequisiteQuest );
+						for ( var shopSlot of items ) {
+							this.addShopSlot( shopName, shopSlot, merchant.buyFactorRange, outputQuantity );
+						}
+					}
 				}
+			}
+		} );
+	}
 
-				var outputs = RecipeSide.newEmpty().addItem( soldItemCode, { count: soldItemCount } );
-				this.add( shopName, inputs, outputs, {
-					type: Recipe.Type.Shop
-					// TODO: add filename
-				} );
-			} );
+	/**
+	 * Add "pixels for item" recipe for 1 item that is sold in the shop.
+	 *
+	 * @param {string} shopName
+	 * @param {Object} shopSlot One element of the list of sold items, e.g. { "item": "torch", "price": 10 }.
+	 * @param {float[]} buyFactorRange Price multiplier, e.g. [ 1.0, 1.2 ]. Both values are the same for most shops.
+	 * @param {Object} outputQuantity Additional quantity attributes for the sold item (e.g. "subtype").
+	 */
+	addShopSlot( shopName, shopSlot, buyFactorRange, outputQuantity = {} ) {
+		var soldItemCode = shopSlot.item,
+			soldItemCount = 1;
+
+		if ( typeof shopSlot.item === 'object' ) {
+			if ( Array.isArray( shopSlot.item ) ) {
+				// Vanilla: Terramart: [ 'hopsseed', 3 ]
+				[ soldItemCode, soldItemCount ] = shopSlot.item;
+			} else {
+				// Vanilla: Ursa Miner: { name: 'silverpickaxe' }
+				soldItemCode = shopSlot.item.name;
+			}
+		} else {
+			// Most shops: item ID (string)
+			soldItemCode = shopSlot.item;
+		}
+
+		// TODO: handle situation when sold item is a blueprint ("-recipe" suffix).
+		var soldItem = ItemDatabase.find( soldItemCode );
+		if ( !soldItem ) {
+			// Some shops sell items from other mods, e.g. "impvase3" in "Forum Decorum" shop.
+			util.warnAboutUnknownItem( soldItemCode );
+			return;
+		}
+
+		var [ minPrice, maxPrice ] = buyFactorRange.map( ( buyFactor ) =>
+			Math.ceil( ( shopSlot.price || soldItem.price ) * buyFactor ) * soldItemCount );
+
+		var moneyQuantity = { count: minPrice };
+		if ( maxPrice !== minPrice ) {
+			// Merchant NPCs choose a random price multiplier within buyFactorRange.
+			moneyQuantity.subtype = 'up to ' + maxPrice;
+		}
+
+		var inputs = new RecipeSide();
+		inputs.addItem( 'money', moneyQuantity );
+
+		if ( shopSlot.prerequisiteQuest ) {
+			inputs.addQuest( shopSlot.prerequisiteQuest );
 		}
+
+		var outputs = RecipeSide.newEmpty().addItem( soldItemCode, Object.assign( { count: soldItemCount }, outputQuantity ) );
+		this.add( shopName, inputs, outputs, {
+			type: Recipe.Type.Shop
+			// TODO: add filename
+		} );
 	}
 
 	/**
@@ -1169,6 +1237,31 @@ class RecipeDatabase {
 		} );
 	}
 
+	/**
+	 * Add "which biome has which ores" recipes.
+	 */
+	loadBiomeOres() {
+		OreDistributionDatabase.forEachBiome( ( biomeCode, ores ) => {
+			var outputs = new RecipeSide();
+			for ( var [ itemCode, tiers ] of ores ) {
+				var minTier = Math.min( ...tiers ),
+					maxTier = Math.max( ...tiers );
+
+				outputs.addItem( itemCode, {
+					subtype: minTier === maxTier ? 'tier ' + minTier : 'tier ' + minTier + '-' + maxTier
+				} );
+			}
+
+			var inputs = new RecipeSide();
+			inputs.addBiome( biomeCode, { subtype: 'ores' } );
+
+			this.add( 'Biome ores', inputs, outputs, {
+				type: Recipe.Type.BiomeContents
+				// TODO: add filename
+			} );
+		} );
+	}
+
 	/**
 	 * Add "which biome has which monsters" recipes.
 	 */
@@ -1682,6 +1775,49 @@ class RecipeDatabase {
 		} );
 	}
 
+	/**
+	 * Add "quest -> its rewards" recipes for all quests.
+	 */
+	loadQuestRewards() {
+		QuestDatabase.forEach( ( quest ) => {
+			var outputs = RecipeSide.newEmpty();
+
+			// If the quest has several reward sets, then only one of them (random) is given to the player.
+			var rewardSets = quest.getRewardSets();
+			for ( var rewardSet of rewardSets ) {
+				for ( var reward of rewardSet ) {
+					var quantityAttributes = { count: reward.count };
+					if ( rewardSets.length > 1 ) {
+						quantityAttributes.chance = 100 / rewardSets.length;
+					}
+
+					outputs.addItem( reward.item, quantityAttributes );
+				}
+			}
+
+			if ( quest.moneyRange ) {
+				var [ moneyMin, moneyMax ] = quest.moneyRange;
+				if ( moneyMax > 0 ) {
+					outputs.addItem( 'money', moneyMin === moneyMax ?
+						{ count: moneyMin } : { averageCount: ( moneyMin + moneyMax ) / 2 } );
+				}
+			}
+
+			if ( outputs.isEmpty() ) {
+				return;
+			}
+
+			this.add( 'Quest reward',
+				RecipeSide.newEmpty().addQuest( quest.questCode, { isReward: true } ),
+				outputs,
+				{
+					type: Recipe.Type.QuestReward,
+					filename: quest.filename
+				}
+			);
+		} );
+	}
+
 	/*
 	 * Add "species -> contents of starting shiplocker" recipes for all species.
 	 */
@@ -1835,7 +1971,9 @@ class RecipeDatabase {
 		this.add( station, inputs, outputs, {
 			type: Recipe.Type.Crafting,
 			filename: filename,
-			groups: loadedData.groups
+			groups: loadedData.groups,
+			// Not shown in the recipe (crafting by hand is fast), but used by ProductionPlanner.
+			secondsToCraft: loadedData.duration
 		} );
 	}
 
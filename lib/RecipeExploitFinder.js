@@ -0,0 +1,253 @@
+'use strict';
+
+const { ItemDatabase, Recipe, RecipeDatabase, config } = require( '.' );
+
+/**
+ * Types of recipes that convert items into other items (and consume the inputs).
+ * Other types are either not conversions (e.g. monster drops) or are supposed to multiply items (e.g. harvesting).
+ */
+const conversionRecipeTypes = [ Recipe.Type.Crafting, Recipe.Type.Extraction, Recipe.Type.Smelter,
+	Recipe.Type.Centrifuge, Recipe.Type.Mixing ];
+
+/**
+ * Gains below 1 + EPSILON are considered to be 1 (rounding errors of floating-point numbers).
+ */
+const EPSILON = 1e-9;
+
+/**
+ * Finds recipe combinations that can be exploited (see tools/find_recipe_exploits.js):
+ * 1) cycles of recipes that produce more of the item than they consume (e.g. A → 2 B → 3 A),
+ * 2) recipes that produce items from nothing,
+ * 3) items that can be bought in a shop and then sold (directly or after crafting them into something)
+ * for more pixels than they cost.
+ *
+ * Amounts of chance-based outputs are averaged (e.g. 10% chance of 2 items = 0.2 items per craft).
+ * Only the recipes with 1 ingredient are used in cycles: recipe like "1 A + 5 B → 2 C" doesn't mean
+ * that A can be multiplied, because B is also consumed.
+ *
+ * @example
+ * var exploits = new RecipeExploitFinder( 4 ).findAll();
+ */
+class RecipeExploitFinder {
+	/**
+	 * @param {number} maxCycleLength Longer cycles (in the number of recipes) are not searched for.
+	 */
+	constructor( maxCycleLength = 4 ) {
+		this.maxCycleLength = maxCycleLength;
+
+		// The most profitable conversion from one item into another (by a recipe that has no other ingredients).
+		// Format: { fromItemCode: Map { toItemCode: { ratio: 1.5, recipe: Recipe }, ... }, ... }
+		this.edges = new Map();
+	}
+
+	/**
+	 * Find all exploits.
+	 *
+	 * @return {Object} Format: { cycles: [ ... ], fromNothing: [ ... ], arbitrage: [ ... ] },
+	 * see findCycles(), findItemsFromNothing() and findPixelArbitrage() for the format of elements.
+	 */
+	findAll() {
+		this.buildGraph();
+
+		return {
+			cycles: this.findCycles(),
+			fromNothing: this.findItemsFromNothing(),
+			arbitrage: this.findPixelArbitrage()
+		};
+	}
+
+	/**
+	 * Populate this.edges: "1 item A can be converted into N items B".
+	 * Recipes with several ingredients are not used, because the other ingredients would be ignored.
+	 */
+	buildGraph() {
+		this.edges.clear();
+
+		RecipeDatabase.forEach( ( recipe ) => {
+			if ( !conversionRecipeTypes.includes( recipe.type ) ) {
+				return;
+			}
+
+			var inputAmounts = this.getInputAmounts( recipe );
+			if ( inputAmounts.size !== 1 ) {
+				return;
+			}
+
+			var [ [ fromCode, inputCount ] ] = inputAmounts;
+			if ( !this.edges.has( fromCode ) ) {
+				this.edges.set( fromCode, new Map() );
+			}
+
+			var edgesFrom = this.edges.get( fromCode );
+			for ( var [ toCode, outputCount ] of this.getOutputAmounts( recipe ) ) {
+				var ratio = outputCount / inputCount,
+					existingEdge = edgesFrom.get( toCode );
+
+				// Only the best recipe is kept, so the gain of the cycle is always calculated with the recipes
+				// that are reported as parts of this cycle.
+				if ( !existingEdge || existingEdge.ratio < ratio ) {
+					edgesFrom.set( toCode, { ratio: ratio, recipe: recipe } );
+				}
+			}
+		} );
+	}
+
+	/**
+	 * Find the cycles of recipes that multiply the item.
+	 *
+	 * @return {Object[]} Format: [ { items: [ "A", "B", "A" ], gain: 1.5, recipes: [ Recipe, Recipe ] }, ... ]
+	 * where gain is how many items A are obtained from 1 item A. Sorted by gain (largest first).
+	 */
+	findCycles() {
+		var cycles = [];
+
+		// Each cycle is found only once: when starting from its alphabetically first item.
+		var search = ( startCode, path, recipes, gain ) => {
+			var currentCode = path[path.length - 1];
+			for ( var [ nextCode, edge ] of this.edges.get( currentCode ) || [] ) {
+				var nextGain = gain * edge.ratio;
+				if ( nextCode === startCode ) {
+					if ( nextGain > 1 + EPSILON ) {
+						cycles.push( {
+							items: path.concat( [ nextCode ] ),
+							gain: nextGain,
+							recipes: recipes.concat( [ edge.recipe ] )
+						} );
+					}
+				} else if ( nextCode > startCode && !path.includes( nextCode ) && path.length < this.maxCycleLength ) {
+					search( startCode, path.concat( [ nextCode ] ), recipes.concat( [ edge.recipe ] ), nextGain );
+				}
+			}
+		};
+
+		for ( var itemCode of [...this.edges.keys()].sort() ) {
+			search( itemCode, [ itemCode ], [], 1 );
+		}
+
+		return cycles.sort( ( a, b ) => b.gain - a.gain );
+	}
+
+	/**
+	 * Find the recipes that don't consume any items, but produce some.
+	 *
+	 * @return {Object[]} Format: [ { items: [ "A", "B" ], recipe: Recipe }, ... ]
+	 */
+	findItemsFromNothing() {
+		var found = [];
+		RecipeDatabase.forEach( ( recipe ) => {
+			if ( !conversionRecipeTypes.includes( recipe.type ) || this.getInputAmounts( recipe ).size > 0 ) {
+				return;
+			}
+
+			var outputCodes = [...this.getOutputAmounts( recipe ).keys()];
+			if ( outputCodes.length > 0 ) {
+				found.push( { items: outputCodes, recipe: recipe } );
+			}
+		} );
+
+		return found;
+	}
+
+	/**
+	 * Find the items that can be bought in some shop and then sold (possibly after crafting) for more pixels.
+	 * Sell price is Item.price, multiplied by config.merchantSellFactor.
+	 *
+	 * @return {Object[]} Format: [ { items: [ "A" ], cost: 100, income: 150, recipes: [ Recipe, ... ] }, ... ]
+	 * where "items" are the bought items, and "recipes" are the shop recipes (plus the crafting recipe, if any).
+	 * Sorted by profit (largest first).
+	 */
+	findPixelArbitrage() {
+		// Cheapest shop recipe for each item. Format: { itemCode: { price: 10, recipe: Recipe }, ... }
+		var shopOffers = new Map();
+		RecipeDatabase.forEach( ( recipe ) => {
+			var inputs = this.getInputAmounts( recipe );
+			if ( recipe.type !== Recipe.Type.Shop || inputs.size !== 1 || !inputs.has( 'money' ) ) {
+				return;
+			}
+
+			for ( var [ soldItemCode, soldCount ] of this.getOutputAmounts( recipe ) ) {
+				var price = inputs.get( 'money' ) / soldCount,
+					existingOffer = shopOffers.get( soldItemCode );
+
+				if ( !existingOffer || existingOffer.price > price ) {
+					shopOffers.set( soldItemCode, { price: price, recipe: recipe } );
+				}
+			}
+		} );
+
+		var getSellPrice = ( soldItemCode ) => {
+			var item = ItemDatabase.find( soldItemCode );
+			return item ? ( item.price || 0 ) * config.merchantSellFactor : 0;
+		};
+
+		var found = [];
+
+		// Buy the item and sell it immediately.
+		for ( var [ itemCode, offer ] of shopOffers ) {
+			var income = getSellPrice( itemCode );
+			if ( income > offer.price + EPSILON ) {
+				found.push( { items: [ itemCode ], cost: offer.price, income: income, recipes: [ offer.recipe ] } );
+			}
+		}
+
+		// Buy all ingredients, craft something from them and sell it.
+		RecipeDatabase.forEach( ( recipe ) => {
+			if ( !conversionRecipeTypes.includes( recipe.type ) ) {
+				return;
+			}
+
+			var inputs = this.getInputAmounts( recipe );
+			if ( inputs.size === 0 || [...inputs.keys()].some( ( ingredientCode ) => !shopOffers.has( ingredientCode ) ) ) {
+				return;
+			}
+
+			var cost = 0,
+				recipeIncome = 0,
+				usedOffers = [];
+			for ( var [ inputCode, count ] of inputs ) {
+				var inputOffer = shopOffers.get( inputCode );
+				cost += inputOffer.price * count;
+				usedOffers.push( inputOffer.recipe );
+			}
+
+			for ( var [ outputCode, outputCount ] of this.getOutputAmounts( recipe ) ) {
+				recipeIncome += getSellPrice( outputCode ) * outputCount;
+			}
+
+			if ( recipeIncome > cost + EPSILON ) {
+				found.push( { items: [...inputs.keys()], cost: cost, income: recipeIncome,
+					recipes: usedOffers.concat( [ recipe ] ) } );
+			}
+		} );
+
+		return found.sort( ( a, b ) => ( b.income - b.cost ) - ( a.income - a.cost ) );
+	}
+
+	/**
+	 * Get the items that are consumed by the recipe (blueprints and non-items are not consumed).
+	 *
+	 * @param {Recipe} recipe
+	 * @return {Map} Format: { itemCode: count, ... }
+	 */
+	getInputAmounts( recipe ) {
+		var amounts = new Map();
+		for ( var component of recipe.inputs.getAllComponents() ) {
+			if ( component.isItem && !component.quantity.isBlueprint ) {
+				amounts.set( component.id, ( amounts.get( component.id ) || 0 ) + ( component.quantity.count || 1 ) );
+			}
+		}
+		return amounts;
+	}
+
+	/**
+	 * Get the average amounts of items that are produced by 1 craft of the recipe.
+	 *
+	 * @param {Recipe} recipe
+	 * @return {Map} Format: { itemCode: count, ... }
+	 */
+	getOutputAmounts( recipe ) {
+		return recipe.outputs.getAverageItemAmounts();
+	}
+}
+
+module.exports = RecipeExploitFinder;
@@ -0,0 +1,168 @@
+'use strict';
+
+const { ItemDatabase, ResearchPath, ResearchTreeDatabase } = require( '.' );
+
+/**
+ * Finds the minimal set of research nodes that must be researched to unlock the crafting recipe of some item.
+ *
+ * To research a node, all its parents must be researched first, so the path to the node includes all its ancestors.
+ * If several nodes unlock the same item, the path with fewer nodes is chosen (and then the cheaper one).
+ *
+ * Items can also be unlocked by picking up another item (see Item.learnBlueprintsOnPickup),
+ * in which case the research path of that item is used (if it's not craftable, then nothing needs to be researched).
+ * Items that are unlocked by default (including race-specific default unlocks) don't need any research.
+ */
+class ResearchPathCalculator {
+	constructor() {
+		this.loaded = false;
+
+		// Format: { itemCode: [ ResearchNode1, ResearchNode2, ... ], ... }
+		this.nodesByUnlockedItem = new Map();
+
+		// Items that unlock other items when picked up. Format: { unlockedItemCode: [ itemCode1, ... ], ... }
+		this.pickupsByUnlockedItem = new Map();
+
+		// Already calculated paths (only the paths that were not affected by the cycle detection).
+		// Format: { itemCode: ResearchPath|null, ... }
+		this.cachedPaths = new Map();
+
+		// Already calculated ancestors of nodes. Format: { nodeId: [ ResearchNode1, ResearchNode2, ... ], ... }
+		this.cachedAncestors = new Map();
+	}
+
+	/**
+	 * Find all research nodes and items that unlock something.
+	 */
+	load() {
+		var addUnlock = ( map, unlockedItemCode, source ) => {
+			if ( !map.has( unlockedItemCode ) ) {
+				map.set( unlockedItemCode, [] );
+			}
+			map.get( unlockedItemCode ).push( source );
+		};
+
+		ResearchTreeDatabase.forEach( ( node ) => {
+			node.unlocks.forEach( ( itemCode ) => addUnlock( this.nodesByUnlockedItem, itemCode, node ) );
+		} );
+
+		ItemDatabase.forEach( ( itemCode, item ) => {
+			( item.learnBlueprintsOnPickup || [] ).forEach( ( unlockedItemCode ) => {
+				if ( unlockedItemCode !== itemCode ) {
+					addUnlock( this.pickupsByUnlockedItem, unlockedItemCode, itemCode );
+				}
+			} );
+		} );
+
+		this.loaded = true;
+	}
+
+	/**
+	 * Get the shortest research path to unlocking the item.
+	 *
+	 * @param {string} itemCode
+	 * @return {ResearchPath|null} Null if the item doesn't need to be researched or can't be unlocked at all.
+	 */
+	getPath( itemCode ) {
+		if ( !this.loaded ) {
+			this.load();
+		}
+
+		var { path } = this.findPath( itemCode, new Set() );
+		return path && path.nodes.length > 0 ? path : null;
+	}
+
+	/**
+	 * Recursively find the shortest research path to unlocking the item.
+	 *
+	 * @param {string} itemCode
+	 * @param {Set<string>} visitedItemCodes Items that are being checked (to prevent infinite loops
+	 * when A is unlocked by picking up B and B is unlocked by picking up A).
+	 * @return {Object} Format: { path: ResearchPath|null, isConstrained: boolean }.
+	 * Path is null if the item can't be unlocked, and has no nodes if no research is needed.
+	 * If isConstrained is true, then some pickup item was skipped because of a cycle,
+	 * so this path is only valid for the current visitedItemCodes (it can't be cached).
+	 */
+	findPath( itemCode, visitedItemCodes ) {
+		if ( this.cachedPaths.has( itemCode ) ) {
+			return { path: this.cachedPaths.get( itemCode ), isConstrained: false };
+		}
+
+		var nodes = this.nodesByUnlockedItem.get( itemCode ) || [],
+			candidates = [];
+
+		for ( var node of nodes ) {
+			if ( node.id.startsWith( 'notree:' ) ) {
+				// Unlocked by default.
+				candidates.push( new ResearchPath( itemCode, [] ) );
+			} else {
+				candidates.push( new ResearchPath( itemCode, this.getAncestors( node ) ) );
+			}
+		}
+
+		var innerVisited = new Set( visitedItemCodes ).add( itemCode ),
+			isConstrained = false;
+
+		for ( var pickupItemCode of this.pickupsByUnlockedItem.get( itemCode ) || [] ) {
+			if ( innerVisited.has( pickupItemCode ) ) {
+				isConstrained = true;
+				continue;
+			}
+
+			var pickupResult = this.findPath( pickupItemCode, innerVisited ),
+				pickupPath = pickupResult.path;
+
+			candidates.push( new ResearchPath( itemCode, pickupPath ? pickupPath.nodes : [], pickupItemCode ) );
+
+			// If the path of the pickup item was affected by the cycle detection, then this path is also affected.
+			isConstrained = isConstrained || pickupResult.isConstrained;
+		}
+
+		var bestPath = candidates.sort( ( a, b ) =>
+			a.nodes.length - b.nodes.length ||
+			a.getSpentCurrency() - b.getSpentCurrency()
+		)[0] || null;
+
+		if ( !isConstrained ) {
+			this.cachedPaths.set( itemCode, bestPath );
+		}
+
+		return { path: bestPath, isConstrained: isConstrained };
+	}
+
+	/**
+	 * Get the list of nodes that must be researched to research this node (including the node itself).
+	 *
+	 * @param {ResearchNode} node
+	 * @return {ResearchNode[]} Parents are always before their children.
+	 */
+	getAncestors( node ) {
+		if ( this.cachedAncestors.has( node.id ) ) {
+			return this.cachedAncestors.get( node.id );
+		}
+
+		var ancestors = [],
+			seenNodeIds = new Set();
+
+		var addNode = ( currentNode ) => {
+			if ( seenNodeIds.has( currentNode.id ) ) {
+				return;
+			}
+			seenNodeIds.add( currentNode.id );
+
+			for ( var parentId of currentNode.parents ) {
+				var parentNode = ResearchTreeDatabase.knownNodes.get( parentId );
+				if ( parentNode ) {
+					addNode( parentNode );
+				}
+			}
+
+			ancestors.push( currentNode );
+		};
+		addNode( node );
+
+		this.cachedAncestors.set( node.id, ancestors );
+		return ancestors;
+	}
+}
+
+module.exports = new ResearchPathCalculator();
@@ -0,0 +1,240 @@
+'use strict';
+
+const { AssetDatabase, PakArchive, ResultsWriter, util } = require( '.' ),
+	fs = require( 'fs' );
+
+/**
+ * Asset types that are loaded by each database via AssetDatabase.forEach().
+ * If the asset of some other type (e.g. *.config file) is modified, all databases are reloaded,
+ * because such assets are used via AssetDatabase.getData() in too many places.
+ */
+const assetTypesOfDatabase = {
+	BiomeDatabase: [ 'biome' ],
+	FunctionDatabase: [ 'functions' ],
+	ItemDatabase: [ 'item' ],
+	LiquidDatabase: [ 'liquid' ],
+	MaterialDatabase: [ 'material' ],
+	MerchantDatabase: [ 'npc', 'dungeon' ],
+	MonsterDatabase: [ 'monster', 'monsterpart' ],
+	OreDistributionDatabase: [ 'configfunctions', 'matmod' ],
+	QuestDatabase: [ 'quest', 'npc' ],
+	RecipeDatabase: [ 'recipe' ],
+	SaplingDatabase: [ 'foliage', 'stem' ],
+	SpawnTypeDatabase: [ 'spawntypes' ],
+	StatusEffectDatabase: [ 'statuseffect' ],
+	TenantDatabase: [ 'tenant' ],
+	TreasurePoolDatabase: [ 'treasurepools' ],
+	WeaponAbilityDatabase: [ 'ability' ]
+};
+
+/**
+ * Databases (and PageNameRegistry) that store the entities obtained from other databases.
+ * Format: { dependentDatabase: [ database1, database2, ... ] }.
+ * If database1 is reloaded, then dependentDatabase must also be reloaded (or it would keep the outdated entities).
+ */
+const databaseDependencies = {
+	ArmorSetDatabase: [ 'ItemDatabase' ],
+	BiomeDatabase: [ 'WeatherPoolDatabase', 'PageNameRegistry' ],
+	CraftingStationDatabase: [ 'ItemDatabase' ],
+	CraftingTreeCalculator: [ 'RecipeDatabase' ],
+	ItemDatabase: [ 'FunctionDatabase', 'LiquidDatabase', 'MaterialDatabase', 'WeaponAbilityDatabase', 'PageNameRegistry' ],
+	MonsterDatabase: [ 'ItemDatabase', 'PageNameRegistry' ],
+	OreDistributionDatabase: [ 'BiomeDatabase', 'PlanetDatabase', 'RegionDatabase' ],
+	// PageNameRegistry must be rebuilt from scratch (all objects must be added again), because adding or removing
+	// one object can change the titles of other objects (when resolving the naming conflicts).
+	PageNameRegistry: [ 'ItemDatabase', 'MonsterDatabase', 'BiomeDatabase', 'SaplingDatabase', 'TreasurePoolDatabase',
+		'QuestDatabase' ],
+	PlanetDatabase: [ 'StarDatabase' ],
+	QuestDatabase: [ 'ItemDatabase', 'PageNameRegistry' ],
+	RecipeDatabase: [ 'BiomeDatabase', 'CraftingStationDatabase', 'ItemDatabase', 'LiquidDatabase', 'MaterialDatabase',
+		'MerchantDatabase', 'MonsterDatabase', 'OreDistributionDatabase', 'QuestDatabase', 'SaplingDatabase', 'SpawnTypeDatabase', 'TenantDatabase', 'TreasurePoolDatabase' ],
+	ResearchPathCalculator: [ 'ItemDatabase', 'ResearchTreeDatabase' ],
+	ResearchTreeDatabase: [ 'ItemDatabase' ],
+	SaplingDatabase: [ 'PageNameRegistry' ],
+	TreasurePoolDatabase: [ 'PageNameRegistry' ]
+};
+
+/**
+ * Databases that don't load anything via AssetDatabase.forEach(), and are only reloaded because of dependencies
+ * or when the asset of unknown type (e.g. *.config file) is modified.
+ */
+const otherDatabases = [ 'ArmorSetDatabase', 'CraftingStationDatabase', 'CraftingTreeCalculator', 'PlanetDatabase',
+	'RegionDatabase', 'ResearchPathCalculator', 'ResearchTreeDatabase', 'StarDatabase', 'WeatherPoolDatabase' ];
+
+/**
+ * Delay (in milliseconds) between the modification of file and regeneration of results.
+ * Editors often save the file in several steps, and "git checkout" modifies many files at once,
+ * so we wait until all changes are done.
+ */
+const DEBOUNCE_DELAY = 500;
+
+/**
+ * Implements "generate.js --watch" mode: watches the directories of the mods, and when some files are modified,
+ * reloads only these assets and the databases that depend on them, then regenerates the results.
+ *
+ * Note: regeneration itself is not incremental. All entities are sent to ResultsWriter again
+ * (this is fast compared to reloading all databases), and all output files are rewritten if they have changed.
+ * Only the pages that differ from the previous run are added to changedPages.import.txt (see writeChangedPages()).
+ *
+ * @example
+ * generate();
+ * ResultsWriter.finalize();
+ * new Watcher( generate ).start();
+ */
+class Watcher {
+	/**
+	 * @param {Function} generateCallback Function that sends all entities to ResultsWriter (except finalize()).
+	 */
+	constructor( generateCallback ) {
+		this.generateCallback = generateCallback;
+
+		// Absolute paths of files that were modified since the last regeneration.
+		this.pendingFiles = new Set();
+
+		// Result of setTimeout() that will call regenerate().
+		this.timer = null;
+
+		// True if the previous regeneration has thrown an exception. Databases can be in inconsistent state
+		// after that, so the next regeneration will reload all of them.
+		this.failed = false;
+
+		// Pages from the last successful regeneration (used to find which pages have changed).
+		this.lastGoodPages = null;
+	}
+
+	/**
+	 * Start watching the directories of all mods. The results must already be generated before calling this.
+	 */
+	start() {
+		var directories = util.listModPaths().filter( ( directory ) => !PakArchive.isPak( directory ) );
+		for ( let directory of directories ) {
+			// Note: recursive watching on Linux requires Node.js 20+ (see "engines" in package.json).
+			fs.watch( directory, { recursive: true }, ( eventType, filename ) => {
+				if ( !filename || filename.match( /(^|\/)\.git(\/|$)/ ) ) {
+					return;
+				}
+
+				this.pendingFiles.add( directory + '/' + filename );
+
+				clearTimeout( this.timer );
+				this.timer = setTimeout( () => this.regenerate(), DEBOUNCE_DELAY );
+			} );
+		}
+
+		console.log( 'Watching for changes in: ' + directories.join( ', ' ) );
+	}
+
+	/**
+	 * Reload the modified assets and regenerate the results.
+	 * Errors are logged, but don't stop the watching: they are often transient (e.g. the file was read
+	 * when the editor has saved only a part of it), and the next modification of the file will fix them.
+	 */
+	regenerate() {
+		if ( !this.failed ) {
+			this.lastGoodPages = ResultsWriter.pages;
+		}
+
+		try {
+			this.regenerateNow();
+			this.failed = false;
+		} catch ( error ) {
+			this.failed = true;
+			util.log( '[error] Watcher: failed to regenerate the results: ' + error.stack );
+			console.error( 'Failed to regenerate the results (will retry after the next modification): ' + error.message );
+		}
+	}
+
+	/**
+	 * Implementation of regenerate() that doesn't catch exceptions.
+	 */
+	regenerateNow() {
+		var timeStart = Date.now(),
+			changedFiles = [...this.pendingFiles];
+
+		this.pendingFiles.clear();
+
+		var affectedAssets = AssetDatabase.reloadFiles( changedFiles );
+		if ( affectedAssets.length === 0 ) {
+			// Only irrelevant files were modified (e.g. images or files in ignoreAssetPatterns).
+			return;
+		}
+
+		var assetTypes = affectedAssets.map( ( asset ) => asset.type ),
+			databaseNames = this.failed ? this.getAllDatabaseNames() : this.findAffectedDatabases( assetTypes ),
+			filenames = [...new Set( affectedAssets.map( ( asset ) => asset.filename ) )],
+			lib = require( '.' );
+
+		util.log( '[info] Watcher: modified assets: ' + filenames.join( ', ' ) + '. Reloading: ' + databaseNames.join( ', ' ) );
+
+		for ( var dbName of databaseNames ) {
+			this.resetSingleton( lib[dbName] );
+		}
+
+		this.resetSingleton( ResultsWriter );
+
+		this.generateCallback();
+		ResultsWriter.finalize();
+
+		var changedPageNames = ResultsWriter.writeChangedPages( this.lastGoodPages );
+		console.log( 'Regenerated in ' + ( Date.now() - timeStart ) / 1000 + 's after modification of ' +
+			filenames.length + ' assets. Changed pages (' + changedPageNames.length + '): ' +
+			( changedPageNames.join( ', ' ) || 'none' ) );
+	}
+
+	/**
+	 * Determine which databases must be reloaded after the assets of these types were modified.
+	 *
+	 * @param {string[]} assetTypes
+	 * @return {string[]} Names of databases, e.g. [ "ItemDatabase", "RecipeDatabase", ... ].
+	 */
+	findAffectedDatabases( assetTypes ) {
+		var knownTypes = new Set( Object.values( assetTypesOfDatabase ).flat() ),
+			allDatabases = this.getAllDatabaseNames();
+
+		if ( assetTypes.some( ( type ) => !knownTypes.has( type ) ) ) {
+			// Assets like *.config files can be used by any database.
+			return allDatabases;
+		}
+
+		var affected = new Set( Object.keys( assetTypesOfDatabase ).filter( ( name ) =>
+			assetTypesOfDatabase[name].some( ( type ) => assetTypes.includes( type ) ) ) );
+
+		// Add the databases that depend on already affected databases (until there is nothing more to add).
+		var previousSize;
+		do {
+			previousSize = affected.size;
+			for ( var [ dbName, dependencies ] of Object.entries( databaseDependencies ) ) {
+				if ( dependencies.some( ( dependency ) => affected.has( dependency ) ) ) {
+					affected.add( dbName );
+				}
+			}
+		} while ( affected.size !== previousSize );
+
+		return allDatabases.filter( ( name ) => affected.has( name ) );
+	}
+
+	/**
+	 * Get names of all databases that can be reloaded.
+	 *
+	 * @return {string[]}
+	 */
+	getAllDatabaseNames() {
+		return Object.keys( assetTypesOfDatabase ).concat( otherDatabases, [ 'PageNameRegistry' ] );
+	}
+
+	/**
+	 * Return the singleton (such as ItemDatabase) to its initial state, as if it was just created.
+	 * Databases are lazy-loaded, so they will be reloaded when they are used again.
+	 *
+	 * @param {Object} singleton
+	 */
+	resetSingleton( singleton ) {
+		for ( var key of Object.keys( singleton ) ) {
+			delete singleton[key];
+		}
+
+		Object.assign( singleton, new singleton.constructor() );
+	}
+}
+
+module.exports = Watcher;
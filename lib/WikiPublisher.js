@@ -0,0 +1,336 @@
+'use strict';
+
+const { config, util, WikiStatusCache } = require( '.' ),
+	crypto = require( 'crypto' ),
+	fs = require( 'fs' ),
+	path = require( 'path' ),
+	MWBot = require( 'mwbot' );
+
+/**
+ * Uploads the results of generate.js and prepare_uploads.js directly to the wiki via MediaWiki API.
+ * This is an alternative to running Pywikibot with the import files (see README).
+ *
+ * Already published pages/images are remembered in the state file, so if the upload is interrupted
+ * (e.g. due to network errors), then the next run will continue from where the previous run has stopped.
+ * The state file is deleted after a successful run, so the next run checks all pages again
+ * (they could have been edited in the wiki since then).
+ */
+class WikiPublisher {
+	constructor() {
+		// Format: { "page:Title of page": "SHA1 of published contents", "file:Filename.png": "SHA1", ... }
+		this.publishedState = new Map();
+
+		this.stateFilename = util.tmpdir + '/publish.state.json';
+		if ( fs.existsSync( this.stateFilename ) ) {
+			this.publishedState = new Map( JSON.parse( fs.readFileSync( this.stateFilename ).toString() ) );
+		}
+
+		// Statistics (for logging): { edited: 0, skipped: 0, ... }
+		this.stats = {};
+	}
+
+	/**
+	 * Publish everything that was requested in "options".
+	 *
+	 * @param {Object} options
+	 * @param {string} options.apiUrl URL of api.php of the wiki.
+	 * @param {string} options.summary Edit summary.
+	 * @param {boolean} options.dryRun If true, the wiki is not modified: the current state of pages/images
+	 * is still read via API, and what would be published is printed to console.
+	 * @param {boolean} options.onlyNew If true, use "onlyNew" import files (see WikiStatusCache).
+	 * @param {boolean} options.pages If true, overwrite bot-updated pages (Cargo database, etc.).
+	 * @param {boolean} options.precreate If true, create missing articles (without overwriting existing ones).
+	 * @param {boolean} options.images If true, upload images (from prepare_uploads.js).
+	 */
+	async publish( options ) {
+		this.dryRun = options.dryRun;
+		this.summary = options.summary;
+
+		this.bot = new MWBot( { apiUrl: options.apiUrl } );
+		if ( !this.dryRun || config.mediawikiUsername ) {
+			// Dry run doesn't need the edit token, but reading can require login (e.g. in private wikis).
+			await this.bot.loginGetEditToken( {
+				apiUrl: options.apiUrl,
+				username: config.mediawikiUsername,
+				password: config.mediawikiPassword
+			} );
+		}
+
+		var importDir = config.outputDir + '/pywikibot',
+			suffix = options.onlyNew ? '.onlyNew' : '';
+
+		if ( options.pages ) {
+			for ( let [ title, text ] of this.parseImportFile( importDir + '/cargoDatabase' + suffix + '.import.txt' ) ) {
+				await this.publishPage( title, text, false );
+			}
+		}
+
+		if ( options.precreate ) {
+			for ( let [ title, text ] of this.parseImportFile( importDir + '/precreateArticles' + suffix + '.import.txt' ) ) {
+				await this.publishPage( title, text, true );
+			}
+		}
+
+		if ( options.images ) {
+			var imagesDir = importDir + '/filesToUpload/' + ( options.onlyNew ? 'onlyNew' : 'all' );
+			for ( let filename of fs.existsSync( imagesDir ) ? fs.readdirSync( imagesDir ).sort() : [] ) {
+				await this.publishImage( filename, imagesDir + '/' + filename );
+			}
+		}
+
+		if ( !this.dryRun && !this.stats.failed ) {
+			// Nothing left to continue. Pages/images that failed to upload are not in the state file anyway,
+			// but the state is kept in this case, so that rerunning publish.js would only retry the failed ones.
+			this.clearState();
+		}
+
+		console.log( 'WikiPublisher: done. Statistics: ' + JSON.stringify( this.stats ) );
+	}
+
+	/**
+	 * Read the list of pages from the import file (which was created by ResultsWriter for Pywikibot).
+	 *
+	 * @param {string} filename
+	 * @return {Array} Format: [ [ "title1", "text1" ], [ "title2", "text2" ], ... ]
+	 */
+	parseImportFile( filename ) {
+		if ( !fs.existsSync( filename ) ) {
+			throw new Error( 'WikiPublisher: file not found: ' + filename + ' (need to run generate.js first).' );
+		}
+
+		// See ResultsWriter.wrapPage() for the format.
+		var regex = /\{\{-start-\}\}\n''' (.*?) '''\n([\s\S]*?)\n\{\{-stop-\}\}\n/g;
+		return [...fs.readFileSync( filename ).toString().matchAll( regex )].map( ( match ) => [ match[1], match[2] ] );
+	}
+
+	/**
+	 * Create or overwrite one page in the wiki.
+	 *
+	 * @param {string} title
+	 * @param {string} text
+	 * @param {boolean} createOnly If true, existing page won't be overwritten.
+	 */
+	async publishPage( title, text, createOnly ) {
+		var stateKey = 'page:' + title,
+			checksum = crypto.createHash( 'sha1' ).update( text ).digest( 'hex' );
+
+		if ( this.publishedState.get( stateKey ) === checksum ) {
+			// Already published during the previous run.
+			this.count( 'alreadyPublished' );
+			return;
+		}
+
+		if ( this.dryRun ) {
+			await this.dryRunPage( title, text, createOnly );
+			return;
+		}
+
+		var q = {
+			action: 'edit',
+			title: title,
+			text: text,
+			summary: this.summary,
+			bot: true,
+			token: this.bot.editToken
+		};
+		if ( createOnly ) {
+			q.createonly = true;
+		}
+
+		var ret = await this.sendRequest( () => this.bot.request( q ), title, [ 'articleexists' ] );
+		if ( ret.error ) {
+			console.log( 'Skipped (page already exists): ' + title );
+			this.count( 'skipped' );
+		} else {
+			console.log( ( ret.edit.nochange !== undefined ? 'Unchanged' : 'Edited' ) + ': ' + title );
+			this.count( ret.edit.nochange !== undefined ? 'unchanged' : 'edited' );
+
+			// Allows to detect manual edits of this page (made after this edit), see ResultsWriter.overwritePage().
+			WikiStatusCache.recordBotEdit( title, text );
+		}
+
+		this.rememberPublished( stateKey, checksum );
+		await this.throttle();
+	}
+
+	/**
+	 * Upload one image to the wiki (existing images are not overwritten).
+	 *
+	 * @param {string} filename Name of the file in the wiki (without "File:" prefix).
+	 * @param {string} pathToFile
+	 */
+	async publishImage( filename, pathToFile ) {
+		var stateKey = 'file:' + filename,
+			checksum = crypto.createHash( 'sha1' ).update( fs.readFileSync( pathToFile ) ).digest( 'hex' );
+
+		if ( this.publishedState.get( stateKey ) === checksum ) {
+			this.count( 'alreadyPublished' );
+			return;
+		}
+
+		if ( this.dryRun ) {
+			await this.dryRunImage( filename, checksum );
+			return;
+		}
+
+		var ret = await this.sendRequest( () => this.bot.upload( filename, pathToFile, this.summary, {
+			text: config.publishImageDescription
+		} ), 'File:' + filename, [ 'fileexists-no-change' ] );
+
+		var result = ret.upload ? ret.upload.result : '',
+			warnings = ( result === 'Warning' && ret.upload.warnings ) || {};
+		if ( ret.error || warnings.exists ) {
+			console.log( 'Skipped (file already exists): File:' + filename );
+			this.count( 'skipped' );
+		} else if ( result === 'Warning' ) {
+			// Warnings like "duplicate" (same image under another name) or "was-deleted" require a decision
+			// of a human, so this file is not uploaded (and not remembered as published), but we continue with others.
+			console.log( 'Not uploaded (warnings: ' + Object.keys( warnings ).join( ', ' ) + '): File:' + filename );
+			this.count( 'failed' );
+			await this.throttle();
+			return;
+		} else if ( result === 'Success' ) {
+			console.log( 'Uploaded: File:' + filename );
+			this.count( 'uploaded' );
+		} else {
+			throw new Error( 'WikiPublisher: unexpected response when uploading File:' + filename + ': ' + JSON.stringify( ret ) );
+		}
+
+		this.rememberPublished( stateKey, checksum );
+		await this.throttle();
+	}
+
+	/**
+	 * Dry run of publishPage(): compare the page with its current version in the wiki and print what would be done.
+	 *
+	 * @param {string} title
+	 * @param {string} text
+	 * @param {boolean} createOnly
+	 */
+	async dryRunPage( title, text, createOnly ) {
+		var ret = await this.sendRequest( () => this.bot.request( {
+				action: 'query',
+				prop: 'revisions',
+				rvprop: 'content',
+				rvslots: 'main',
+				titles: title,
+				formatversion: 2
+			} ), title, [] ),
+			page = ret.query.pages[0],
+			action;
+
+		if ( page.missing ) {
+			action = 'create';
+		} else if ( createOnly ) {
+			action = 'skipped';
+		} else if ( page.revisions[0].slots.main.content === text ) {
+			action = 'unchanged';
+		} else {
+			action = 'edit';
+		}
+
+		console.log( '[dry-run] ' + action + ': ' + title + ' (' + text.length + ' bytes)' );
+		this.count( 'dryRun-' + action );
+	}
+
+	/**
+	 * Dry run of publishImage(): check if the image already exists in the wiki and print what would be done.
+	 *
+	 * @param {string} filename Name of the file in the wiki (without "File:" prefix).
+	 * @param {string} checksum SHA1 of the file.
+	 */
+	async dryRunImage( filename, checksum ) {
+		var ret = await this.sendRequest( () => this.bot.request( {
+				action: 'query',
+				prop: 'imageinfo',
+				iiprop: 'sha1',
+				titles: 'File:' + filename,
+				formatversion: 2
+			} ), 'File:' + filename, [] ),
+			page = ret.query.pages[0],
+			action;
+
+		if ( !page.imageinfo || page.imagerepository !== 'local' ) {
+			action = 'upload';
+		} else {
+			action = page.imageinfo[0].sha1 === checksum ? 'unchanged' : 'skipped';
+		}
+
+		console.log( '[dry-run] ' + action + ': File:' + filename );
+		this.count( 'dryRun-' + action );
+	}
+
+	/**
+	 * Send the API request, retrying it if it fails (e.g. due to network errors).
+	 *
+	 * @param {Function} sendCallback Function that sends the request and returns a Promise.
+	 * @param {string} title Title of the page (for logging).
+	 * @param {string[]} expectedErrorCodes API errors that are not failures (e.g. "articleexists").
+	 * If one of these errors happens, the Promise is resolved with { error: { code: "..." } }.
+	 * @param {int|undefined} retryNumber
+	 * @return {Promise<Object>} API response.
+	 */
+	async sendRequest( sendCallback, title, expectedErrorCodes, retryNumber = 0 ) {
+		try {
+			return await sendCallback();
+		} catch ( err ) {
+			if ( expectedErrorCodes.includes( err.code ) ) {
+				return { error: { code: err.code } };
+			}
+
+			if ( ++retryNumber > config.mwbotMaxRetries ) {
+				// The pages that were already published are remembered in the state file,
+				// so restarting publish.js will continue from here.
+				throw new Error( 'WikiPublisher: failed to publish ' + title + ': ' + err.message +
+					'. Run publish.js again to continue from this page.' );
+			}
+
+			console.log( 'WikiPublisher: request for ' + title + ' failed (' + ( err.code || err.message ) +
+				'), attempting retry #' + retryNumber + ' (max: ' + config.mwbotMaxRetries + ')' );
+
+			await this.throttle();
+			return this.sendRequest( sendCallback, title, expectedErrorCodes, retryNumber );
+		}
+	}
+
+	/**
+	 * Wait between two edits (to reduce the load on the server).
+	 */
+	async throttle() {
+		await new Promise( ( resolve ) => {
+			setTimeout( resolve, config.publishDelayBetweenEdits );
+		} );
+	}
+
+	/**
+	 * Increment one of the counters in this.stats.
+	 *
+	 * @param {string} counterName
+	 */
+	count( counterName ) {
+		this.stats[counterName] = ( this.stats[counterName] || 0 ) + 1;
+	}
+
+	/**
+	 * Remember that the page/image was published, and persist this information to disk.
+	 *
+	 * @param {string} stateKey
+	 * @param {string} checksum
+	 */
+	rememberPublished( stateKey, checksum ) {
+		this.publishedState.set( stateKey, checksum );
+
+		fs.mkdirSync( path.dirname( this.stateFilename ), { recursive: true } );
+		fs.writeFileSync( this.stateFilename, JSON.stringify( [...this.publishedState] ) );
+	}
+
+	/**
+	 * Forget which pages were published during the previous runs.
+	 */
+	clearState() {
+		this.publishedState.clear();
+		fs.rmSync( this.stateFilename, { force: true } );
+	}
+}
+
+module.exports = new WikiPublisher();
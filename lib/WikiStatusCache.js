@@ -1,6 +1,7 @@
 'use strict';
 
 const { config, util } = require( '.' ),
+	crypto = require( 'crypto' ),
 	fs = require( 'fs' ),
 	path = require( 'path' ),
 	MWBot = require( 'mwbot' );
@@ -9,7 +10,8 @@ const { config, util } = require( '.' ),
  * Cache of information like "does page A exist in the wiki?".
  * This is used by ResultsWriter to create .onlyNew files for Pywikibot.
  *
- * Note that this cache is only updated when updateCache() is called explicitly.
+ * Note that this cache is only updated when updateCache() is called explicitly
+ * (and when WikiPublisher edits the pages, see recordBotEdit()).
  * It's intentional that it being up-to-date is never checked and is exclusively up to the user.
  * This means that generate.js (which shouldn't call updateCache()) can work entirely offline.
  */
@@ -24,6 +26,16 @@ class WikiStatusCache {
 		if ( fs.existsSync( this.cacheFilename ) ) {
 			this.existingPages = new Map( JSON.parse( fs.readFileSync( this.cacheFilename ).toString() ) );
 		}
+
+		// Checksums of what the bot has written into the pages during its last edit of each page.
+		// Unlike this.existingPages, this is not cleared by updateCache().
+		// Format: { "Template:Cargo/item/Chunk1": "SHA1 of contents", ... }
+		this.botWrittenPages = new Map();
+
+		this.botWrittenFilename = util.tmpdir + '/botWrittenPages.cache';
+		if ( fs.existsSync( this.botWrittenFilename ) ) {
+			this.botWrittenPages = new Map( JSON.parse( fs.readFileSync( this.botWrittenFilename ).toString() ) );
+		}
 	}
 
 	/**
@@ -49,6 +61,51 @@ class WikiStatusCache {
 		return this.existingPages.get( title ) === expectedChecksum;
 	}
 
+	/**
+	 * True if the page was edited by someone else (e.g. by human) after the last edit by the bot.
+	 * Returns false if we don't know what the bot has written there (e.g. if the page was never edited by the bot).
+	 *
+	 * @param {string} title
+	 * @return {boolean}
+	 */
+	pageWasEditedManually( title ) {
+		title = title.replace( /_/g, ' ' );
+
+		var botChecksum = this.botWrittenPages.get( title );
+		if ( !botChecksum || !this.existingPages.has( title ) ) {
+			return false;
+		}
+
+		return this.existingPages.get( title ) !== botChecksum;
+	}
+
+	/**
+	 * Remember that the bot has just written this text into the page. Used by WikiPublisher.
+	 *
+	 * @param {string} title
+	 * @param {string} wikitext
+	 */
+	recordBotEdit( title, wikitext ) {
+		title = title.replace( /_/g, ' ' );
+
+		// MediaWiki removes trailing whitespace when saving the page, and the checksum is calculated after that.
+		var checksum = crypto.createHash( 'sha1' ).update( wikitext.trimEnd(), 'utf8' ).digest( 'hex' );
+
+		this.existingPages.set( title, checksum );
+		this.botWrittenPages.set( title, checksum );
+
+		this.saveCache();
+	}
+
+	/**
+	 * Persist the cache to disk.
+	 */
+	saveCache() {
+		fs.mkdirSync( path.dirname( this.cacheFilename ), { recursive: true } );
+		fs.writeFileSync( this.cacheFilename, JSON.stringify( [...this.existingPages] ) );
+		fs.writeFileSync( this.botWrittenFilename, JSON.stringify( [...this.botWrittenPages] ) );
+	}
+
 	/**
 	 * Contact the MediaWiki API at config.mediawikiApiUrl and populate this cache with information
 	 * that generate.js will eventually need.
@@ -70,9 +127,7 @@ class WikiStatusCache {
 
 		console.log( 'updateCache(): found ' + this.existingPages.size + ' existing pages.' );
 
-		// Persist the cache to disk.
-		fs.mkdirSync( path.dirname( this.cacheFilename ), { recursive: true } );
-		fs.writeFileSync( this.cacheFilename, JSON.stringify( [...this.existingPages] ) );
+		this.saveCache();
 	}
 
 	/**
@@ -82,12 +137,21 @@ class WikiStatusCache {
 	 * @param {int} namespace
 	 */
 	async updateExistenceCache( bot, namespace ) {
+		// Name of bot password (e.g. "Username@BotName") has the username before "@".
+		var botUsername = config.mediawikiUsername.split( '@' )[0].replace( /_/g, ' ' );
+
 		var apcontinue, listOfPages;
 		do {
 			[ apcontinue, listOfPages ] = await this.loadListOfPages( bot, namespace, apcontinue );
 
 			for ( var pageinfo of listOfPages ) {
-				this.existingPages.set( pageinfo.title, pageinfo.revisions[0].sha1 );
+				var revision = pageinfo.revisions[0];
+				this.existingPages.set( pageinfo.title, revision.sha1 );
+
+				if ( botUsername && revision.user === botUsername ) {
+					// The latest revision was made by the bot (e.g. via Pywikibot), so this is what the bot has written.
+					this.botWrittenPages.set( pageinfo.title, revision.sha1 );
+				}
 			}
 
 			console.log( '\t... ' + listOfPages[0].title + ' ... ' + listOfPages[listOfPages.length - 1].title );
@@ -112,7 +176,7 @@ class WikiStatusCache {
 			gapfilterredir: 'nonredirects',
 			gapnamespace: namespace,
 			prop: 'revisions',
-			rvprop: 'sha1'
+			rvprop: 'sha1|user'
 		};
 		if ( apcontinue ) {
 			q.gapcontinue = apcontinue;
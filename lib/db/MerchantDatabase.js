@@ -0,0 +1,248 @@
+'use strict';
+
+const { AssetDatabase, Merchant, util } = require( '..' ),
+	deepmerge = require( 'deepmerge' );
+
+/**
+ * Discovers all NPC merchants (*.npctype files with "merchant" key in scriptConfig),
+ * what they sell on planets of different tiers, and in which dungeons (including villages) they can be found.
+ */
+class MerchantDatabase {
+	constructor() {
+		this.loaded = false;
+
+		// Array of known merchants,
+		// e.g. { "weaponmerchant": Merchant1, "lostandfoundnpc": Merchant2, ... }
+		this.knownMerchants = new Map();
+
+		// NPC types that are spawned by already checked Tiled maps (maps can be shared by several dungeons).
+		// Format: { "/relative/path/to/map.json": Set { npcType1, ... }, ... }
+		this.npcTypesByMap = new Map();
+	}
+
+	/**
+	 * Scan the AssetDatabase and find all merchants.
+	 */
+	load() {
+		// Format: { npcType: data from *.npctype file, ... }
+		var npcTypes = new Map();
+		AssetDatabase.forEach( 'npc', ( filename, asset ) => {
+			npcTypes.set( asset.data.type, asset.data );
+		} );
+
+		for ( var npcType of npcTypes.keys() ) {
+			var scriptConfig = this.resolveNpcType( npcType, npcTypes ).scriptConfig || {};
+			if ( scriptConfig.merchant ) {
+				this.knownMerchants.set( npcType, new Merchant( npcType, scriptConfig.merchant ) );
+			}
+		}
+
+		AssetDatabase.forEach( 'dungeon', ( filename, asset ) => {
+			var dungeonId = asset.data.metadata && asset.data.metadata.name;
+			if ( !dungeonId ) {
+				return;
+			}
+
+			for ( var spawnedType of this.findSpawnedNpcTypes( asset.data, filename ) ) {
+				var merchant = this.knownMerchants.get( spawnedType );
+				if ( merchant ) {
+					merchant.dungeons.add( dungeonId );
+				}
+			}
+		} );
+
+		// Only the NPC types were needed, not the maps themselves.
+		this.npcTypesByMap.clear();
+
+		util.log( '[info] MerchantDatabase: found ' + this.knownMerchants.size + ' merchants.' );
+		this.loaded = true;
+	}
+
+	/**
+	 * Get the full configuration of NPC type, including the keys that are inherited from its "baseType".
+	 *
+	 * @param {string} npcType
+	 * @param {Map} npcTypes Format: { npcType: data from *.npctype file, ... }
+	 * @param {Set<string>} [visitedTypes] NPC types that are being resolved (to detect loops like A -> B -> A).
+	 * @return {Object}
+	 */
+	resolveNpcType( npcType, npcTypes, visitedTypes = new Set() ) {
+		var data = npcTypes.get( npcType );
+		if ( !data ) {
+			util.log( '[error] MerchantDatabase: unknown NPC type: ' + npcType );
+			return {};
+		}
+
+		if ( !data.baseType ) {
+			return data;
+		}
+
+		visitedTypes.add( npcType );
+		if ( visitedTypes.has( data.baseType ) ) {
+			util.log( '[error] MerchantDatabase: loop in the chain of baseType: ' +
+				[...visitedTypes, data.baseType].join( ' -> ' ) );
+			return data;
+		}
+
+		// Same as in the game: arrays are not merged (array from the child NPC type replaces the parent's array).
+		return deepmerge( this.resolveNpcType( data.baseType, npcTypes, visitedTypes ), data, {
+			arrayMerge: ( parentArray, childArray ) => childArray
+		} );
+	}
+
+	/**
+	 * Find types of all NPCs that can be spawned in the dungeon.
+	 *
+	 * @param {Object} dungeon Contents of *.dungeon file.
+	 * @param {string} filename Path to *.dungeon file.
+	 * @return {Set<string>}
+	 */
+	findSpawnedNpcTypes( dungeon, filename ) {
+		var npcTypes = new Set();
+
+		// Parts that are drawn as images: NPCs are "npc" brushes in the palette of this dungeon.
+		for ( var tile of dungeon.tiles || [] ) {
+			for ( var [ brushType, brushParams ] of tile.brush || [] ) {
+				if ( brushType === 'npc' && brushParams && brushParams.typeName ) {
+					npcTypes.add( brushParams.typeName );
+				}
+			}
+		}
+
+		// Parts that are Tiled maps: NPCs are objects with "npc" and "typeName" properties.
+		var dungeonDir = filename.replace( /[^/]+$/, '' );
+		for ( var part of dungeon.parts || [] ) {
+			var [ partType, mapPaths ] = part.def || [];
+			if ( partType !== 'tmx' ) {
+				continue;
+			}
+
+			for ( var mapPath of [].concat( mapPaths ) ) {
+				var mapNpcTypes = this.findNpcTypesInMap( mapPath.startsWith( '/' ) ? mapPath : '/' + dungeonDir + mapPath );
+				if ( !mapNpcTypes ) {
+					util.log( '[warn] MerchantDatabase: dungeon ' + filename + ' refers to unknown map: ' + mapPath );
+					continue;
+				}
+
+				mapNpcTypes.forEach( ( npcType ) => npcTypes.add( npcType ) );
+			}
+		}
+
+		return npcTypes;
+	}
+
+	/**
+	 * Find types of all NPCs that are placed on the Tiled map.
+	 * Tiled maps are intentionally not in the AssetDatabase (they are large, see config.ignoreAssetPatterns),
+	 * so the map is read directly, and only the NPC types are remembered.
+	 *
+	 * @param {string} mapPath Relative path to the map, e.g. "/dungeons/something/part1.json".
+	 * @return {Set<string>|null} Null if the map wasn't found or couldn't be parsed.
+	 */
+	findNpcTypesInMap( mapPath ) {
+		if ( this.npcTypesByMap.has( mapPath ) ) {
+			return this.npcTypesByMap.get( mapPath );
+		}
+
+		var absolutePath = util.findInModOrVanilla( mapPath ),
+			map = absolutePath && util.loadModFile( absolutePath ),
+			npcTypes = null;
+
+		if ( map ) {
+			npcTypes = new Set();
+			for ( var layer of map.layers || [] ) {
+				for ( var object of layer.objects || [] ) {
+					var properties = this.getTiledProperties( object );
+					if ( properties.npc && properties.typeName ) {
+						npcTypes.add( properties.typeName );
+					}
+				}
+			}
+		}
+
+		this.npcTypesByMap.set( mapPath, npcTypes );
+		return npcTypes;
+	}
+
+	/**
+	 * Get custom properties of the object from Tiled map as key-value map.
+	 * Newer versions of Tiled save them as array: [ { "name": "typeName", "value": "merchant" }, ... ].
+	 *
+	 * @param {Object} tiledObject
+	 * @return {Object} Format: { propertyName: value, ... }
+	 */
+	getTiledProperties( tiledObject ) {
+		var properties = tiledObject.properties || {};
+		if ( !Array.isArray( properties ) ) {
+			return properties;
+		}
+
+		return Object.fromEntries( properties.map( ( property ) => [ property.name, property.value ] ) );
+	}
+
+	/**
+	 * Get the list of items that this merchant sells on planets of different tiers.
+	 *
+	 * @param {Merchant} merchant
+	 * @param {string} poolName One of the pools from "categories" of this merchant.
+	 * @return {Object[]|null} Format: [ { minTier: 1, maxTier: 3, items: [ shopSlot1, ... ] }, ... ],
+	 * where maxTier is null for the last tier range. Returns null if this pool is not in the poolsFile of merchant.
+	 */
+	getStock( merchant, poolName ) {
+		var asset = AssetDatabase.get( merchant.poolsFile );
+		var tieredPool = asset && asset.data[poolName];
+		if ( !tieredPool ) {
+			return null;
+		}
+
+		// Same as tiered treasure pools: each list of items is used since some tier (threat level of the planet)
+		// and until the tier of the next list.
+		return tieredPool.map( ( [ sinceTier, items ], index ) => {
+			var nextTierList = tieredPool[index + 1];
+			return {
+				minTier: Math.max( 1, Math.ceil( sinceTier ) ),
+				maxTier: nextTierList ? Math.ceil( nextTierList[0] ) - 1 : null,
+				items: items
+			};
+		} ).filter( ( stock ) => stock.maxTier === null || stock.maxTier >= stock.minTier );
+	}
+
+	/**
+	 * Find the merchant by its NPC type.
+	 *
+	 * @param {string} npcType
+	 * @return {Merchant|undefined}
+	 */
+	find( npcType ) {
+		if ( !this.loaded ) {
+			this.load();
+		}
+
+		return this.knownMerchants.get( npcType );
+	}
+
+	/**
+	 * Callback expected by MerchantDatabase.forEach().
+	 *
+	 * @callback merchantCallback
+	 * @param {Merchant} merchant
+	 */
+
+	/**
+	 * Iterate over all merchants. Run the callback for each of them.
+	 * Callback receives 1 parameter (Merchant object).
+	 *
+	 * @param {merchantCallback} callback
+	 */
+	forEach( callback ) {
+		if ( !this.loaded ) {
+			this.load();
+		}
+
+		for ( var merchant of this.knownMerchants.values() ) {
+			callback( merchant );
+		}
+	}
+}
+
+module.exports = new MerchantDatabase();
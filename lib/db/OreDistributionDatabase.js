@@ -0,0 +1,226 @@
+'use strict';
+
+const { AssetDatabase, BiomeDatabase, OreDistribution, PlanetDatabase, RegionDatabase, util } = require( '..' );
+
+/**
+ * Discovers which ores can be found in which biomes (and on which tiers of planets).
+ *
+ * Each biome has "ores" key (name of ore distribution function from *.configfunctions file),
+ * and this function returns the list of [ modName, commonality ] pairs for the threat level of the planet.
+ * Threat levels (tiers) of each planet type and the biomes of its layers are from terrestrial_worlds.config.
+ */
+class OreDistributionDatabase {
+	constructor() {
+		this.loaded = false;
+
+		// Array of known ores,
+		// e.g. { "copperore": OreDistribution1, "coalore": OreDistribution2, ... }
+		this.knownOres = new Map();
+
+		// Tiers of planets on which the ores can be found in each biome,
+		// e.g. { "forest": { "copperore": Set( 1, 2 ), ... }, ... }
+		this.oresByBiome = new Map();
+	}
+
+	/**
+	 * Scan the AssetDatabase and find which ores are in which biomes.
+	 */
+	load() {
+		var oreFunctions = this.loadConfigFunctions(),
+			modToItemCode = this.loadModDrops();
+
+		PlanetDatabase.forEach( ( planet ) => {
+			for ( var [ layerName, layerInfo ] of Object.entries( planet.layers ) ) {
+				var regionCodes = ( layerInfo.primaryRegion || [] ).concat( layerInfo.secondaryRegions || [] );
+
+				for ( var tier = Math.floor( planet.minTier ); tier <= planet.maxTier; tier++ ) {
+					for ( var biomeCode of this.getBiomeCodes( regionCodes, tier ) ) {
+						var biome = BiomeDatabase.find( biomeCode );
+						if ( !biome || !biome.ores ) {
+							continue;
+						}
+
+						var distribution = oreFunctions.get( biome.ores );
+						if ( !distribution ) {
+							util.log( '[error] Biome ' + biomeCode + ' refers to unknown ore distribution: ' + biome.ores );
+							continue;
+						}
+
+						for ( var [ modName, commonality ] of this.evaluateConfigFunction( distribution, tier ) || [] ) {
+							var itemCode = modToItemCode.get( modName );
+							if ( !itemCode ) {
+								// Unknown ore, or ore that doesn't drop anything.
+								continue;
+							}
+
+							this.addOre( itemCode, biomeCode, planet.planetCode, layerName, tier, commonality );
+						}
+					}
+				}
+			}
+		} );
+
+		util.log( '[info] OreDistributionDatabase: found ' + this.knownOres.size + ' ores in ' +
+			this.oresByBiome.size + ' biomes.' );
+		this.loaded = true;
+	}
+
+	/**
+	 * Load all functions from *.configfunctions files (such as ore distributions).
+	 *
+	 * @return {Map} Format: { functionName: [ [ param1, value1 ], [ param2, value2 ], ... ], ... }
+	 */
+	loadConfigFunctions() {
+		var configFunctions = new Map();
+		AssetDatabase.forEach( 'configfunctions', ( filename, asset ) => {
+			for ( var [ functionName, points ] of Object.entries( asset.data ) ) {
+				configFunctions.set( functionName, points );
+			}
+		} );
+
+		return configFunctions;
+	}
+
+	/**
+	 * Load all material mods (such as ores) and find which items they drop when mined.
+	 *
+	 * @return {Map} Format: { modName: itemCode, ... }, e.g. { "copper": "copperore", ... }
+	 */
+	loadModDrops() {
+		var modToItemCode = new Map();
+		AssetDatabase.forEach( 'matmod', ( filename, asset ) => {
+			var { modName, itemDrop } = asset.data;
+			if ( modName && itemDrop ) {
+				modToItemCode.set( modName, itemDrop );
+			}
+		} );
+
+		return modToItemCode;
+	}
+
+	/**
+	 * Calculate the value of config function (step function) for the parameter.
+	 * WARNING: we only support step functions (value of the last point where point's parameter <= param).
+	 *
+	 * @param {Array} points Format: [ [ param1, value1 ], [ param2, value2 ], ... ].
+	 * Strings (e.g. the name of interpolation mode) before the points are ignored.
+	 * @param {float} param Threat level of the planet.
+	 * @return {*} Value of the function. For ore distributions it's [ [ modName, commonality ], ... ].
+	 */
+	evaluateConfigFunction( points, param ) {
+		var value = null;
+		for ( var point of points ) {
+			if ( !Array.isArray( point ) ) {
+				continue;
+			}
+
+			if ( value === null || point[0] <= param ) {
+				value = point[1];
+			}
+		}
+
+		return value;
+	}
+
+	/**
+	 * Get codes of all biomes that can be in these regions (including subregions) on the planet of this tier.
+	 *
+	 * @param {string[]} regionCodes
+	 * @param {int} tier
+	 * @return {Set<string>}
+	 */
+	getBiomeCodes( regionCodes, tier ) {
+		var biomeCodes = new Set();
+		for ( var regionCode of regionCodes ) {
+			var region = RegionDatabase.find( regionCode );
+			if ( !region ) {
+				continue;
+			}
+
+			for ( var biomeOption of region.biomeOptions ) {
+				if ( biomeOption.minTier <= tier &&
+					!( biomeOption.maxTierNotIncluding && biomeOption.maxTierNotIncluding <= tier )
+				) {
+					biomeCodes.add( biomeOption.biomeCode );
+				}
+			}
+
+			for ( var subBiomeCode of this.getBiomeCodes( region.subRegion || [], tier ) ) {
+				biomeCodes.add( subBiomeCode );
+			}
+		}
+
+		return biomeCodes;
+	}
+
+	/**
+	 * Remember that the ore can be found in some biome.
+	 *
+	 * @param {string} itemCode
+	 * @param {string} biomeCode
+	 * @param {string} planetCode
+	 * @param {string} layerName
+	 * @param {int} tier
+	 * @param {float} commonality
+	 */
+	addOre( itemCode, biomeCode, planetCode, layerName, tier, commonality ) {
+		var ore = this.knownOres.get( itemCode );
+		if ( !ore ) {
+			ore = new OreDistribution( itemCode );
+			this.knownOres.set( itemCode, ore );
+		}
+		ore.addLocation( biomeCode, planetCode, layerName, tier, commonality );
+
+		var biomeOres = this.oresByBiome.get( biomeCode );
+		if ( !biomeOres ) {
+			biomeOres = new Map();
+			this.oresByBiome.set( biomeCode, biomeOres );
+		}
+
+		var tiers = biomeOres.get( itemCode );
+		if ( !tiers ) {
+			tiers = new Set();
+			biomeOres.set( itemCode, tiers );
+		}
+		tiers.add( tier );
+	}
+
+	/**
+	 * Find the distribution of the ore by ID of its item.
+	 *
+	 * @param {string} itemCode
+	 * @return {OreDistribution|undefined}
+	 */
+	find( itemCode ) {
+		if ( !this.loaded ) {
+			this.load();
+		}
+
+		return this.knownOres.get( itemCode );
+	}
+
+	/**
+	 * Callback expected by OreDistributionDatabase.forEachBiome().
+	 *
+	 * @callback biomeOresCallback
+	 * @param {string} biomeCode
+	 * @param {Map} ores Format: { itemCode: Set of tiers, ... }
+	 */
+
+	/**
+	 * Iterate over all biomes that have ores. Run the callback for each of them.
+	 *
+	 * @param {biomeOresCallback} callback
+	 */
+	forEachBiome( callback ) {
+		if ( !this.loaded ) {
+			this.load();
+		}
+
+		for ( var [ biomeCode, ores ] of this.oresByBiome ) {
+			callback( biomeCode, ores );
+		}
+	}
+}
+
+module.exports = new OreDistributionDatabase();
@@ -1,6 +1,6 @@
 'use strict';
 
-const { AssetDatabase, RemoveBadSymbols, util } = require( '..' );
+const { AssetDatabase, ItemDatabase, PageNameRegistry, Quest, util } = require( '..' );
 
 /**
  * Discovers all known quests.
@@ -10,7 +10,7 @@ class QuestDatabase {
 		this.loaded = false;
 
 		// Array of known quests,
-		// e.g. { "id1": { ... }, "id2": { ... }, ... }
+		// e.g. { "id1": Quest1, "id2": Quest2, ... }
 		this.knownQuests = new Map();
 	}
 	/**
@@ -18,30 +18,59 @@ class QuestDatabase {
 	 */
 	load() {
 		AssetDatabase.forEach( 'quest', ( filename, asset ) => {
-			var quest = asset.data;
-			if ( quest.id.endsWith( '.generated' ) ) {
+			var questData = asset.data;
+			if ( questData.id.endsWith( '.generated' ) ) {
 				// This is not a unique quest, it's a template for autogenerated tenant quest.
 				return;
 			}
 
-			if ( !quest.title ) {
-				util.log( '[warn] QuestDatabase: quest ' + quest.id + " doesn't have a title." );
+			if ( !questData.title ) {
+				util.log( '[warn] QuestDatabase: quest ' + questData.id + " doesn't have a title." );
 				return;
 			}
 
-			quest.title = RemoveBadSymbols.fromName( quest.title );
-			this.knownQuests.set( quest.id, quest );
+			var quest = new Quest( questData, filename );
+			this.knownQuests.set( quest.questCode, quest );
+
+			PageNameRegistry.add( quest );
 		} );
 
+		this.loadGivers();
+
 		util.log( '[info] QuestDatabase: found ' + this.knownQuests.size + ' quests.' );
 		this.loaded = true;
 	}
 
+	/**
+	 * Find objects and NPCs that offer the quests to the player, remember them in the Quest objects.
+	 */
+	loadGivers() {
+		var addGiver = ( questCodes, giversSetName, giver ) => {
+			for ( var questCode of questCodes || [] ) {
+				var quest = this.knownQuests.get( questCode );
+				if ( quest ) {
+					quest[giversSetName].add( giver );
+				}
+			}
+		};
+
+		ItemDatabase.forEach( ( itemCode, item ) => addGiver( item.offeredQuests, 'giverObjects', itemCode ) );
+
+		AssetDatabase.forEach( 'npc', ( filename, asset ) => {
+			var npc = asset.data,
+				scriptConfig = npc.scriptConfig || {};
+
+			// Unique NPCs (e.g. in Science Outpost) have a name, other NPCs are shown as their type.
+			var npcName = ( npc.identity && npc.identity.name ) || npc.type;
+			addGiver( scriptConfig.offeredQuests, 'giverNpcs', npcName );
+		} );
+	}
+
 	/**
 	 * Find the quest by its ID.
 	 *
 	 * @param {string} id
-	 * @return {Object|null} Arbitrary information about this quest.
+	 * @return {Quest|null} Arbitrary information about this quest.
 	 */
 	find( id ) {
 		if ( !this.loaded ) {
@@ -55,12 +84,12 @@ class QuestDatabase {
 	 * Callback expected by QuestDatabase.forEach().
 	 *
 	 * @callback questCallback
-	 * @param {Object} quest
+	 * @param {Quest} quest
 	 */
 
 	/**
 	 * Iterate over all quests. Run the callback for each of them.
-	 * Callback receives 1 parameter (quest object).
+	 * Callback receives 1 parameter (Quest object).
 	 *
 	 * @param {questCallback} callback
 	 */
@@ -8,6 +8,37 @@ const armorSetsWithoutSetBonus = new Set( config.armorSetsWithoutSetBonus );
  * Represents one armor set in the ArmorSetDatabase.
  */
 class ArmorSet {
+	/**
+	 * Cargo table of all armor sets (see CargoSchema). Stats are the totals of all pieces of the set.
+	 */
+	static cargoTables = {
+		armorset: {
+			id: 'String',
+			tier: 'String',
+			rarity: 'String',
+			price: 'String',
+			setBonus: 'Wikitext',
+			head: 'List (,) of String',
+			headPage: 'List (,) of Page',
+			chest: 'List (,) of String',
+			chestPage: 'List (,) of Page',
+			legs: 'List (,) of String',
+			legsPage: 'List (,) of Page',
+			damage: 'Float',
+			protection: 'Float',
+			energy: 'Float',
+			health: 'Float',
+			physical: 'Integer',
+			radioactive: 'Integer',
+			poison: 'Integer',
+			electric: 'Integer',
+			fire: 'Integer',
+			ice: 'Integer',
+			cosmic: 'Integer',
+			shadow: 'Integer'
+		}
+	};
+
 	/**
 	 * @param {string} id Arbitrary ID that is the same for all items in this set.
 	 */
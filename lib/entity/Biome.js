@@ -6,6 +6,19 @@ const { CargoRow, EntityWithPageName, LightColor, Query, WeatherPoolDatabase, ut
  * Represents one biome in the BiomeDatabase.
  */
 class Biome {
+	/**
+	 * Cargo table of all biomes (see CargoSchema).
+	 */
+	static cargoTables = {
+		biome: {
+			id: 'String',
+			name: 'String',
+			wikiPage: 'Page',
+			weatherPools: 'List (,) of String',
+			statusEffects: 'List (,) of String'
+		}
+	};
+
 	/**
 	 * @param {Object} rawData Structure that describes this biome.
 	 */
@@ -0,0 +1,162 @@
+'use strict';
+
+const { CargoRow } = require( '..' );
+
+/**
+ * Represents the way to obtain 1 item by crafting it from other items (which are also crafted, and so on),
+ * down to the raw materials. Created by CraftingTreeCalculator.
+ *
+ * Subtrees are shared between trees (e.g. every tree that needs Copper Bar uses the same CraftingTree of Copper Bar).
+ */
+class CraftingTree {
+	/**
+	 * Cargo table with total raw materials, one row per material (see CargoSchema).
+	 */
+	static cargoTables = {
+		/* eslint-disable camelcase */
+		raw_materials: {
+			id: 'String',
+			material: 'String',
+			count: 'Float',
+			isByproduct: 'Boolean'
+		}
+		/* eslint-enable camelcase */
+	};
+
+	/**
+	 * @param {string} itemCode
+	 * @param {Recipe|null} recipe Recipe that was chosen to obtain this item. If null, this is a raw material.
+	 */
+	constructor( itemCode, recipe = null ) {
+		this.itemCode = itemCode;
+		this.recipe = recipe;
+
+		// How many of this item does the recipe produce (multi-output recipes can also produce other items).
+		this.outputCount = 1;
+
+		// Ingredients needed to obtain 1 item (not 1 craft of the recipe).
+		// Format: [ { amount: 0.5, tree: CraftingTree }, ... ]
+		this.inputs = [];
+
+		// Other outputs of the recipe, per 1 item (not per 1 craft of the recipe).
+		// Chance-based outputs are counted on average. Format: { itemCode: amount, ... }
+		this.byproducts = new Map();
+
+		// Codes of all items that the cycle detection has checked while building this tree (including its subtrees),
+		// and those of them that were ancestors of this tree (and therefore couldn't be used as ingredients).
+		// Used by CraftingTreeCalculator to decide whether this tree can be reused elsewhere.
+		this.consultedItemCodes = new Set( [ itemCode ] );
+		this.blockedItemCodes = new Set();
+
+		// True if some recipe in this tree was chosen because a better recipe would create a cycle.
+		this.isConstrained = false;
+	}
+
+	/**
+	 * Add an ingredient of this item.
+	 *
+	 * @param {number} amount How many of the ingredient are needed to obtain 1 item.
+	 * @param {CraftingTree} inputTree
+	 */
+	addInput( amount, inputTree ) {
+		this.inputs.push( { amount: amount, tree: inputTree } );
+		inputTree.consultedItemCodes.forEach( ( itemCode ) => this.consultedItemCodes.add( itemCode ) );
+	}
+
+	/**
+	 * Returns true if this item can't be obtained from other items (or if we don't know how).
+	 *
+	 * @return {boolean}
+	 */
+	isRawMaterial() {
+		return !this.recipe;
+	}
+
+	/**
+	 * Get the total amount of raw materials needed to obtain 1 item.
+	 *
+	 * @return {Map} Format: { itemCode: amount, ... }, sorted by itemCode.
+	 */
+	getRawMaterials() {
+		if ( this.cachedRawMaterials ) {
+			return this.cachedRawMaterials;
+		}
+
+		var totals = new Map();
+		if ( this.isRawMaterial() ) {
+			totals.set( this.itemCode, 1 );
+		}
+
+		for ( var input of this.inputs ) {
+			for ( var [ itemCode, amount ] of input.tree.getRawMaterials() ) {
+				totals.set( itemCode, ( totals.get( itemCode ) || 0 ) + amount * input.amount );
+			}
+		}
+
+		this.cachedRawMaterials = new Map( [...totals].sort( ( a, b ) => a[0].localeCompare( b[0] ) ) );
+		return this.cachedRawMaterials;
+	}
+
+	/**
+	 * Get the total amount of byproducts (other outputs of multi-output recipes) of obtaining 1 item,
+	 * including the byproducts of obtaining its ingredients.
+	 *
+	 * @return {Map} Format: { itemCode: amount, ... }, sorted by itemCode.
+	 */
+	getByproducts() {
+		if ( this.cachedByproducts ) {
+			return this.cachedByproducts;
+		}
+
+		var totals = new Map( this.byproducts );
+		for ( var input of this.inputs ) {
+			for ( var [ itemCode, amount ] of input.tree.getByproducts() ) {
+				totals.set( itemCode, ( totals.get( itemCode ) || 0 ) + amount * input.amount );
+			}
+		}
+
+		this.cachedByproducts = new Map( [...totals].sort( ( a, b ) => a[0].localeCompare( b[0] ) ) );
+		return this.cachedByproducts;
+	}
+
+	/**
+	 * Get partition key (arbitrary string). This value shouldn't be based on fields that change often.
+	 *
+	 * @return {string}
+	 */
+	getPartitionKey() {
+		return 'item-' + this.itemCode;
+	}
+
+	/**
+	 * Get a list of #cargo_store directives necessary to write the total raw materials
+	 * (and byproducts) into the Cargo database.
+	 *
+	 * @return {CargoRow[]}
+	 */
+	toCargoDatabase() {
+		var rows = [];
+		var addRows = ( amounts, isByproduct ) => {
+			for ( var [ materialCode, amount ] of amounts ) {
+				var fields = {
+					id: this.itemCode,
+					material: materialCode,
+					// Amounts can be fractional (e.g. when 1 ore is extracted into 2 items).
+					count: Math.round( amount * 1000 ) / 1000
+				};
+				if ( isByproduct ) {
+					fields.isByproduct = 1;
+				}
+
+				rows.push( new CargoRow( 'raw_materials', fields, { compact: true } ) );
+			}
+		};
+
+		addRows( this.getRawMaterials(), false );
+		addRows( this.getByproducts(), true );
+
+		return rows;
+	}
+}
+
+module.exports = CraftingTree;
@@ -1,7 +1,7 @@
 'use strict';
 
 const { LoadedAsset, Query, EntityWithPageName, FunctionDatabase, MaterialDatabase,
-		LightColor, LiquidDatabase, WeaponAbilityDatabase,
+		LightColor, LiquidDatabase, WeaponAbilityDatabase, WeaponAnalysis,
 		AssetDatabase, CargoRow, RemoveBadSymbols, util } = require( '..' ),
 	deepmerge = require( 'deepmerge' );
 
@@ -9,6 +9,45 @@ const { LoadedAsset, Query, EntityWithPageName, FunctionDatabase, MaterialDataba
  * Represents one item from the ItemDatabase.
  */
 class Item {
+	/**
+	 * Cargo tables that are written by toCargoDatabase(), see CargoSchema.
+	 * Metadata and codex texts are in separate tables, because they have many rows per item.
+	 */
+	static cargoTables = {
+		/* eslint-disable camelcase */
+		item: {
+			id: 'String',
+			name: 'String',
+			wikiPage: 'Page',
+			category: 'String',
+			tags: 'List (,) of String',
+			colonyTags: 'List (,) of String',
+			description: 'Wikitext',
+			tier: 'String',
+			rarity: 'String',
+			price: 'String',
+			stackSize: 'String',
+			twoHanded: 'String',
+			unlocks: 'List (,) of String'
+		},
+		item_metadata: {
+			id: 'String',
+			prop: 'String',
+			value: 'String'
+		},
+		codex_text: {
+			id: 'String',
+			text: 'Text'
+		},
+		item_effect: {
+			id: 'String',
+			effect: 'String',
+			duration: 'String',
+			modifiers: 'List (,) of String'
+		}
+		/* eslint-enable camelcase */
+	};
+
 	/**
 	 * @param {LoadedAsset} asset Results of AssetDatabase.get() for the asset that describes this item.
 	 * @param {string} overrideId If not empty, item ID will be this string. Used for pseudo-items.
@@ -398,9 +437,54 @@ class Item {
 			}, { compact: true } ) );
 		}
 
+		// Status effects that are applied when this item is eaten/used.
+		for ( var { effect, duration } of this.getConsumptionEffects() ) {
+			cargoRows.push( new CargoRow( 'item_effect', {
+				id: this.itemCode,
+				effect: effect.name,
+				duration: duration,
+				modifiers: effect.getStatModifiers()
+			}, { compact: true } ) );
+		}
+
 		return cargoRows;
 	}
 
+	/**
+	 * Get status effects that are applied when this consumable (food, medicine, etc.) is used.
+	 *
+	 * @return {Object[]} Format: [ { effect: StatusEffect, duration: 60 }, ... ]
+	 */
+	getConsumptionEffects() {
+		if ( !this.isConsumable || !Array.isArray( this.effects ) ) {
+			return [];
+		}
+
+		var foundEffects = new Map(); // { effectName: { effect, duration }, ... }
+
+		// Usually "effects" is an array of arrays (e.g. [ [ "wellfed", { "effect": "runboost", "duration": 60 } ] ]),
+		// where each effect is either its name or { effect, duration } (to override its default duration).
+		for ( var effectInfo of this.effects.flat() ) {
+			if ( typeof ( effectInfo ) === 'string' ) {
+				effectInfo = { effect: effectInfo };
+			}
+
+			var effect = effectInfo && Query.findStatusEffect( effectInfo.effect );
+			if ( !effect ) {
+				// Unknown effect or effect without human-readable label (see StatusEffectDatabase.load()).
+				continue;
+			}
+
+			var duration = effectInfo.duration || effect.defaultDuration;
+			var previousInfo = foundEffects.get( effect.name );
+			if ( !previousInfo || ( duration || 0 ) > ( previousInfo.duration || 0 ) ) {
+				foundEffects.set( effect.name, { effect: effect, duration: duration } );
+			}
+		}
+
+		return [...foundEffects.values()];
+	}
+
 	/**
 	 * Gather metadata (parameters like foodValue, which only make sense for some items and
 	 * don't have a column in "item" table) - these values are written into "item_metadata" table.
@@ -445,7 +529,8 @@ class Item {
 			FunctionDatabase.calculate( 'weaponDamageLevelMultiplier', this.level ) : 1;
 
 		// Add damage, elemental type, etc. of left-click and right-click attacks.
-		var projectile = this.projectileConfig || this.projectileParameters; // For thrown weapons
+		var projectile = this.projectileConfig || this.projectileParameters, // For thrown weapons
+			primaryAttack = this.primaryAbility;
 
 		if ( this.primaryAbility ) {
 			Object.assign( metadata, util.getAttackMetadata( this.primaryAbility, '', damageMultiplier ) );
@@ -469,12 +554,16 @@ class Item {
 			}
 
 			Object.assign( metadata, util.getAttackMetadata( thrownAbility, '', damageMultiplier ) );
+			primaryAttack = thrownAbility;
 		}
 
 		if ( this.altAbility ) {
 			Object.assign( metadata, util.getAttackMetadata( this.altAbility, 'alt.', damageMultiplier ) );
 		}
 
+		// Damage per shot, DPS and damage of combo steps on every tier of this weapon.
+		Object.assign( metadata, new WeaponAnalysis( this, { '': primaryAttack, 'alt.': this.altAbility } ).getMetadata() );
+
 		if ( this.critChance && this.critBonus ) {
 			metadata.critChance = this.critChance;
 			metadata.critBonus = this.critBonus;
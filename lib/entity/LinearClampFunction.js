@@ -6,6 +6,18 @@ const { CargoRow } = require( '..' );
  * Represents one function in the FunctionDatabase.
  */
 class LinearClampFunction {
+	/**
+	 * Cargo table with values of all leveling functions, one row per parameter (see CargoSchema).
+	 */
+	static cargoTables = {
+		function: {
+			id: 'String',
+			param: 'Float',
+			value: 'Float',
+			derivative: 'Float'
+		}
+	};
+
 	/**
 	 * @param {string} functionName
 	 * @param {float[][]} values
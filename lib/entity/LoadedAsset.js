@@ -4,21 +4,27 @@ const { config, util } = require( '..' ),
 	lodash = require( 'lodash' );
 
 /**
- * Represents one asset (parsed JSON file from either vanilla or the mod). Used in AssetDatabase.
+ * Represents one asset (parsed JSON file from either vanilla or one of the mods). Used in AssetDatabase.
  */
 class LoadedAsset {
 	/**
 	 * @param {AssetDatabase} db Dependency injection of the AssetDatabase object.
 	 * @param {Object} assetInfo Must contain keys: 'absolutePath' (string), 'filename' (string).
+	 * Optional key 'source' (string) is the directory of the mod (or vanilla) that supplied this asset.
+	 * Optional key 'trackProvenance' (boolean): if true, loadNow() will remember which file/patch
+	 * has modified each field of this asset (see getProvenance()). This is slow, so it's not used by default.
 	 */
 	constructor( db, assetInfo ) {
 		Object.assign( this, assetInfo );
 		this.db = db;
 
+		if ( !this.source ) {
+			this.source = this.vanilla ? config.pathToVanilla : config.pathToMod;
+		}
+
 		if ( !this.absolutePath ) {
 			// Can happen after JSON.parse(JSON.stringify(asset)).
-			this.absolutePath = ( this.vanilla ? config.pathToVanilla : config.pathToMod ) +
-				'/' + this.filename;
+			this.absolutePath = this.source + '/' + this.filename;
 		}
 	}
 
@@ -35,6 +41,7 @@ class LoadedAsset {
 		var assetInfo = {
 			filename: parentAsset.filename,
 			absolutePath: parentAsset.absolutePath,
+			source: parentAsset.source,
 			vanilla: parentAsset.vanilla,
 			type: parentAsset.type,
 			data: childData
@@ -55,14 +62,23 @@ class LoadedAsset {
 				return null;
 			}
 
-			// Is there a patch?
-			var patchAsset = this.db.knownPatches.get( this.filename );
-			if ( patchAsset ) {
+			if ( this.trackProvenance ) {
+				this.provenance = [];
+				this.addProvenanceRecord( data, { op: 'load', path: '' }, this.absolutePath, null );
+			}
+
+			// Are there patches? Several mods can patch the same asset, in which case
+			// the patches are applied in the load order of these mods.
+			this.patched = false;
+			this.patchedBy = [];
+
+			for ( var patchAsset of this.db.knownPatches.get( this.filename ) || [] ) {
 				// We need to apply instructions from patch to "this.data".
-				this.applyPatchInstructions( patchAsset.data || patchAsset.loadNow(), data );
+				this.applyPatchInstructions( patchAsset.data || patchAsset.loadNow(), data, patchAsset.absolutePath );
 
-				// Just in case (not really used): remember the fact that this asset was patched.
+				// Remember which mods have patched this asset.
 				this.patched = true;
+				this.patchedBy.push( patchAsset.source );
 			}
 
 			// Remove keys that we don't use (reduces cache size, improves loading time).
@@ -77,7 +93,7 @@ class LoadedAsset {
 	/**
 	 * Returns the fields that must be included into JSON.stringify().
 	 * This is used in AssetDatabase.updateCache().
-	 * Note that "absolutePath" is excluded, because we can restore it from "filename" and "vanilla".
+	 * Note that "absolutePath" is excluded, because we can restore it from "filename" and "source".
 	 * Not saving this path reduces loading time.
 	 *
 	 * @return {Object}
@@ -89,8 +105,12 @@ class LoadedAsset {
 			type: this.type,
 			data: this.data
 		};
+		if ( !this.vanilla ) {
+			ret.source = this.source;
+		}
 		if ( this.patched ) {
 			ret.patched = true;
+			ret.patchedBy = this.patchedBy;
 		}
 		if ( this.overwrittenVanilla ) {
 			ret.overwrittenVanilla = true;
@@ -101,15 +121,24 @@ class LoadedAsset {
 
 	/**
 	 * Apply the JSON patch to JSON data.
+	 * Supports all operations of RFC 6902 (add, remove, replace, copy, move, test),
+	 * as well as Starbound-specific "inverse" flag of "test" operation.
 	 *
 	 * @param {Object} patch
 	 * @param {Object} data
+	 * @param {string} [patchFilename] Path to the .patch file (only used in getProvenance()).
+	 * @param {string} [parentIndex] Index of parent instruction (only for nested arrays of instructions).
 	 */
-	applyPatchInstructions( patch, data ) {
+	applyPatchInstructions( patch, data, patchFilename, parentIndex ) {
 		// This is set to true if we find "test" operation that tells us to ignore the rest of this patch.
 		var patchSkipped = false;
 
-		patch.forEach( ( instruction ) => {
+		patch.forEach( ( instruction, index ) => {
+			if ( parentIndex !== undefined ) {
+				// Nested instruction, e.g. #3.1 is the second instruction within the fourth array of instructions.
+				index = parentIndex + '.' + index;
+			}
+
 			if ( patchSkipped ) {
 				// This instruction must be ignored, because preceding "test" instruction says so.
 				return;
@@ -118,83 +147,305 @@ class LoadedAsset {
 			if ( Array.isArray( instruction ) ) {
 				// This is an array of instructions, not a single instruction.
 				// Handle this recursively.
-				this.applyPatchInstructions( instruction, data );
+				this.applyPatchInstructions( instruction, data, patchFilename, index );
 				return;
 			}
 
-			var op = instruction.op,
-				value = instruction.value;
-
-			if ( op === 'copy' || op === 'move' ) {
-				// These operations are not supported.
-				// They are also not used in the mod.
+			if ( instruction.op === 'test' ) {
+				if ( !this.checkPatchCondition( instruction, data ) ) {
+					// This patch shouldn't be applied, because its condition is not satisfied.
+					patchSkipped = true;
+				}
 				return;
 			}
 
-			if ( instruction.path === '/-' && op === 'add' ) {
-				// Special case: the entire data is an array, and we are adding new element to the bottom of it.
-				data.push( value );
-				return;
+			var errorMessage = this.applyPatchOperation( instruction, data );
+			if ( errorMessage ) {
+				// Must be tolerant to bad input (skip this instruction, continue with the rest of the patch),
+				// because a mistake in one patch shouldn't stop the script.
+				util.log( '[warning] LoadedAsset: failed to apply instruction #' + index + ' of ' +
+					this.filename + '.patch (' + errorMessage + '): ' + JSON.stringify( instruction ) );
+			} else if ( this.provenance ) {
+				this.addProvenanceRecord( data, instruction, patchFilename, index );
 			}
+		} );
+	}
 
-			var objectPath = instruction.path.slice( 1 ).split( '/' );
-			if ( op === 'add' ) {
-				// Handle add operations to: 1) "/some-array/-" (add to the end of array)
-				// 2) "/some-array/123" (add the new element BEFORE what is currently element #123).
-				var possiblyIndex = objectPath.pop();
-
-				if ( possiblyIndex !== '-' && Number.isNaN( Number( possiblyIndex ) ) ) {
-					// Not an index. We don't consider this an "add to array" operation,
-					// instead this is "add new key-value" operation.
-					objectPath.push( possiblyIndex );
-				} else {
-					var currentArray = ( lodash.get( data, objectPath ) || [] );
-
-					if ( possiblyIndex === '-' ) {
-						// Pseudo-value "-" means "add after the last element of array".
-						// Here "value" is the new element that we are adding.
-						value = currentArray.concat( [ value ] );
-					} else {
-						// Add "value" to currentArray BEFORE currentArray[possiblyIndex]
-						var before = currentArray.slice( 0, possiblyIndex ),
-							after = currentArray.slice( possiblyIndex );
-
-						value = before.concat( [ value ] ).concat( after );
-					}
-
-					op = 'replace';
-				}
+	/**
+	 * Remember that the field of this asset was modified by the file (asset itself or its patch).
+	 * Only used if this.trackProvenance is true.
+	 *
+	 * @param {Object} data Value of this.data after the modification.
+	 * @param {Object} instruction Patch instruction, e.g. { op: 'replace', path: '/price', value: 100 }.
+	 * @param {string} filename Path to the file that made the modification.
+	 * @param {number|string|null} instructionIndex Index of instruction within the patch (null for the asset itself).
+	 */
+	addProvenanceRecord( data, instruction, filename, instructionIndex ) {
+		var keys = this.parseJsonPointer( instruction.path );
+		if ( keys.length > 0 && keys[keys.length - 1] === '-' ) {
+			// Pseudo-index "-" (end of array): record the actual index of the added element.
+			var parent = this.getValueByPointer( data, keys.slice( 0, -1 ) );
+			keys = keys.slice( 0, -1 ).concat( [ String( parent.length - 1 ) ] );
+		}
+
+		var record = {
+			op: instruction.op,
+			path: keys,
+			filename: filename,
+			instructionIndex: instructionIndex
+		};
+		if ( instruction.op === 'move' ) {
+			record.from = this.parseJsonPointer( instruction.from );
+		}
+		if ( instruction.op !== 'remove' ) {
+			// Remember the value that was set by this operation (it can be changed by further patches).
+			record.value = lodash.cloneDeep( this.getValueByPointer( data, keys ) );
+		}
+
+		this.provenance.push( record );
+	}
+
+	/**
+	 * Get the list of all modifications of the field (in the order they were made),
+	 * including modifications of its parent fields (e.g. replacing the entire list that contains this field)
+	 * and its child fields (e.g. adding a new element to this list).
+	 * Only available if this asset was loaded with trackProvenance=true.
+	 *
+	 * Note: the paths are recorded as they were at the moment of modification. If the patch has inserted
+	 * an element into the middle of array, then earlier records may point to the different index.
+	 *
+	 * @param {string} pointer JSON pointer to the field, e.g. "/upgradeStages/0/itemSpawnParameters".
+	 * @return {Object[]} Array of records, e.g. [ { op: 'load', path: [], filename: '...', ... }, ... ],
+	 * where "path" (array of keys) is the path to the modified field, "filename" is the file that modified it,
+	 * "instructionIndex" is the index of instruction within the .patch file (null for the asset itself),
+	 * and "value" is the value that this operation has set (not present for "remove").
+	 */
+	getProvenance( pointer ) {
+		if ( !this.provenance ) {
+			throw new Error( 'LoadedAsset: provenance of ' + this.filename + ' is not tracked (not loaded with trackProvenance=true).' );
+		}
+
+		var keys = this.parseJsonPointer( pointer );
+		if ( keys === null ) {
+			throw new Error( 'LoadedAsset: invalid JSON pointer: ' + pointer );
+		}
+
+		// True if one path is the beginning of another path (or if they are the same).
+		var isRelated = ( path ) => {
+			var length = Math.min( path.length, keys.length );
+			return lodash.isEqual( path.slice( 0, length ), keys.slice( 0, length ) );
+		};
+
+		return this.provenance.filter( ( record ) => isRelated( record.path ) || ( record.from && isRelated( record.from ) ) );
+	}
+
+	/**
+	 * Check the condition of "test" operation of the JSON patch.
+	 * If "value" is specified, then the field must exist and be equal to this value.
+	 * Otherwise the field merely needs to exist. Flag "inverse" (if present) negates the result.
+	 * Invalid "path" means that the condition is not satisfied (regardless of "inverse").
+	 *
+	 * @param {Object} instruction
+	 * @param {Object} data
+	 * @return {boolean} True if the rest of the patch should be applied, false otherwise.
+	 */
+	checkPatchCondition( instruction, data ) {
+		var keys = this.parseJsonPointer( instruction.path );
+		if ( keys === null ) {
+			// Same as invalid path in other operations: tolerate bad input, but the condition can't be satisfied.
+			util.log( '[warning] LoadedAsset: invalid path in "test" instruction of ' +
+				this.filename + '.patch: ' + JSON.stringify( instruction ) );
+			return false;
+		}
+
+		var currentValue = this.getValueByPointer( data, keys ),
+			isSatisfied = ( currentValue !== undefined );
+
+		if ( isSatisfied && instruction.value !== undefined ) {
+			isSatisfied = lodash.isEqual( currentValue, instruction.value );
+		}
+
+		return instruction.inverse ? !isSatisfied : isSatisfied;
+	}
+
+	/**
+	 * Apply one non-"test" operation of the JSON patch.
+	 *
+	 * @param {Object} instruction
+	 * @param {Object} data
+	 * @return {string|null} Error message (if the operation couldn't be applied) or null (if successful).
+	 */
+	applyPatchOperation( instruction, data ) {
+		var op = instruction.op,
+			keys = this.parseJsonPointer( instruction.path );
+
+		if ( keys === null ) {
+			return 'invalid path';
+		}
+
+		if ( op === 'add' ) {
+			return this.addValueByPointer( data, keys, instruction.value );
+		}
+
+		if ( op === 'remove' ) {
+			return this.removeValueByPointer( data, keys );
+		}
+
+		if ( op === 'replace' ) {
+			if ( this.getValueByPointer( data, keys ) === undefined ) {
+				return 'nothing to replace';
 			}
 
-			if ( op === 'replace' || op === 'add' ) {
-				lodash.set( data, objectPath, value );
-			} else if ( op === 'remove' ) {
-				// Carefully delete the element from Array/Object.
-				// Note: while lodash.unset() would be enough for objects, using it to delete keys from arrays
-				// would create holes in the array, resulting in incorrect application of further patches.
-				var index = objectPath.pop();
-				var list = lodash.get( data, objectPath );
-
-				if ( Array.isArray( list ) ) {
-					// Removing numeric index from array.
-					list.splice( index, 1 );
-					lodash.set( list, objectPath );
-				} else {
-					// Unsetting property of object.
-					objectPath.push( index );
-					lodash.unset( data, objectPath );
-				}
-			} else if ( op === 'test' ) {
-				var fieldExists = lodash.has( data, objectPath );
-				if ( fieldExists && instruction.inverse ) {
-					// This patch shouldn't be applied if the field exists.
-					patchSkipped = true;
-				} else if ( !fieldExists && !instruction.inverse ) {
-					// This patch shouldn't be applied, because the field doesn't exist.
-					patchSkipped = true;
+			// Replacing is the same as removing followed by adding.
+			return this.removeValueByPointer( data, keys ) ||
+				this.addValueByPointer( data, keys, instruction.value );
+		}
+
+		if ( op === 'copy' || op === 'move' ) {
+			var fromKeys = this.parseJsonPointer( instruction.from );
+			if ( fromKeys === null ) {
+				return 'invalid "from" path';
+			}
+
+			var value = this.getValueByPointer( data, fromKeys );
+			if ( value === undefined ) {
+				return 'nothing to ' + op;
+			}
+
+			if ( op === 'copy' ) {
+				return this.addValueByPointer( data, keys, lodash.cloneDeep( value ) );
+			}
+
+			if ( fromKeys.length < keys.length && lodash.isEqual( fromKeys, keys.slice( 0, fromKeys.length ) ) ) {
+				return 'can\'t move the value into its own child';
+			}
+
+			return this.removeValueByPointer( data, fromKeys ) ||
+				this.addValueByPointer( data, keys, value );
+		}
+
+		return 'unknown operation';
+	}
+
+	/**
+	 * Convert JSON pointer (e.g. "/some~1key/0") into an array of keys (e.g. [ "some/key", "0" ]).
+	 *
+	 * @param {string} pointer
+	 * @return {string[]|null} Array of keys (empty array for the root of data) or null if invalid.
+	 */
+	parseJsonPointer( pointer ) {
+		if ( pointer === '' ) {
+			return [];
+		}
+
+		if ( typeof ( pointer ) !== 'string' || pointer[0] !== '/' ) {
+			return null;
+		}
+
+		// Escape sequences: "~1" means "/", and "~0" means "~". Order of replacements is important.
+		return pointer.slice( 1 ).split( '/' ).map( ( key ) => key.replace( /~1/g, '/' ).replace( /~0/g, '~' ) );
+	}
+
+	/**
+	 * Find the value within JSON data.
+	 *
+	 * @param {Object} data
+	 * @param {string[]} keys Value returned by parseJsonPointer().
+	 * @return {Mixed} Found value (if any) or undefined (if not found).
+	 */
+	getValueByPointer( data, keys ) {
+		var value = data;
+		for ( var key of keys ) {
+			if ( Array.isArray( value ) ) {
+				if ( !this.isArrayIndex( key ) || Number( key ) >= value.length ) {
+					return undefined;
 				}
+			} else if ( !lodash.isPlainObject( value ) || !Object.prototype.hasOwnProperty.call( value, key ) ) {
+				return undefined;
 			}
-		} );
+
+			value = value[key];
+		}
+
+		return value;
+	}
+
+	/**
+	 * Add the value into JSON data (as a new key of Object or as a new element of Array).
+	 *
+	 * @param {Object} data
+	 * @param {string[]} keys Value returned by parseJsonPointer().
+	 * @param {Mixed} value
+	 * @return {string|null} Error message (if failed) or null (if successful).
+	 */
+	addValueByPointer( data, keys, value ) {
+		if ( value === undefined ) {
+			return 'no value';
+		}
+
+		if ( keys.length === 0 ) {
+			return 'replacing the entire asset is not supported';
+		}
+
+		var key = keys[keys.length - 1],
+			parent = this.getValueByPointer( data, keys.slice( 0, -1 ) );
+
+		if ( Array.isArray( parent ) ) {
+			if ( key === '-' ) {
+				// Pseudo-index "-" means "add after the last element of array".
+				parent.push( value );
+			} else if ( this.isArrayIndex( key ) && Number( key ) <= parent.length ) {
+				// Add "value" BEFORE what is currently the element with this index.
+				parent.splice( Number( key ), 0, value );
+			} else {
+				return 'invalid array index';
+			}
+		} else if ( lodash.isPlainObject( parent ) ) {
+			parent[key] = value;
+		} else {
+			return 'parent not found';
+		}
+
+		return null;
+	}
+
+	/**
+	 * Delete the key of Object or the element of Array from JSON data.
+	 *
+	 * @param {Object} data
+	 * @param {string[]} keys Value returned by parseJsonPointer().
+	 * @return {string|null} Error message (if failed) or null (if successful).
+	 */
+	removeValueByPointer( data, keys ) {
+		if ( keys.length === 0 ) {
+			return 'removing the entire asset is not supported';
+		}
+
+		if ( this.getValueByPointer( data, keys ) === undefined ) {
+			return 'nothing to remove';
+		}
+
+		var key = keys[keys.length - 1],
+			parent = this.getValueByPointer( data, keys.slice( 0, -1 ) );
+
+		if ( Array.isArray( parent ) ) {
+			// Note: "delete" would create holes in the array, resulting in incorrect application of further patches.
+			parent.splice( Number( key ), 1 );
+		} else {
+			delete parent[key];
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check if the key of JSON pointer is a valid array index (e.g. "0" or "15", but not "01" or "-1").
+	 *
+	 * @param {string} key
+	 * @return {boolean}
+	 */
+	isArrayIndex( key ) {
+		return /^(0|[1-9][0-9]*)$/.test( key );
 	}
 }
 
@@ -0,0 +1,95 @@
+'use strict';
+
+const { CargoRow, Query, config, util } = require( '..' ),
+	{ capitalCase } = require( 'change-case' );
+
+/**
+ * Represents one type of NPC merchant (*.npctype file with "merchant" key in scriptConfig) in the MerchantDatabase.
+ */
+class Merchant {
+	/**
+	 * Cargo table of all NPC merchants (see CargoSchema).
+	 */
+	static cargoTables = {
+		merchant: {
+			id: 'String',
+			name: 'String',
+			pools: 'List (,) of String',
+			buyFactorMin: 'String',
+			buyFactorMax: 'String',
+			sellFactorMin: 'String',
+			sellFactorMax: 'String',
+			numItems: 'String',
+			dungeons: 'List (,) of String',
+			dungeonNames: 'List (,) of String'
+		}
+	};
+
+	/**
+	 * @param {string} npcType ID of NPC type, e.g. "weaponmerchant".
+	 * @param {Object} merchantConfig Value of "scriptConfig.merchant" in *.npctype file (including inherited keys).
+	 */
+	constructor( npcType, merchantConfig ) {
+		Object.assign( this, merchantConfig );
+
+		this.npcType = npcType;
+		this.displayName = config.merchantNames[npcType] || capitalCase( npcType );
+
+		// Path to the file with "tiered lists of items" (the pools that are mentioned in "categories").
+		this.poolsFile = ( this.poolsFile || '/npcs/merchantpools.config' ).replace( /^\//, '' );
+
+		// Same as in the game: if the range is not specified, the items are sold without any markup.
+		this.buyFactorRange = this.buyFactorRange || [ 1, 1 ];
+		this.sellFactorRange = this.sellFactorRange || [ 0.2, 0.2 ];
+
+		// IDs of dungeons (including villages) where this merchant can be spawned. Populated by MerchantDatabase.
+		this.dungeons = new Set();
+	}
+
+	/**
+	 * Get names of pools that are sold by this merchant, grouped by species of the merchant.
+	 * Most merchants have only "default" pools, but some of them sell different items depending on their species.
+	 *
+	 * @return {Map} Format: { "default": [ "poolName1", "poolName2" ], "avian": [ ... ], ... }
+	 */
+	getPoolsBySpecies() {
+		var categories = this.categories || {};
+		if ( Array.isArray( categories ) ) {
+			return new Map( [ [ 'default', categories ] ] );
+		}
+
+		return new Map( Object.entries( categories ) );
+	}
+
+	/**
+	 * Get partition key (arbitrary string). This value shouldn't be based on fields that change often.
+	 *
+	 * @return {string}
+	 */
+	getPartitionKey() {
+		return 'merchant-' + this.npcType;
+	}
+
+	/**
+	 * Get a list of #cargo_store directives necessary to write this Merchant into the Cargo database.
+	 *
+	 * @return {CargoRow}
+	 */
+	toCargoDatabase() {
+		var dungeons = [...this.dungeons].sort();
+		return new CargoRow( 'merchant', {
+			id: this.npcType,
+			name: this.displayName,
+			pools: [...new Set( [...this.getPoolsBySpecies().values()].flat() )].sort(),
+			buyFactorMin: util.trimFloatNumber( this.buyFactorRange[0], 2 ),
+			buyFactorMax: util.trimFloatNumber( this.buyFactorRange[1], 2 ),
+			sellFactorMin: util.trimFloatNumber( this.sellFactorRange[0], 2 ),
+			sellFactorMax: util.trimFloatNumber( this.sellFactorRange[1], 2 ),
+			numItems: this.numItems,
+			dungeons: dungeons,
+			dungeonNames: dungeons.map( ( dungeonId ) => Query.getDungeonName( dungeonId ) || dungeonId )
+		} );
+	}
+}
+
+module.exports = Merchant;
@@ -6,6 +6,33 @@ const { CargoRow, EntityWithPageName, RemoveBadSymbols, util } = require( '..' )
  * Represents one monster in the MonsterDatabase.
  */
 class Monster {
+	/**
+	 * Cargo table of all monsters (see CargoSchema).
+	 */
+	static cargoTables = {
+		monster: {
+			id: 'String',
+			name: 'String',
+			wikiPage: 'Page',
+			description: 'String',
+			capturable: 'String',
+			// Stats
+			health: 'String',
+			protection: 'String',
+			// Touch damage
+			damage: 'String',
+			// Resistances
+			physical: 'String',
+			radioactive: 'String',
+			poison: 'String',
+			electric: 'String',
+			fire: 'String',
+			ice: 'String',
+			cosmic: 'String',
+			shadow: 'String'
+		}
+	};
+
 	/**
 	 * @param {Object} rawData Structure that describes this monster.
 	 */
@@ -0,0 +1,88 @@
+'use strict';
+
+const { CargoRow, util } = require( '..' );
+
+/**
+ * Represents one ore (item) in the OreDistributionDatabase: which biomes have it, and on which tiers of planets.
+ */
+class OreDistribution {
+	/**
+	 * Cargo table that is written by toCargoDatabase(), see CargoSchema.
+	 */
+	static cargoTables = {
+		/* eslint-disable camelcase */
+		ore_distribution: {
+			id: 'String',
+			biome: 'String',
+			planets: 'List (,) of String',
+			layers: 'List (,) of String',
+			minTier: 'String',
+			maxTier: 'String',
+			commonality: 'String'
+		}
+		/* eslint-enable camelcase */
+	};
+
+	/**
+	 * @param {string} itemCode ID of the item that is dropped by this ore, e.g. "copperore".
+	 */
+	constructor( itemCode ) {
+		this.itemCode = itemCode;
+
+		// Format: { biomeCode: { planets: Set, layers: Set, tiers: Set, commonality: 0.5 }, ... }
+		this.biomes = new Map();
+	}
+
+	/**
+	 * Remember that this ore can be found in some biome.
+	 *
+	 * @param {string} biomeCode
+	 * @param {string} planetCode Planet type (e.g. "garden") that can have this biome.
+	 * @param {string} layerName Layer of the planet (e.g. "subsurface") that can have this biome.
+	 * @param {int} tier Threat level of the planet.
+	 * @param {float} commonality Relative commonality of this ore (from ore distribution of the biome).
+	 */
+	addLocation( biomeCode, planetCode, layerName, tier, commonality ) {
+		var location = this.biomes.get( biomeCode );
+		if ( !location ) {
+			location = { planets: new Set(), layers: new Set(), tiers: new Set(), commonality: 0 };
+			this.biomes.set( biomeCode, location );
+		}
+
+		location.planets.add( planetCode );
+		location.layers.add( layerName );
+		location.tiers.add( tier );
+		location.commonality = Math.max( location.commonality, commonality );
+	}
+
+	/**
+	 * Get partition key (arbitrary string). This value shouldn't be based on fields that change often.
+	 *
+	 * @return {string}
+	 */
+	getPartitionKey() {
+		return 'ore-' + this.itemCode;
+	}
+
+	/**
+	 * Get a list of #cargo_store directives necessary to write this OreDistribution into the Cargo database.
+	 *
+	 * @return {CargoRow[]}
+	 */
+	toCargoDatabase() {
+		return [...this.biomes].sort( ( a, b ) => a[0].localeCompare( b[0] ) ).map( ( [ biomeCode, location ] ) => {
+			var tiers = [...location.tiers];
+			return new CargoRow( 'ore_distribution', {
+				id: this.itemCode,
+				biome: biomeCode,
+				planets: [...location.planets].sort(),
+				layers: [...location.layers].sort(),
+				minTier: Math.min( ...tiers ),
+				maxTier: Math.max( ...tiers ),
+				commonality: util.trimFloatNumber( location.commonality, 3 )
+			} );
+		} );
+	}
+}
+
+module.exports = OreDistribution;
@@ -6,6 +6,35 @@ const { CargoRow, StarDatabase, Query, util } = require( '..' );
  * Represents one planet type in the PlanetDatabase.
  */
 class Planet {
+	/**
+	 * Cargo tables that are written by toCargoDatabase() (see CargoSchema): one row per planet type and one row per its layer.
+	 */
+	static cargoTables = {
+		planet: {
+			id: 'String',
+			name: 'String',
+			stars: 'List (,) of String',
+			minTier: 'String',
+			maxTier: 'String',
+			minGravity: 'String',
+			maxGravity: 'String',
+			minDayLight: 'String',
+			maxDayLight: 'String',
+			dayLightDistribution: 'Text',
+			minWind: 'String',
+			maxWind: 'String',
+			windDistribution: 'Text'
+		},
+		layer: {
+			planet: 'String',
+			layer: 'String',
+			primaryRegion: 'List (,) of String',
+			secondaryRegions: 'List (,) of String',
+			dungeons: 'List (,) of String',
+			dungeonNames: 'List (,) of String'
+		}
+	};
+
 	/**
 	 * @param {string} code Machine-readable ID of this planet type, e.g. "garden".
 	 * @param {Object} rawData Structure from terrestial_worlds.config that describes this planet.
@@ -0,0 +1,122 @@
+'use strict';
+
+const { CargoRow, EntityWithPageName, RemoveBadSymbols, util } = require( '..' );
+
+/**
+ * Represents one quest in the QuestDatabase.
+ */
+class Quest {
+	/**
+	 * Cargo table of all quests (see CargoSchema).
+	 */
+	static cargoTables = {
+		quest: {
+			id: 'String',
+			name: 'String',
+			wikiPage: 'Page',
+			text: 'Wikitext',
+			prerequisites: 'List (,) of String',
+			requiredItems: 'List (,) of String',
+			rewards: 'List (,) of String',
+			moneyMin: 'String',
+			moneyMax: 'String',
+			giverObjects: 'List (,) of String',
+			giverNpcs: 'List (,) of String'
+		}
+	};
+
+	/**
+	 * @param {Object} rawData Structure that describes this quest (contents of *.questtemplate file).
+	 * @param {string} filename Path to *.questtemplate file.
+	 */
+	constructor( rawData, filename ) {
+		Object.assign( this, rawData );
+		this.filename = filename;
+
+		this.questCode = this.id;
+		this.displayName = RemoveBadSymbols.fromName( this.title );
+
+		// IDs of objects (items) and names of NPCs that offer this quest. Populated by QuestDatabase.
+		this.giverObjects = new Set();
+		this.giverNpcs = new Set();
+	}
+
+	/**
+	 * Get partition key (arbitrary string). This value shouldn't be based on fields that change often.
+	 *
+	 * @return {string}
+	 */
+	getPartitionKey() {
+		return 'quest-' + this.questCode;
+	}
+
+	/**
+	 * Get all possible rewards of this quest.
+	 * Quest can have several reward sets (only one of them is given to the player).
+	 *
+	 * @return {Array[]} Array of reward sets, each set is an array of { item: "itemCode", count: 1 }.
+	 */
+	getRewardSets() {
+		var rewardSets = [];
+		for ( var rewardSet of this.rewards || [] ) {
+			var rewards = [];
+			for ( var descriptor of rewardSet ) {
+				// Item descriptor can be a string (item ID), an array [ itemCode, count ]
+				// or an object { item: itemCode, count: 1 } (where "name" can be used instead of "item").
+				if ( typeof ( descriptor ) === 'string' ) {
+					rewards.push( { item: descriptor, count: 1 } );
+				} else if ( Array.isArray( descriptor ) ) {
+					rewards.push( { item: descriptor[0], count: descriptor[1] || 1 } );
+				} else if ( descriptor ) {
+					rewards.push( { item: descriptor.item || descriptor.name, count: descriptor.count || 1 } );
+				}
+			}
+
+			if ( rewards.length > 0 ) {
+				rewardSets.push( rewards );
+			}
+		}
+
+		return rewardSets;
+	}
+
+	/**
+	 * Get a list of #cargo_store directives necessary to write this Quest into the Cargo database.
+	 *
+	 * @return {CargoRow}
+	 */
+	toCargoDatabase() {
+		var fields = {
+			id: this.questCode,
+			name: this.displayName,
+			wikiPage: this.wikiPageName,
+			text: RemoveBadSymbols.fromDescription( this.text || '' ),
+			prerequisites: this.prerequisites,
+			requiredItems: this.requiredItems,
+			rewards: [...new Set( this.getRewardSets().flat().map( ( reward ) => reward.item ) )],
+			giverObjects: [...this.giverObjects].sort(),
+			giverNpcs: [...this.giverNpcs].sort()
+		};
+
+		if ( this.moneyRange ) {
+			[ fields.moneyMin, fields.moneyMax ] = this.moneyRange;
+		}
+
+		return new CargoRow( 'quest', fields );
+	}
+
+	/**
+	 * Get text of the MediaWiki article about this Quest.
+	 *
+	 * @return {string}
+	 */
+	toArticleText() {
+		return '{{Automatic infobox quest|' + this.questCode + "}}<!-- Please don't delete this line -->\n" +
+			'<!-- You can write the text below. -->\n\n\n' +
+			'{{All recipes for quest|' + this.questCode + '}}' +
+			"<!-- Please don't delete this line -->";
+	}
+}
+
+util.addMixin( Quest, EntityWithPageName );
+module.exports = Quest;
@@ -34,6 +34,7 @@ class Recipe {
 		Mixing: Symbol( 'Mixing' ),
 		MonsterDrops: Symbol( 'MonsterDrops' ),
 		MonsterSpawner: Symbol( 'MonsterSpawner' ),
+		QuestReward: Symbol( 'QuestReward' ),
 		ResourceGenerator: Symbol( 'ResourceGenerator' ),
 		Shiplocker: Symbol( 'Shiplocker' ),
 		Shop: Symbol( 'Shop' ),
@@ -48,6 +49,19 @@ class Recipe {
 		Well: Symbol( 'Well' )
 	} );
 
+	/**
+	 * Cargo table that is written by toCargoDatabase() (see CargoSchema).
+	 */
+	static cargoTables = {
+		recipe: {
+			station: 'String',
+			inputs: 'List (,) of String',
+			outputs: 'List (,) of String',
+			wikitext: 'Wikitext',
+			prio: 'String'
+		}
+	};
+
 	/**
 	 * @param {string} station Name of crafting Station (e.g. "Powder Sifter").
 	 * @param {RecipeSide} inputs Input materials.
@@ -151,6 +165,7 @@ class Recipe {
 			case Recipe.Type.Lootbox:
 			case Recipe.Type.MonsterDrops:
 			case Recipe.Type.MonsterSpawner:
+			case Recipe.Type.QuestReward:
 			case Recipe.Type.ResourceGenerator:
 			case Recipe.Type.TenantRent:
 			case Recipe.Type.Terraformer:
@@ -189,7 +204,10 @@ class Recipe {
 			case Recipe.Type.Shop:
 			case Recipe.Type.Tech:
 				// Shop recipes are identified by their output (item that is bought).
-				return this.station + '-' + this.outputs.getAllCodes()[0];
+				// NPC merchants can sell the same item on planets of different tiers, which is its "subtype".
+				component = this.outputs.getAllComponents()[0];
+				return this.station + '-' + this.outputs.getAllCodes()[0] +
+					( component.quantity.subtype ? '-' + component.quantity.subtype : '' );
 
 			case Recipe.Type.AnimalWaste:
 				// Animal waste recipes have constant outputs.
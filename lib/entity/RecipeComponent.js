@@ -146,10 +146,11 @@ class RecipeComponent {
 	 * Make 1 quest pseudo-item (something that has a valid quest ID) into RecipeComponent.
 	 *
 	 * @param {string} questCode
+	 * @param {Object} quantityAttributes
 	 * @return {RecipeComponent}
 	 */
-	static newQuest( questCode ) {
-		var self = new RecipeComponent( questCode );
+	static newQuest( questCode, quantityAttributes = {} ) {
+		var self = new RecipeComponent( questCode, quantityAttributes );
 		self.isQuest = true;
 		self.id = 'quest:' + questCode;
 		return self;
@@ -379,6 +380,7 @@ class RecipeComponent {
 			case 'isBlueprint':
 			case 'isBuildingToUpgrade':
 			case 'isComment':
+			case 'isReward':
 			case 'neverMerge':
 			case 'noLineBreak':
 				if ( value !== true ) {
@@ -432,14 +434,18 @@ class RecipeComponent {
 
 		if ( this.isQuest ) {
 			// Quest ID. This is typically a quest that is required to be completed
-			// before the recipe becomes available.
+			// before the recipe becomes available, or a quest that gives its rewards (outputs of the recipe).
 			var quest = QuestDatabase.find( this.code );
 			if ( !quest ) {
 				util.log( '[warn] Unknown quest in the recipe: ' + this.code );
 				return '';
 			}
 
-			return "''(only after completing the quest: '''" + quest.title + "''')''";
+			if ( this.quantity.isReward ) {
+				return "''Obtained as reward from quest:'' " + quest.getWikiPageLink();
+			}
+
+			return "''(only after completing the quest: '''" + quest.getWikiPageLink() + "''')''";
 		}
 
 		if ( this.isTenant ) {
@@ -487,9 +493,9 @@ class RecipeComponent {
 		}
 
 		if ( this.isMusicTrack ) {
-			// Determine if track is from vanilla, and if not, then add a GitHub link.
+			// Determine if track is from the mod itself (not from vanilla or other mods), and if so, add a GitHub link.
 			var asset = AssetDatabase.get( this.code );
-			if ( !asset || asset.vanilla ) {
+			if ( !asset || asset.source !== config.pathToMod ) {
 				return this.label;
 			}
 
@@ -1,6 +1,6 @@
 'use strict';
 
-const { RecipeComponent, SpawnTypeDatabase, LiquidDatabase, util } = require( '..' );
+const { RecipeComponent, SpawnTypeDatabase, LiquidDatabase, config, util } = require( '..' );
 
 /**
  * Represents the list of Inputs or Outputs of the Recipe.
@@ -280,13 +280,15 @@ class RecipeSide {
 
 	/**
 	 * Add 1 quest pseudo-item (something that has a valid quest ID) to this RecipeSide object.
-	 * This is useful for recipe inputs (for items that are unavailable until a quest is completed).
+	 * This is useful for recipe inputs (for items that are unavailable until a quest is completed),
+	 * and for inputs of "quest -> its rewards" recipes (with quantity attribute "isReward").
 	 *
 	 * @param {string} questCode
+	 * @param {Object} quantityAttributes
 	 * @return {this}
 	 */
-	addQuest( questCode ) {
-		return this.addComponent( RecipeComponent.newQuest( questCode ) );
+	addQuest( questCode, quantityAttributes = {} ) {
+		return this.addComponent( RecipeComponent.newQuest( questCode, quantityAttributes ) );
 	}
 
 	/**
@@ -528,6 +530,39 @@ class RecipeSide {
 		return [...this.items.values()].flat();
 	}
 
+	/**
+	 * Get the average amounts of items in this RecipeSide (e.g. how many items are produced by 1 craft on average).
+	 * Chance-based amounts are averaged (e.g. 10% chance of 2 items = 0.2 items),
+	 * and so are the outputs of Centrifuges (see config.centrifugeRarityChances).
+	 *
+	 * @return {Map} Format: { itemCode: count, ... }
+	 */
+	getAverageItemAmounts() {
+		var amounts = new Map();
+		for ( var component of this.getAllComponents() ) {
+			if ( !component.isItem ) {
+				continue;
+			}
+
+			var quantity = component.quantity,
+				amount = quantity.count || quantity.averageCount || 1;
+
+			if ( quantity.chance ) {
+				amount *= quantity.chance / 100;
+			}
+
+			if ( quantity.rarity ) {
+				var [ rarity, divisor ] = quantity.rarity;
+				amount *= ( config.centrifugeRarityChances[rarity] || 0 ) / ( Number( divisor ) || 1 );
+			}
+
+			if ( amount > 0 ) {
+				amounts.set( component.id, ( amounts.get( component.id ) || 0 ) + amount );
+			}
+		}
+		return amounts;
+	}
+
 	/**
 	 * Returns true if this RecipeSide has correct format. (This is used in sanity checks)
 	 * See isValidAttribute() for which values are valid. Note: {} is valid (unknown/any quantity).
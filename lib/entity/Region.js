@@ -6,6 +6,18 @@ const { CargoRow, Query } = require( '..' );
  * Represents one planetary region in the RegionDatabase.
  */
 class Region {
+	/**
+	 * Cargo table of all regions and pseudo-regions (see CargoSchema).
+	 */
+	static cargoTables = {
+		region: {
+			id: 'String',
+			biome: 'String',
+			oceanLiquid: 'List (,) of String',
+			caveLiquid: 'List (,) of String'
+		}
+	};
+
 	/**
 	 * @param {string} code Machine-readable ID of this region, e.g. "tidewaterfloor".
 	 * @param {Object} rawData Structure from terrestial_worlds.config that describes this region.
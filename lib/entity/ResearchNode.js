@@ -6,6 +6,28 @@ const { ItemDatabase, RecipeSide, CargoRow, RemoveBadSymbols, util } = require(
  * Represents one node in the ResearchTree.
  */
 class ResearchNode {
+	/**
+	 * Cargo table of all research nodes (see CargoSchema).
+	 */
+	static cargoTables = {
+		/* eslint-disable camelcase */
+		research_node: {
+			id: 'String',
+			tree: 'String',
+			name: 'String',
+			description: 'Wikitext',
+			unlocks: 'List (,) of String',
+			unlocksWikitext: 'Wikitext',
+			children: 'List (,) of String',
+			childrenWikitext: 'Wikitext',
+			parents: 'List (,) of String',
+			parentsWikitext: 'Wikitext',
+			priceWikitext: 'Wikitext',
+			wikiPageLink: 'Wikitext'
+		}
+		/* eslint-enable camelcase */
+	};
+
 	/**
 	 * @param {Object} rawData Structure from the JSON asset of ResearchTree that describes this node.
 	 * @param {string} nodeId Unique machine-readable ID of this node, e.g. "geology:metals_tungsten".
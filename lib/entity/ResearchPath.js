@@ -0,0 +1,98 @@
+'use strict';
+
+const { CargoRow, RecipeSide, config } = require( '..' );
+
+/**
+ * Represents the shortest way to unlock the crafting recipe of 1 item from the start of the game:
+ * research nodes that must be researched (in the order of research), and their total price.
+ * Created by ResearchPathCalculator.
+ */
+class ResearchPath {
+	/**
+	 * Cargo table with research paths of all items (see CargoSchema).
+	 */
+	static cargoTables = {
+		/* eslint-disable camelcase */
+		research_path: {
+			id: 'String',
+			nodes: 'List (,) of String',
+			nodesWikitext: 'Wikitext',
+			pickup: 'String',
+			priceWikitext: 'Wikitext'
+		}
+		/* eslint-enable camelcase */
+	};
+
+	/**
+	 * @param {string} itemCode Item that is unlocked.
+	 * @param {ResearchNode[]} nodes Nodes that must be researched (parents before children).
+	 * @param {string|null} pickupItemCode If not null, the item is unlocked by picking up this item
+	 * (and the nodes are needed to craft this item), not by the last of the nodes.
+	 */
+	constructor( itemCode, nodes, pickupItemCode = null ) {
+		this.itemCode = itemCode;
+		this.nodes = nodes;
+		this.pickupItemCode = pickupItemCode;
+
+		// Total price of all nodes. Currencies (like Research) are spent, so their amounts are added together.
+		// Other items are not consumed, so having the largest required amount of them is enough.
+		// Format: { itemCode: count, ... }
+		this.price = new Map();
+		for ( var node of nodes ) {
+			for ( var component of node.price.getAllComponents() ) {
+				var count = component.quantity.count || 0,
+					oldCount = this.price.get( component.id ) || 0;
+
+				this.price.set( component.id, config.consumedResearchCurrencies.includes( component.id ) ?
+					oldCount + count : Math.max( oldCount, count ) );
+			}
+		}
+	}
+
+	/**
+	 * Get total amount of currencies (like Research) that must be spent. Used to compare different paths.
+	 *
+	 * @return {number}
+	 */
+	getSpentCurrency() {
+		var total = 0;
+		for ( var [ itemCode, count ] of this.price ) {
+			if ( config.consumedResearchCurrencies.includes( itemCode ) ) {
+				total += count;
+			}
+		}
+		return total;
+	}
+
+	/**
+	 * Get partition key (arbitrary string). This value shouldn't be based on fields that change often.
+	 *
+	 * @return {string}
+	 */
+	getPartitionKey() {
+		return 'item-' + this.itemCode;
+	}
+
+	/**
+	 * Get a list of #cargo_store directives necessary to write this ResearchPath into the Cargo database.
+	 *
+	 * @return {CargoRow}
+	 */
+	toCargoDatabase() {
+		var priceSide = new RecipeSide();
+		for ( var [ itemCode, count ] of this.price ) {
+			priceSide.addItem( itemCode, { count: count } );
+		}
+
+		return new CargoRow( 'research_path', {
+			id: this.itemCode,
+			nodes: this.nodes.map( ( node ) => node.id ),
+			nodesWikitext: this.nodes.map( ( node ) => node.wikiPageLink ).join( ' → ' ),
+			pickup: this.pickupItemCode || '',
+			// Escape any "|" symbols (same as in priceWikitext field of ResearchNode).
+			priceWikitext: priceSide.toWikitext().replace( /\|/g, '{{!}}' )
+		} );
+	}
+}
+
+module.exports = ResearchPath;
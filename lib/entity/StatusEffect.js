@@ -6,6 +6,20 @@ const { CargoRow, RemoveBadSymbols, util } = require( '..' );
  * Represents one status effect in the StatusEffectDatabase.
  */
 class StatusEffect {
+	/**
+	 * Cargo table of all status effects (see CargoSchema).
+	 */
+	static cargoTables = {
+		statuseffect: {
+			id: 'String',
+			name: 'String',
+			defaultDuration: 'String',
+			hasIcon: 'String',
+			immunityStats: 'List (,) of String',
+			resistWith: 'String'
+		}
+	};
+
 	/**
 	 * @param {Object} rawData Structure that describes this status effect.
 	 */
@@ -65,6 +79,49 @@ class StatusEffect {
 
 		return new CargoRow( 'statuseffect', fields );
 	}
+
+	/**
+	 * Get human-readable list of stat modifiers (including resistance bonuses) of this effect,
+	 * e.g. [ "+25% Fire resistance", "+10 Protection", "x1.2 Max health" ].
+	 * These modifiers are in "stats" (or "statModifiers") array in effectConfig, which is used by
+	 * generic stat-modifying scripts. Effects that are fully implemented in Lua don't have them.
+	 *
+	 * @return {string[]}
+	 */
+	getStatModifiers() {
+		var effectConfig = this.effectConfig || {};
+		var modifiers = effectConfig.stats || effectConfig.statModifiers;
+		if ( !Array.isArray( modifiers ) ) {
+			return [];
+		}
+
+		var humanReadableModifiers = [];
+		for ( let { stat, amount, baseMultiplier, effectiveMultiplier } of modifiers ) {
+			if ( !stat ) {
+				continue;
+			}
+
+			// "fireResistance" -> "Fire resistance".
+			let statName = util.ucfirst( stat.replace( /([A-Z])/g, ' $1' ).toLowerCase() );
+
+			if ( amount ) {
+				let sign = amount > 0 ? '+' : '';
+				if ( stat.endsWith( 'Resistance' ) ) {
+					// Resistances are fractions (0.25 means 25%).
+					humanReadableModifiers.push( sign + util.ratioToPercent( amount ) + '% ' + statName );
+				} else {
+					humanReadableModifiers.push( sign + util.trimFloatNumber( amount, 2 ) + ' ' + statName );
+				}
+			}
+
+			let multiplier = baseMultiplier || effectiveMultiplier;
+			if ( multiplier && multiplier !== 1 ) {
+				humanReadableModifiers.push( 'x' + util.trimFloatNumber( multiplier, 2 ) + ' ' + statName );
+			}
+		}
+
+		return humanReadableModifiers;
+	}
 }
 
 module.exports = StatusEffect;
@@ -7,6 +7,19 @@ const { CargoRow } = require( '..' ),
  * Represents one tenant in the TenantDatabase.
  */
 class Tenant {
+	/**
+	 * Cargo table of all tenants (see CargoSchema).
+	 */
+	static cargoTables = {
+		tenant: {
+			id: 'String',
+			name: 'String',
+			tags: 'List (,) of String',
+			tagsWikitext: 'Wikitext',
+			rentPool: 'String'
+		}
+	};
+
 	/**
 	 * @param {Object} rawData Structure that describes this tenant.
 	 */
@@ -6,6 +6,17 @@ const { CargoRow, Query, util } = require( '..' );
  * Represents one weather pool (list of possible weathers + chances) in the WeatherPoolDatabase.
  */
 class WeatherPool {
+	/**
+	 * Cargo table of all weather pools (see CargoSchema).
+	 */
+	static cargoTables = {
+		weatherpool: {
+			id: 'String',
+			wikitext: 'Wikitext',
+			averageWindPower: 'String'
+		}
+	};
+
 	/**
 	 * @param {string} poolName Unique identifier of this pool, e.g. "fugentlerainy".
 	 * @param {Object} possibleWeathers Structure from weather.config that describes this weather pool.
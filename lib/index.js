@@ -2,6 +2,7 @@
 
 module.exports.argv = require( 'minimist' )( process.argv.slice( 2 ) );
 module.exports.config = require( '../config.json' );
+module.exports.PakArchive = require( './misc/PakArchive' );
 
 module.exports.util = require( './util' );
 module.exports.LightColor = require( './misc/LightColor' );
@@ -11,17 +12,18 @@ module.exports.LoadedAsset = require( './entity/LoadedAsset' );
 module.exports.AssetDatabase = require( './AssetDatabase' );
 module.exports.Query = require( './Query' );
 module.exports.CargoRow = require( './result/CargoRow' );
+module.exports.CargoSchema = require( './result/CargoSchema' );
 module.exports.ImageFinder = require( './ImageFinder' );
 
 module.exports.LinearClampFunction = require( './entity/LinearClampFunction' );
 module.exports.FunctionDatabase = require( './db/FunctionDatabase' );
+module.exports.WeaponAnalysis = require( './misc/WeaponAnalysis' );
 
 module.exports.PageNameRegistry = require( './PageNameRegistry' );
 module.exports.EntityWithPageName = require( './mixin/EntityWithPageName' );
 
 module.exports.LiquidDatabase = require( './db/LiquidDatabase' );
 module.exports.MaterialDatabase = require( './db/MaterialDatabase' );
-module.exports.QuestDatabase = require( './db/QuestDatabase' );
 module.exports.SpawnTypeDatabase = require( './db/SpawnTypeDatabase' );
 
 module.exports.Tenant = require( './entity/Tenant' );
@@ -30,6 +32,8 @@ module.exports.TenantDatabase = require( './db/TenantDatabase' );
 module.exports.WeaponAbilityDatabase = require( './db/WeaponAbilityDatabase' );
 module.exports.Item = require( './entity/Item' );
 module.exports.ItemDatabase = require( './db/ItemDatabase' );
+module.exports.Quest = require( './entity/Quest' );
+module.exports.QuestDatabase = require( './db/QuestDatabase' );
 module.exports.RecipeComponent = require( './entity/RecipeComponent' );
 module.exports.RecipeSide = require( './entity/RecipeSide' );
 
@@ -50,9 +54,13 @@ module.exports.RegionDatabase = require( './db/RegionDatabase' );
 module.exports.StarDatabase = require( './db/StarDatabase' );
 module.exports.Planet = require( './entity/Planet' );
 module.exports.PlanetDatabase = require( './db/PlanetDatabase' );
+module.exports.OreDistribution = require( './entity/OreDistribution' );
+module.exports.OreDistributionDatabase = require( './db/OreDistributionDatabase' );
 
 module.exports.ResearchNode = require( './entity/ResearchNode' );
 module.exports.ResearchTreeDatabase = require( './db/ResearchTreeDatabase' );
+module.exports.ResearchPath = require( './entity/ResearchPath' );
+module.exports.ResearchPathCalculator = require( './ResearchPathCalculator' );
 
 module.exports.TreasurePool = require( './entity/TreasurePool' );
 module.exports.TreasurePoolDatabase = require( './db/TreasurePoolDatabase' );
@@ -63,13 +71,26 @@ module.exports.MonsterDatabase = require( './db/MonsterDatabase' );
 module.exports.ArmorSet = require( './entity/ArmorSet' );
 module.exports.ArmorSetDatabase = require( './db/ArmorSetDatabase' );
 
+module.exports.Merchant = require( './entity/Merchant' );
+module.exports.MerchantDatabase = require( './db/MerchantDatabase' );
+
 module.exports.CraftingStationDatabase = require( './db/CraftingStationDatabase' );
 module.exports.Recipe = require( './entity/Recipe' );
 module.exports.RecipeDatabase = require( './RecipeDatabase' );
+module.exports.CraftingTree = require( './entity/CraftingTree' );
+module.exports.CraftingTreeCalculator = require( './CraftingTreeCalculator' );
 
 module.exports.ChunkWriter = require( './result/ChunkWriter' );
 module.exports.WikiStatusCache = require( './WikiStatusCache' );
+module.exports.WikiPublisher = require( './WikiPublisher' );
 module.exports.DiffableResult = require( './result/DiffableResult' );
+module.exports.SnapshotArchive = require( './result/SnapshotArchive' );
+module.exports.SqliteExporter = require( './result/SqliteExporter' );
 module.exports.ResultsWriter = require( './result/ResultsWriter' );
+module.exports.HtmlSiteWriter = require( './result/HtmlSiteWriter' );
 
 module.exports.BotUpdatedPages = require( './pages' );
+module.exports.Watcher = require( './Watcher' );
+module.exports.ItemHistoryTracker = require( './ItemHistoryTracker' );
+module.exports.ProductionPlanner = require( './ProductionPlanner' );
+module.exports.RecipeExploitFinder = require( './RecipeExploitFinder' );
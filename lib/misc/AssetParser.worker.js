@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Worker thread that parses asset files for AssetDatabase.parseInWorkers().
+ *
+ * Receives (via workerData) the list of jobs (information about assets and their patches),
+ * parses them and sends the results back to the main thread through the MessagePort.
+ * After every message, workerData.signal (Int32Array in SharedArrayBuffer) is incremented,
+ * which wakes up the main thread (it waits for messages synchronously, see Atomics.wait()).
+ */
+
+const { workerData } = require( 'worker_threads' ),
+	{ config, util, LoadedAsset } = require( '..' );
+
+// Use the same settings as the main thread (they could have been changed in runtime).
+Object.assign( config, workerData.config );
+
+var port = workerData.port,
+	signal = workerData.signal;
+
+/**
+ * Send the message to the main thread and wake it up.
+ *
+ * @param {Object} message
+ */
+function send( message ) {
+	port.postMessage( message );
+
+	Atomics.add( signal, 0, 1 );
+	Atomics.notify( signal, 0 );
+}
+
+// Only the main thread should write into the logfile (otherwise it would be truncated by the worker).
+util.log = ( errorMessage ) => send( { log: errorMessage } );
+
+try {
+	for ( var job of workerData.jobs ) {
+		// Minimal replacement for AssetDatabase: LoadedAsset only needs knownPatches.
+		var db = { knownPatches: new Map() };
+		db.knownPatches.set( job.assetInfo.filename,
+			job.patches.map( ( patchInfo ) => new LoadedAsset( db, patchInfo ) ) );
+
+		var asset = new LoadedAsset( db, job.assetInfo ),
+			data = asset.loadNow();
+
+		send( {
+			filename: asset.filename,
+			data: data,
+			patched: asset.patched,
+			patchedBy: asset.patchedBy
+		} );
+	}
+
+	send( { done: true } );
+} catch ( error ) {
+	send( { fatalError: error.stack } );
+}
@@ -0,0 +1,277 @@
+'use strict';
+
+const fs = require( 'fs' );
+
+/**
+ * Signature at the beginning of every .pak file that we can read.
+ */
+const SIGNATURE = 'SBAsset6';
+
+/**
+ * Signature at the beginning of the index (list of files) within .pak file.
+ */
+const INDEX_SIGNATURE = 'INDEX';
+
+/**
+ * Opened archives (used by PakArchive.open()). Format: { "/path/to/packed.pak": PakArchive1, ... }
+ */
+var openedArchives = new Map();
+
+/**
+ * Reader of Starbound asset archives (.pak files in SBAsset6 format), such as vanilla "packed.pak".
+ * This allows to use the archive without having to unpack it first.
+ *
+ * Format of .pak file:
+ * 1) "SBAsset6" signature, followed by 64-bit offset of the index,
+ * 2) contents of all files (concatenated),
+ * 3) index: "INDEX" signature, metadata (map of JSON values), then the list of files,
+ * where each file is described by its path, 64-bit offset and 64-bit length.
+ * All numbers are big-endian. Lengths of strings and lists are variable-length quantities (VLQ).
+ */
+class PakArchive {
+	/**
+	 * @param {string} pakPath Full path to the .pak file.
+	 */
+	constructor( pakPath ) {
+		this.pakPath = pakPath;
+
+		// List of all files within the archive.
+		// Format: { "items/generic/crafting/algaegreen.png": { offset: 123, length: 456 }, ... }
+		this.files = new Map();
+
+		// Arbitrary metadata of this archive (e.g. { "name": "FrackinUniverse", "priority": 9999 }).
+		this.metadata = {};
+
+		this.fd = fs.openSync( pakPath, 'r' );
+		this.readIndex();
+	}
+
+	/**
+	 * Get the PakArchive object for the .pak file, opening it if it wasn't already opened.
+	 *
+	 * @param {string} pakPath Full path to the .pak file.
+	 * @return {PakArchive}
+	 */
+	static open( pakPath ) {
+		var archive = openedArchives.get( pakPath );
+		if ( !archive ) {
+			archive = new PakArchive( pakPath );
+			openedArchives.set( pakPath, archive );
+		}
+
+		return archive;
+	}
+
+	/**
+	 * True if this path is a .pak file (as opposed to a directory), false otherwise.
+	 *
+	 * @param {string} path
+	 * @return {boolean}
+	 */
+	static isPak( path ) {
+		return /\.pak$/i.test( path );
+	}
+
+	/**
+	 * Split the path to a file inside the archive (e.g. "/path/to/packed.pak/items/something.item")
+	 * into the path to archive and relative path of the file within this archive.
+	 *
+	 * @param {string} absolutePath
+	 * @return {string[]|null} Array of two strings (path to .pak, relative path) or null if not in archive.
+	 */
+	static splitPath( absolutePath ) {
+		var match = absolutePath.match( /^(.*?\.pak)\/+(.*)$/i );
+		if ( !match ) {
+			return null;
+		}
+
+		return [ match[1], match[2] ];
+	}
+
+	/**
+	 * Load the list of files from the index of this archive.
+	 */
+	readIndex() {
+		var header = this.readBytes( 0, SIGNATURE.length + 8 );
+		if ( header.toString( 'latin1', 0, SIGNATURE.length ) !== SIGNATURE ) {
+			throw new Error( 'PakArchive: not an SBAsset6 archive: ' + this.pakPath );
+		}
+
+		var indexOffset = Number( header.readBigUInt64BE( SIGNATURE.length ) ),
+			indexLength = fs.fstatSync( this.fd ).size - indexOffset;
+
+		this.buffer = this.readBytes( indexOffset, indexLength );
+		this.position = 0;
+
+		if ( this.readBuffer( INDEX_SIGNATURE.length ).toString( 'latin1' ) !== INDEX_SIGNATURE ) {
+			throw new Error( 'PakArchive: index not found: ' + this.pakPath );
+		}
+
+		var metadataCount = this.readVLQ();
+		for ( var i = 0; i < metadataCount; i++ ) {
+			var key = this.readString();
+			this.metadata[key] = this.readJson();
+		}
+
+		var filesCount = this.readVLQ();
+		for ( var j = 0; j < filesCount; j++ ) {
+			// Paths in the index start with "/", but relative paths in AssetDatabase don't.
+			var path = this.readString().replace( /^\//, '' ),
+				offset = Number( this.readBuffer( 8 ).readBigUInt64BE() ),
+				length = Number( this.readBuffer( 8 ).readBigUInt64BE() );
+
+			this.files.set( path, { offset: offset, length: length } );
+		}
+
+		// The index is no longer needed.
+		delete this.buffer;
+		delete this.position;
+	}
+
+	/**
+	 * Read the bytes from the .pak file.
+	 *
+	 * @param {number} offset
+	 * @param {number} length
+	 * @return {Buffer}
+	 */
+	readBytes( offset, length ) {
+		var bytes = Buffer.alloc( length ),
+			bytesRead = fs.readSync( this.fd, bytes, 0, length, offset );
+
+		if ( bytesRead !== length ) {
+			throw new Error( 'PakArchive: unexpected end of file: ' + this.pakPath );
+		}
+
+		return bytes;
+	}
+
+	/**
+	 * Internal: read the next N bytes of the index.
+	 *
+	 * @param {number} length
+	 * @return {Buffer}
+	 */
+	readBuffer( length ) {
+		if ( this.position + length > this.buffer.length ) {
+			throw new Error( 'PakArchive: unexpected end of index: ' + this.pakPath );
+		}
+
+		var bytes = this.buffer.subarray( this.position, this.position + length );
+		this.position += length;
+
+		return bytes;
+	}
+
+	/**
+	 * Internal: read unsigned variable-length quantity (7 bits per byte, highest bit means "more bytes").
+	 *
+	 * @return {number}
+	 */
+	readVLQ() {
+		var value = 0,
+			byte;
+
+		do {
+			byte = this.readBuffer( 1 )[0];
+			value = value * 128 + ( byte % 128 );
+		} while ( byte >= 128 );
+
+		return value;
+	}
+
+	/**
+	 * Internal: read signed variable-length quantity (lowest bit of unsigned VLQ is the sign).
+	 *
+	 * @return {number}
+	 */
+	readSignedVLQ() {
+		var value = this.readVLQ();
+		return ( value % 2 ) ? -( value - 1 ) / 2 - 1 : value / 2;
+	}
+
+	/**
+	 * Internal: read UTF-8 string (VLQ length, followed by bytes of string).
+	 *
+	 * @return {string}
+	 */
+	readString() {
+		return this.readBuffer( this.readVLQ() ).toString( 'utf8' );
+	}
+
+	/**
+	 * Internal: read JSON value in binary format of Starbound (1 byte of type, followed by value).
+	 *
+	 * @return {Mixed}
+	 */
+	readJson() {
+		var type = this.readBuffer( 1 )[0];
+		switch ( type ) {
+			case 1:
+				return null;
+			case 2:
+				return this.readBuffer( 8 ).readDoubleBE();
+			case 3:
+				return this.readBuffer( 1 )[0] !== 0;
+			case 4:
+				return this.readSignedVLQ();
+			case 5:
+				return this.readString();
+			case 6: {
+				let count = this.readVLQ(),
+					list = [];
+				for ( let i = 0; i < count; i++ ) {
+					list.push( this.readJson() );
+				}
+				return list;
+			}
+			case 7: {
+				let count = this.readVLQ(),
+					object = {};
+				for ( let i = 0; i < count; i++ ) {
+					let key = this.readString();
+					object[key] = this.readJson();
+				}
+				return object;
+			}
+		}
+
+		throw new Error( 'PakArchive: unknown type of JSON value (' + type + '): ' + this.pakPath );
+	}
+
+	/**
+	 * Get the sorted list of relative paths of all files in this archive.
+	 *
+	 * @return {string[]}
+	 */
+	listFiles() {
+		return [...this.files.keys()].sort();
+	}
+
+	/**
+	 * True if this archive contains the file, false otherwise.
+	 *
+	 * @param {string} relativePath
+	 * @return {boolean}
+	 */
+	has( relativePath ) {
+		return this.files.has( relativePath );
+	}
+
+	/**
+	 * Get the contents of one file from this archive.
+	 *
+	 * @param {string} relativePath
+	 * @return {Buffer}
+	 */
+	read( relativePath ) {
+		var fileInfo = this.files.get( relativePath );
+		if ( !fileInfo ) {
+			throw new Error( 'PakArchive: file ' + relativePath + ' not found in ' + this.pakPath );
+		}
+
+		return this.readBytes( fileInfo.offset, fileInfo.length );
+	}
+}
+
+module.exports = PakArchive;
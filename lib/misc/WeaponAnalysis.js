@@ -0,0 +1,145 @@
+'use strict';
+
+const { FunctionDatabase, config, util } = require( '..' );
+
+/**
+ * Calculates effective damage figures of a weapon (damage per shot, DPS, damage of each combo step)
+ * for every tier that the weapon can have.
+ *
+ * Damage of buildscript-generated weapons depends on their tier (see "weaponDamageLevelMultiplier" function),
+ * and upgradeable weapons can have any tier from their starting tier to config.maxWeaponTier.
+ * Other weapons have fixed damage, so only their own tier is calculated.
+ *
+ * @example
+ * var metadata = new WeaponAnalysis( item, { '': item.primaryAbility, 'alt.': item.altAbility } ).getMetadata();
+ */
+class WeaponAnalysis {
+	/**
+	 * @param {Item} item
+	 * @param {Object} attacks Abilities to analyze. Format: { keyPrefix: ability, ... },
+	 * where keyPrefix is prepended to the keys of metadata (same as in util.getAttackMetadata()).
+	 */
+	constructor( item, attacks ) {
+		this.item = item;
+		this.attacks = attacks;
+	}
+
+	/**
+	 * Get all tiers that this weapon can have.
+	 *
+	 * @return {number[]}
+	 */
+	getTiers() {
+		var startingTier = this.item.level || 1;
+		if ( !this.item.hasBuildscript || !this.item.isUpgradeableWeapon ) {
+			return [ startingTier ];
+		}
+
+		var tiers = [];
+		for ( var tier = startingTier; tier <= Math.max( startingTier, config.maxWeaponTier ); tier++ ) {
+			tiers.push( tier );
+		}
+		return tiers;
+	}
+
+	/**
+	 * Get the number by which the base damage of this weapon is multiplied on the tier.
+	 *
+	 * @param {number} tier
+	 * @return {number}
+	 */
+	getDamageMultiplier( tier ) {
+		return this.item.hasBuildscript ? FunctionDatabase.calculate( 'weaponDamageLevelMultiplier', tier ) : 1;
+	}
+
+	/**
+	 * Get the damage of one attack (without tier multiplier).
+	 *
+	 * @param {Object} attack Ability, e.g. item.primaryAbility.
+	 * @return {Object|null} Format: { damagePerShot, fireTime, stepFactors: [ 1, 0.8, ... ], energyPerSecond }.
+	 * Null if this attack doesn't deal damage.
+	 */
+	analyzeAttack( attack ) {
+		var dps = attack.baseDps;
+		if ( !dps && attack.chainDps && attack.crackDps ) {
+			// Whips
+			dps = attack.chainDps + attack.crackDps;
+		}
+
+		if ( !dps ) {
+			return null;
+		}
+
+		// Randomly generated weapons have [ minValue, maxValue ] arrays, so average values are used.
+		var average = ( value ) => Array.isArray( value ) ? 0.5 * ( value[0] + value[1] ) : value;
+
+		dps = average( dps );
+		var fireTime = average( attack.fireTime ) || 1;
+
+		// Melee combos: each step deals base damage multiplied by its own baseDamageFactor.
+		var stepFactors = [];
+		if ( attack.comboSteps && Array.isArray( attack.stepDamageConfig ) ) {
+			stepFactors = attack.stepDamageConfig.slice( 0, attack.comboSteps )
+				.map( ( stepConfig ) => ( stepConfig || {} ).baseDamageFactor || 1 );
+		}
+
+		var result = {
+			damagePerShot: dps * fireTime,
+			fireTime: fireTime,
+			stepFactors: stepFactors
+		};
+
+		if ( attack.energyUsage ) {
+			// Firing abilities (gunfire.lua, etc.) consume "energyUsage * fireTime" per shot,
+			// which is energyUsage per second of continuous firing.
+			result.energyPerSecond = average( attack.energyUsage );
+		}
+
+		return result;
+	}
+
+	/**
+	 * Get key-value metadata (for storing in "item_metadata" Cargo table),
+	 * e.g. { "tier5.dps": 12.5, "tier5.alt.damagePerShot": 40, "energyPerSecond": 20, ... }
+	 *
+	 * @return {Object}
+	 */
+	getMetadata() {
+		var metadata = {};
+
+		for ( var [ prefix, attack ] of Object.entries( this.attacks ) ) {
+			var analysis = attack ? this.analyzeAttack( attack ) : null;
+			if ( !analysis ) {
+				continue;
+			}
+
+			if ( analysis.energyPerSecond ) {
+				metadata[prefix + 'energyPerSecond'] = util.trimFloatNumber( analysis.energyPerSecond, 1 );
+			}
+
+			var averageStepFactor = 1;
+			if ( analysis.stepFactors.length > 0 ) {
+				averageStepFactor = analysis.stepFactors.reduce( ( a, b ) => a + b ) / analysis.stepFactors.length;
+			}
+
+			for ( var tier of this.getTiers() ) {
+				var keyPrefix = 'tier' + tier + '.' + prefix,
+					damagePerShot = analysis.damagePerShot * this.getDamageMultiplier( tier );
+
+				metadata[keyPrefix + 'damagePerShot'] = util.trimFloatNumber( damagePerShot, 1 );
+
+				// Assuming that each step of the combo takes the same time (fireTime).
+				metadata[keyPrefix + 'dps'] = util.trimFloatNumber( damagePerShot * averageStepFactor / analysis.fireTime, 1 );
+
+				if ( analysis.stepFactors.length > 0 ) {
+					metadata[keyPrefix + 'comboDamage'] = analysis.stepFactors
+						.map( ( factor ) => util.trimFloatNumber( damagePerShot * factor, 1 ) ).join( ', ' );
+				}
+			}
+		}
+
+		return metadata;
+	}
+}
+
+module.exports = WeaponAnalysis;
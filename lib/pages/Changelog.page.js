@@ -0,0 +1,183 @@
+'use strict';
+
+const { ResultsWriter, SnapshotArchive } = require( '..' );
+
+/**
+ * Fields of "item" table that are not shown in the list of rebalanced items
+ * (they are either too long or not interesting to the players).
+ */
+const ignoredItemFields = [ 'description', 'wikiPage' ];
+
+/**
+ * Generator for a bot-updated page like [[Changes in FU 6.4.2]], which lists the differences between the results
+ * of the current version of the mod and the snapshot of the previous version (see SnapshotArchive).
+ */
+class ChangelogPage {
+	getTitle() {
+		return 'Changes in FU ' + SnapshotArchive.getCurrentVersion();
+	}
+
+	/**
+	 * Returns null if there is no snapshot of any previous version (so there is nothing to compare with).
+	 *
+	 * @return {string|null}
+	 */
+	getText() {
+		var currentVersion = SnapshotArchive.getCurrentVersion(),
+			previousVersion = SnapshotArchive.findPreviousVersion( currentVersion );
+
+		if ( !previousVersion ) {
+			return null;
+		}
+
+		var oldResult = SnapshotArchive.load( previousVersion );
+		var diff = ResultsWriter.diffableResult.diffAsObject( oldResult );
+
+		// Names/pages of all items (both current and removed), used to show item codes as links.
+		this.itemLinks = new Map();
+		for ( var result of [ oldResult, ResultsWriter.diffableResult ] ) {
+			for ( var itemFields of ( result.tables.get( 'item' ) || new Map() ).values() ) {
+				this.itemLinks.set( itemFields.get( 'id' ), this.makeLink( itemFields ) );
+			}
+		}
+
+		var wikitext = '<span style="font-size: 150%; font-weight: bold;">' +
+			'This page is bot-updated. Don\'t edit it manually (any edits will be overwritten by the bot).</span>\n' +
+			'Automatically generated list of changes between FU ' + previousVersion + ' and FU ' + currentVersion + '.\n';
+
+		var itemDiff = diff.item || {};
+		wikitext += this.makeSection( 'New items', Object.values( itemDiff.added || {} ).map( ( fields ) =>
+			this.makeLink( new Map( Object.entries( fields ) ) ) ) );
+		wikitext += this.makeSection( 'Removed items', Object.values( itemDiff.removed || {} ).map( ( fields ) =>
+			fields.name + ' (<code>' + fields.id + '</code>)' ) );
+		wikitext += this.makeSection( 'Rebalanced items', this.describeRebalancedItems( itemDiff, diff.item_metadata || {} ) );
+		wikitext += this.makeRecipesSection( diff.recipe || {}, oldResult.tables.get( 'recipe' ) || new Map(),
+			ResultsWriter.diffableResult.tables.get( 'recipe' ) || new Map() );
+
+		for ( var [ tableName, entityName ] of [ [ 'monster', 'monsters' ], [ 'biome', 'biomes' ] ] ) {
+			var tableDiff = diff[tableName] || {};
+			wikitext += this.makeSection( 'New ' + entityName, Object.values( tableDiff.added || {} ).map( ( fields ) =>
+				this.makeLink( new Map( Object.entries( fields ) ) ) ) );
+			wikitext += this.makeSection( 'Removed ' + entityName, Object.values( tableDiff.removed || {} ).map( ( fields ) =>
+				( fields.name || fields.id ) + ' (<code>' + fields.id + '</code>)' ) );
+		}
+
+		return wikitext;
+	}
+
+	/**
+	 * Get wikitext of the section with the bulleted list. Returns empty string if the list is empty.
+	 *
+	 * @param {string} header
+	 * @param {string[]} lines
+	 * @return {string}
+	 */
+	makeSection( header, lines ) {
+		if ( lines.length === 0 ) {
+			return '';
+		}
+
+		return '\n== ' + header + ' (' + lines.length + ') ==\n' + lines.sort().map( ( line ) => '* ' + line ).join( '\n' ) + '\n';
+	}
+
+	/**
+	 * Get wikitext link to the article about the entity (item, monster or biome).
+	 *
+	 * @param {Map} fields Fields of the Cargo row (must have "id", can have "name" and "wikiPage").
+	 * @return {string}
+	 */
+	makeLink( fields ) {
+		var name = fields.get( 'name' ) || fields.get( 'id' ),
+			wikiPage = fields.get( 'wikiPage' );
+
+		if ( !wikiPage ) {
+			return name;
+		}
+
+		return '[[' + wikiPage + ( wikiPage === name ? '' : '|' + name ) + ']]';
+	}
+
+	/**
+	 * Get the list of items with changed price, stats, etc. (one line per item).
+	 *
+	 * @param {Object} itemDiff Result of DiffableResult.diffAsObject() for "item" table.
+	 * @param {Object} metadataDiff Result of DiffableResult.diffAsObject() for "item_metadata" table.
+	 * @return {string[]}
+	 */
+	describeRebalancedItems( itemDiff, metadataDiff ) {
+		// { itemCode: [ "price: 100 → 150", ... ], ... }
+		var changesPerItem = new Map();
+		var addChange = ( code, key, before, after ) => {
+			if ( !changesPerItem.has( code ) ) {
+				changesPerItem.set( code, [] );
+			}
+
+			changesPerItem.get( code ).push( key + ': ' + ( before === null ? 'none' : before ) +
+				' → ' + ( after === null ? 'none' : after ) );
+		};
+
+		for ( var [ rowIdentifier, changedFields ] of Object.entries( itemDiff.changed || {} ) ) {
+			var itemCode = rowIdentifier.replace( /^item-/, '' );
+			for ( var [ fieldName, change ] of Object.entries( changedFields ) ) {
+				if ( !ignoredItemFields.includes( fieldName ) ) {
+					addChange( itemCode, fieldName, change.old, change.new );
+				}
+			}
+		}
+
+		// Metadata rows of the items that weren't added/removed (e.g. "foodValue" of existing item).
+		// Row identifiers have the format "item-<itemCode>::<metadataKey>".
+		var addedOrRemovedItems = new Set( Object.keys( itemDiff.added || {} ).concat( Object.keys( itemDiff.removed || {} ) ) );
+		var metadataChanges = [
+			...Object.entries( metadataDiff.added || {} ).map( ( [ id, fields ] ) => [ id, null, fields.value ] ),
+			...Object.entries( metadataDiff.removed || {} ).map( ( [ id, fields ] ) => [ id, fields.value, null ] ),
+			...Object.entries( metadataDiff.changed || {} ).filter( ( [ , fields ] ) => fields.value )
+				.map( ( [ id, fields ] ) => [ id, fields.value.old, fields.value.new ] )
+		];
+
+		for ( var [ metadataRowIdentifier, oldValue, newValue ] of metadataChanges ) {
+			var [ itemRowIdentifier, metadataKey ] = metadataRowIdentifier.split( '::' );
+			if ( !addedOrRemovedItems.has( itemRowIdentifier ) ) {
+				addChange( itemRowIdentifier.replace( /^item-/, '' ), metadataKey, oldValue, newValue );
+			}
+		}
+
+		return [...changesPerItem].map( ( [ changedItemCode, changes ] ) =>
+			( this.itemLinks.get( changedItemCode ) || changedItemCode ) + ': ' + changes.sort().join( ', ' ) );
+	}
+
+	/**
+	 * Get wikitext of the table that shows added, removed and modified recipes (before and after the change).
+	 *
+	 * @param {Object} recipeDiff Result of DiffableResult.diffAsObject() for "recipe" table.
+	 * @param {Map} oldRows Rows of "recipe" table in the previous version: { rowIdentifier: fields, ... }.
+	 * @param {Map} newRows Rows of "recipe" table in the current version: { rowIdentifier: fields, ... }.
+	 * @return {string}
+	 */
+	makeRecipesSection( recipeDiff, oldRows, newRows ) {
+		var rowIdentifiers = Object.keys( recipeDiff.added || {} ).concat(
+			Object.keys( recipeDiff.removed || {} ),
+			Object.keys( recipeDiff.changed || {} )
+		).sort();
+
+		if ( rowIdentifiers.length === 0 ) {
+			return '';
+		}
+
+		var wikitext = '\n== Changed recipes (' + rowIdentifiers.length + ') ==\n' +
+			'{| class="wikitable"\n! Station !! Before !! After\n';
+
+		for ( var rowIdentifier of rowIdentifiers ) {
+			var oldFields = oldRows.get( rowIdentifier ),
+				newFields = newRows.get( rowIdentifier );
+
+			wikitext += '|-\n| ' + ( newFields || oldFields ).get( 'station' ) +
+				'\n|\n' + ( oldFields ? oldFields.get( 'wikitext' ) : "''(new recipe)''" ) +
+				'\n|\n' + ( newFields ? newFields.get( 'wikitext' ) : "''(removed)''" ) + '\n';
+		}
+
+		return wikitext + '|}\n';
+	}
+}
+
+module.exports = new ChangelogPage();
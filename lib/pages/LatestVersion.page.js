@@ -1,6 +1,6 @@
 'use strict';
 
-const { AssetDatabase } = require( '..' );
+const { SnapshotArchive } = require( '..' );
 
 /**
  * Creates the page [[Template:Version of FU when bot was last called]].
@@ -12,7 +12,7 @@ class LatestVersion {
 
 	getText() {
 		// Expected format: "6.4.1".
-		return AssetDatabase.getData( '_FUversioning.config' ).version.replace( /Version/, '' ).trim();
+		return SnapshotArchive.getCurrentVersion();
 	}
 }
 
@@ -2,5 +2,6 @@
 
 module.exports = [
 	require( './BiomeMusic.page' ),
+	require( './Changelog.page' ),
 	require( './LatestVersion.page' )
 ];
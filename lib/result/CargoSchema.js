@@ -0,0 +1,124 @@
+'use strict';
+
+const crypto = require( 'crypto' );
+
+/**
+ * Declarations of all Cargo tables (names and types of their fields).
+ *
+ * Each class that writes Cargo rows declares its tables in its static "cargoTables" property, for example:
+ * static cargoTables = { tableName: { fieldName1: 'String', fieldName2: 'List (,) of String' }, ... }
+ * These declarations are used to 1) generate the {{#cargo_declare:}} templates for the wiki
+ * (see ResultsWriter.writeCargoDeclarations()), 2) check that toCargoDatabase() doesn't write undeclared fields
+ * (such fields would be silently ignored by Extension:Cargo).
+ */
+class CargoSchema {
+	constructor() {
+		// Format: { tableName: { fields: { fieldName: 'Type', ... }, declaredBy: 'ClassName' }, ... }
+		this.tables = null;
+	}
+
+	/**
+	 * Get the list of classes that declare Cargo tables.
+	 *
+	 * @return {Function[]}
+	 */
+	getDeclaringClasses() {
+		// Loaded on demand, because some of these classes are loaded after CargoSchema.
+		const lib = require( '..' );
+		return [ lib.Item, lib.Recipe, lib.ResearchNode, lib.ArmorSet, lib.Monster, lib.Planet, lib.Region,
+			lib.Biome, lib.WeatherPool, lib.StatusEffect, lib.Tenant, lib.LinearClampFunction,
+			lib.CraftingTree, lib.ResearchPath, lib.ItemHistoryTracker, lib.OreDistribution, lib.Quest,
+			lib.Merchant ];
+	}
+
+	/**
+	 * Get all declared tables.
+	 *
+	 * @return {Map} Format: { tableName: { fields: { fieldName: 'Type', ... }, declaredBy: 'ClassName' }, ... }
+	 */
+	getTables() {
+		if ( this.tables ) {
+			return this.tables;
+		}
+
+		this.tables = new Map();
+		for ( var declaringClass of this.getDeclaringClasses() ) {
+			for ( var [ tableName, fields ] of Object.entries( declaringClass.cargoTables ) ) {
+				var existingTable = this.tables.get( tableName );
+				if ( existingTable ) {
+					throw new Error( 'CargoSchema: table "' + tableName + '" is declared by both ' +
+						existingTable.declaredBy + ' and ' + declaringClass.name + '.' );
+				}
+
+				this.tables.set( tableName, { fields: fields, declaredBy: declaringClass.name } );
+			}
+		}
+
+		return this.tables;
+	}
+
+	/**
+	 * Throw an exception if the row has fields that are not declared (or if its table is not declared).
+	 *
+	 * @param {CargoRow} cargoRow
+	 */
+	validate( cargoRow ) {
+		var table = this.getTables().get( cargoRow.table );
+		if ( !table ) {
+			throw new Error( 'CargoSchema: Cargo table "' + cargoRow.table + '" is not declared. ' +
+				'Add it to static cargoTables of the class that writes it.' );
+		}
+
+		for ( var fieldName of cargoRow.fields.keys() ) {
+			if ( !table.fields[fieldName] ) {
+				throw new Error( 'CargoSchema: field "' + fieldName + '" is not declared in Cargo table "' +
+					cargoRow.table + '". Add it to static cargoTables of ' + table.declaredBy + '.' );
+			}
+		}
+	}
+
+	/**
+	 * Get the title of the wiki page that declares the table.
+	 *
+	 * @param {string} tableName
+	 * @return {string}
+	 */
+	getTemplateTitle( tableName ) {
+		return 'Template:Cargo declare/' + tableName;
+	}
+
+	/**
+	 * Get the contents of the wiki page that declares the table.
+	 *
+	 * @param {string} tableName
+	 * @return {string}
+	 */
+	getTemplateText( tableName ) {
+		var { fields, declaredBy } = this.getTables().get( tableName );
+
+		var wikitext = '<noinclude>{{#cargo_declare:\n_table = ' + tableName + '\n';
+		for ( var [ fieldName, type ] of Object.entries( fields ) ) {
+			wikitext += '|' + fieldName + ' = ' + type + '\n';
+		}
+		wikitext += '}}\n';
+
+		wikitext += 'This template declares Cargo table <code>' + tableName + '</code>. ' +
+			'It is updated by the bot (from <code>static cargoTables</code> of <code>' + declaredBy + '</code> class), ' +
+			'so manual changes to this page will be overwritten.\n\n' +
+			'[[Category:Cargo templates]]\n</noinclude>';
+
+		return wikitext;
+	}
+
+	/**
+	 * Get a short checksum of all declarations. It changes when any field is added, removed or changes its type.
+	 *
+	 * @return {string}
+	 */
+	getChecksum() {
+		var allFields = [...this.getTables()].map( ( [ tableName, table ] ) => [ tableName, table.fields ] );
+		return crypto.createHash( 'sha1' ).update( JSON.stringify( allFields ) ).digest( 'hex' ).slice( 0, 8 );
+	}
+}
+
+module.exports = new CargoSchema();
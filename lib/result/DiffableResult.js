@@ -44,12 +44,21 @@ class DiffableResult {
 			case 'function':
 				extraIdentifier = fields.get( 'param' );
 				break;
+			case 'item_effect':
+				extraIdentifier = fields.get( 'effect' );
+				break;
 			case 'item_metadata':
 				extraIdentifier = fields.get( 'prop' );
 				break;
 			case 'layer':
 				extraIdentifier = fields.get( 'layer' );
 				break;
+			case 'ore_distribution':
+				extraIdentifier = fields.get( 'biome' );
+				break;
+			case 'raw_materials':
+				extraIdentifier = fields.get( 'material' ) + ( fields.get( 'isByproduct' ) ? ':byproduct' : '' );
+				break;
 			case 'region':
 				extraIdentifier = fields.get( 'id' );
 				break;
@@ -184,6 +193,80 @@ class DiffableResult {
 		return diffText;
 	}
 
+	/**
+	 * Get machine-readable list of differences between this DiffableResult and another DiffableResult.
+	 * Rows are grouped by table (pseudo-tables "_OverwritePage" and "_PrecreatePage" contain wikipages).
+	 * Only the tables that have differences are included.
+	 *
+	 * @example
+	 * {
+	 *   "item": {
+	 *     "added": { "rowIdentifier1": { "field1": "value1", ... }, ... },
+	 *     "removed": { "rowIdentifier2": { "field1": "value1", ... }, ... },
+	 *     "changed": { "rowIdentifier3": { "field1": { "old": "oldValue", "new": "newValue" }, ... }, ... }
+	 *   },
+	 *   ...
+	 * }
+	 *
+	 * @param {DiffableResult} anotherResult
+	 * @return {Object}
+	 */
+	diffAsObject( anotherResult ) {
+		var result = {},
+			tableNames = new Set( [...this.tables.keys()].concat( [...anotherResult.tables.keys()] ) );
+
+		for ( var tableName of [...tableNames].sort() ) {
+			var newRows = this.tables.get( tableName ) || new Map(),
+				oldRows = anotherResult.tables.get( tableName ) || new Map(),
+				tableDiff = { added: {}, removed: {}, changed: {} },
+				hasChanges = false;
+
+			var rowIdentifiers = new Set( [...newRows.keys()].concat( [...oldRows.keys()] ) );
+			for ( var rowIdentifier of [...rowIdentifiers].sort() ) {
+				var newRow = newRows.get( rowIdentifier ),
+					oldRow = oldRows.get( rowIdentifier );
+
+				if ( !oldRow ) {
+					tableDiff.added[rowIdentifier] = Object.fromEntries( newRow );
+					hasChanges = true;
+					continue;
+				}
+
+				if ( !newRow ) {
+					tableDiff.removed[rowIdentifier] = Object.fromEntries( oldRow );
+					hasChanges = true;
+					continue;
+				}
+
+				var changedFields = {},
+					fieldNames = new Set( [...newRow.keys()].concat( [...oldRow.keys()] ) );
+
+				for ( var fieldName of [...fieldNames].sort() ) {
+					var oldValue = oldRow.get( fieldName ),
+						newValue = newRow.get( fieldName );
+
+					if ( oldValue !== newValue ) {
+						changedFields[fieldName] = {
+							old: oldValue === undefined ? null : oldValue,
+							new: newValue === undefined ? null : newValue
+						};
+					}
+				}
+
+				if ( Object.keys( changedFields ).length > 0 ) {
+					tableDiff.changed[rowIdentifier] = changedFields;
+					hasChanges = true;
+				}
+			}
+
+			if ( hasChanges ) {
+				result[tableName] = tableDiff;
+			}
+		}
+
+		return result;
+	}
+
 	/**
 	 * Internal: serialize this.table into easily comparable { string => string } Map.
 	 *
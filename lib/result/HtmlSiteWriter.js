@@ -0,0 +1,688 @@
+'use strict';
+
+const { config, util, CraftingTreeCalculator, ItemDatabase, RegionDatabase, RemoveBadSymbols,
+		ResearchPathCalculator, ResearchTreeDatabase } = require( '..' ),
+	fs = require( 'fs' );
+
+/**
+ * Types of pages that are written by HtmlSiteWriter.
+ * Format: { pageType: [ "Title of the list of all these pages", "Name of one entity (for search results)" ], ... }
+ */
+const pageTypes = {
+	item: [ 'Items', 'item' ],
+	monster: [ 'Monsters', 'monster' ],
+	biome: [ 'Biomes', 'biome' ],
+	planet: [ 'Planets', 'planet' ],
+	node: [ 'Research nodes', 'research node' ],
+	quest: [ 'Quests', 'quest' ]
+};
+
+/**
+ * Empty file that is written into the output directory to mark it as created by HtmlSiteWriter.
+ * Directories without this file are never cleaned (it could be some unrelated directory that was passed by mistake).
+ */
+const markerFilename = '.htmlSiteWriter';
+
+/**
+ * Cargo fields that are not shown in the table of properties (they are either shown elsewhere on the page,
+ * or contain wikitext that only makes sense in MediaWiki).
+ */
+const hiddenFields = [ 'id', 'name', 'wikiPage', 'wikiPageLink', 'description', 'unlocks', 'children', 'parents', 'tree',
+	'text' ];
+
+/**
+ * Alternative to ResultsWriter ("generate.js --html-site=path/to/dir") for those who don't have MediaWiki with Cargo.
+ * Writes a static HTML site (which can be viewed offline) with cross-linked pages about items, monsters,
+ * biomes, planets, research nodes and quests, plus a client-side search (search.js uses the index in search-index.js).
+ *
+ * Images are copied from the directory that is populated by prepare_uploads.js,
+ * so prepare_uploads.js should be run before generate.js (otherwise the pages won't have any images).
+ *
+ * Has the same write*() methods as ResultsWriter, but only remembers the entities.
+ * Pages are rendered in finalize(), when all entities (and therefore all possible links) are known.
+ */
+class HtmlSiteWriter {
+	/**
+	 * @param {string} outputDir Path to the directory where the site is written.
+	 * It must be either empty (or not exist yet) or contain the site that was written by HtmlSiteWriter earlier.
+	 */
+	constructor( outputDir ) {
+		if ( typeof outputDir !== 'string' || outputDir === '' ) {
+			throw new Error( 'HtmlSiteWriter: path to the output directory is required, e.g. --html-site=path/to/dir' );
+		}
+
+		if ( fs.existsSync( outputDir ) && (
+			!fs.statSync( outputDir ).isDirectory() ||
+			( fs.readdirSync( outputDir ).length > 0 && !fs.existsSync( outputDir + '/' + markerFilename ) )
+		) ) {
+			// Checked before generating anything, so that the user doesn't have to wait to see this error.
+			throw new Error( 'HtmlSiteWriter: ' + outputDir + ' is not an empty directory and doesn\'t contain ' +
+				'the site that was written by HtmlSiteWriter earlier. Please choose another directory.' );
+		}
+
+		this.outputDir = outputDir;
+
+		// Static files (styles, scripts) that are copied into the output directory.
+		this.staticFilesDir = __dirname + '/../../templatesAndStyles/htmlSite';
+
+		// Directory where prepare_uploads.js creates symlinks to all images.
+		this.imagesSourceDir = config.outputDir + '/pywikibot/filesToUpload/all';
+
+		// Entities that will get their own page. Format: { pageType: Map { id: { title, entity }, ... }, ... }
+		this.pages = {};
+		for ( var pageType of Object.keys( pageTypes ) ) {
+			this.pages[pageType] = new Map();
+		}
+
+		// Recipes that mention something. Format: { "componentId": { inputOf: [ Recipe, ... ], outputOf: [ ... ] } }
+		// where componentId is "itemCode", "monster:monsterCode" or "biome:biomeCode" (same as in RecipeComponent).
+		this.recipesByComponentId = new Map();
+	}
+
+	/**
+	 * Remember the entity that should get its own page.
+	 *
+	 * @param {string} pageType One of the keys of pageTypes, e.g. "item".
+	 * @param {string} id Unique ID of entity (among the entities of this type).
+	 * @param {string} title Human-readable name of entity.
+	 * @param {Object} entity
+	 */
+	addPage( pageType, id, title, entity ) {
+		this.pages[pageType].set( id, { title: title || id, entity: entity } );
+	}
+
+	/**
+	 * Remember the item.
+	 *
+	 * @param {Item} item One item from the ItemDatabase.
+	 */
+	writeItem( item ) {
+		this.addPage( 'item', item.itemCode, item.displayName, item );
+	}
+
+	/**
+	 * Remember the recipe (it will be shown on the pages of its inputs and outputs).
+	 *
+	 * @param {Recipe} recipe One recipe from the RecipeDatabase.
+	 */
+	writeRecipe( recipe ) {
+		var addMention = ( component, listName ) => {
+			if ( !this.recipesByComponentId.has( component.id ) ) {
+				this.recipesByComponentId.set( component.id, { inputOf: [], outputOf: [] } );
+			}
+
+			var recipes = this.recipesByComponentId.get( component.id )[listName];
+			if ( recipes[recipes.length - 1] !== recipe ) {
+				// Same item can be mentioned several times in the recipe (e.g. as a group and as its member).
+				recipes.push( recipe );
+			}
+		};
+
+		recipe.inputs.getAllComponents().forEach( ( component ) => addMention( component, 'inputOf' ) );
+		recipe.outputs.getAllComponents().forEach( ( component ) => addMention( component, 'outputOf' ) );
+	}
+
+	/**
+	 * Remember the research node.
+	 *
+	 * @param {ResearchNode} node One node from the ResearchTreeDatabase.
+	 */
+	writeResearchNode( node ) {
+		this.addPage( 'node', node.id, node.name, node );
+	}
+
+	/**
+	 * Remember the monster.
+	 *
+	 * @param {Monster} monster One monster from the MonsterDatabase.
+	 */
+	writeMonster( monster ) {
+		if ( monster.isNameless ) {
+			// Same as in the wiki: nameless monsters are shown in recipes, but don't have their own page.
+			return;
+		}
+
+		this.addPage( 'monster', monster.type, monster.displayName, monster );
+	}
+
+	/**
+	 * Remember the planet.
+	 *
+	 * @param {Planet} planet One planet from the PlanetDatabase.
+	 */
+	writePlanet( planet ) {
+		this.addPage( 'planet', planet.planetCode, planet.displayName, planet );
+	}
+
+	/**
+	 * Remember the biome.
+	 *
+	 * @param {Biome} biome One biome from the BiomeDatabase.
+	 */
+	writeBiome( biome ) {
+		this.addPage( 'biome', biome.biomeCode, biome.displayName, biome );
+	}
+
+	/**
+	 * Remember the quest.
+	 *
+	 * @param {Quest} quest One quest from the QuestDatabase.
+	 */
+	writeQuest( quest ) {
+		this.addPage( 'quest', quest.questCode, quest.displayName, quest );
+	}
+
+	/**
+	 * Entities that don't have their own pages on the static site. Ignored.
+	 */
+	writeArmorSet() {}
+	writeTreasurePool() {}
+	writeRegion() {}
+	writeWeatherPool() {}
+	writeStatusEffect() {}
+	writeTenant() {}
+	writeMerchant() {}
+	writeFunction() {}
+	writeSaplingPart() {}
+
+	/**
+	 * Bot-updated wiki pages (see BotUpdatedPages) are wikitext, so they are not included into the static site.
+	 */
+	overwritePage() {}
+
+	/**
+	 * Write all pages, the search index, styles and images.
+	 */
+	finalize() {
+		this.deleteOldSite();
+
+		fs.mkdirSync( this.outputDir, { recursive: true } );
+		fs.writeFileSync( this.outputDir + '/' + markerFilename, '' );
+
+		for ( var pageType of Object.keys( pageTypes ) ) {
+			fs.mkdirSync( this.outputDir + '/' + pageType, { recursive: true } );
+		}
+
+		if ( fs.existsSync( this.imagesSourceDir ) ) {
+			fs.cpSync( this.imagesSourceDir, this.outputDir + '/images', { recursive: true, dereference: true } );
+		} else {
+			util.log( '[warning] HtmlSiteWriter: ' + this.imagesSourceDir + ' not found, pages will have no images. ' +
+				'Run prepare_uploads.js to gather the images.' );
+		}
+
+		for ( var staticFile of fs.readdirSync( this.staticFilesDir ) ) {
+			fs.copyFileSync( this.staticFilesDir + '/' + staticFile, this.outputDir + '/' + staticFile );
+		}
+
+		var searchIndex = [],
+			pagesCount = 0;
+
+		for ( var [ type, [ listTitle, entityName ] ] of Object.entries( pageTypes ) ) {
+			var sortedPages = [...this.pages[type]].sort( ( a, b ) => a[1].title.localeCompare( b[1].title ) ),
+				listHtml = '';
+
+			for ( var [ id, { title, entity } ] of sortedPages ) {
+				var bodyHtml = this.renderBody( type, id, entity );
+				fs.writeFileSync( this.outputDir + '/' + this.getPageUrl( type, id ),
+					this.renderPage( title, bodyHtml, '../' ) );
+
+				listHtml += '<li>' + this.makeLink( type, id, '', '' ) + '</li>\n';
+				searchIndex.push( { title: title, id: id, kind: entityName, url: this.getPageUrl( type, id ) } );
+				pagesCount++;
+			}
+
+			fs.writeFileSync( this.outputDir + '/' + type + '.html',
+				this.renderPage( listTitle, '<ul class="entity-list">\n' + listHtml + '</ul>\n', '' ) );
+		}
+
+		// This is a script (not a JSON file), because browsers don't allow fetch() for local files (file:// URLs).
+		fs.writeFileSync( this.outputDir + '/search-index.js', 'window.searchIndex = ' + JSON.stringify( searchIndex ) + ';\n' );
+
+		var mainPageHtml = '<ul class="entity-list">\n';
+		for ( var [ listType, [ typeListTitle ] ] of Object.entries( pageTypes ) ) {
+			mainPageHtml += '<li><a href="' + listType + '.html">' + typeListTitle + '</a> (' + this.pages[listType].size + ')</li>\n';
+		}
+		mainPageHtml += '</ul>\n';
+		fs.writeFileSync( this.outputDir + '/index.html', this.renderPage( 'Main page', mainPageHtml, '' ) );
+
+		util.log( '[info] HtmlSiteWriter: wrote ' + pagesCount + ' pages into ' + this.outputDir );
+	}
+
+	/**
+	 * Delete the files and subdirectories that were written by the previous run of finalize() (if any).
+	 * Other files in the output directory are not deleted.
+	 */
+	deleteOldSite() {
+		if ( !fs.existsSync( this.outputDir + '/' + markerFilename ) ) {
+			// Empty or nonexistent directory (see constructor).
+			return;
+		}
+
+		var ownPaths = [ 'images', 'search-index.js', 'index.html', ...fs.readdirSync( this.staticFilesDir ) ];
+		for ( var pageType of Object.keys( pageTypes ) ) {
+			ownPaths.push( pageType, pageType + '.html' );
+		}
+
+		for ( var ownPath of ownPaths ) {
+			fs.rmSync( this.outputDir + '/' + ownPath, { recursive: true, force: true } );
+		}
+	}
+
+	/**
+	 * Get the contents of the page about one entity (everything except the header and the navigation).
+	 *
+	 * @param {string} pageType
+	 * @param {string} id
+	 * @param {Object} entity
+	 * @return {string} HTML.
+	 */
+	renderBody( pageType, id, entity ) {
+		switch ( pageType ) {
+			case 'item':
+				return this.renderItem( entity );
+			case 'monster':
+				return this.renderMonster( entity );
+			case 'biome':
+				return this.renderBiome( entity );
+			case 'planet':
+				return this.renderPlanet( entity );
+			case 'node':
+				return this.renderResearchNode( entity );
+			case 'quest':
+				return this.renderQuest( entity );
+		}
+
+		throw new Error( 'HtmlSiteWriter: unknown page type: ' + pageType );
+	}
+
+	/**
+	 * @param {Item} item
+	 * @return {string} HTML.
+	 */
+	renderItem( item ) {
+		var html = this.makeImage( 'Item_icon_' + item.itemCode + '.png' ) +
+			this.makeImage( 'Item_image_' + item.itemCode + '.png' ) +
+			this.renderDescription( item.description ) +
+			this.renderFields( item.toCargoDatabase()[0] );
+
+		var consumptionEffects = item.getConsumptionEffects();
+		if ( consumptionEffects.length > 0 ) {
+			html += '<h2>Effects when used</h2>\n<ul>\n';
+			for ( var { effect, duration } of consumptionEffects ) {
+				html += '<li>' + this.escape( effect.label || effect.name ) +
+					( duration ? ' (' + duration + 's)' : '' ) +
+					effect.getStatModifiers().map( ( modifier ) => ', ' + this.escape( modifier ) ).join( '' ) + '</li>\n';
+			}
+			html += '</ul>\n';
+		}
+
+		var researchPath = ResearchPathCalculator.getPath( item.itemCode );
+		if ( researchPath ) {
+			html += '<h2>Research path</h2>\n<p>' +
+				researchPath.nodes.map( ( node ) => this.makeLink( 'node', node.id, node.name ) ).join( ' → ' );
+			if ( researchPath.pickupItemCode ) {
+				html += ' → pick up ' + this.makeItemLink( researchPath.pickupItemCode );
+			}
+			html += '</p>\n';
+		}
+
+		var craftingTree = CraftingTreeCalculator.getTree( item.itemCode );
+		if ( !craftingTree.isRawMaterial() ) {
+			html += '<h2>Raw materials</h2>\n<ul>\n';
+			for ( var [ materialCode, amount ] of craftingTree.getRawMaterials() ) {
+				html += '<li>' + util.trimFloatNumber( amount, 3 ) + '× ' + this.makeItemLink( materialCode ) + '</li>\n';
+			}
+			html += '</ul>\n';
+
+			var byproducts = craftingTree.getByproducts();
+			if ( byproducts.size > 0 ) {
+				html += '<h2>Byproducts</h2>\n<ul>\n';
+				for ( var [ byproductCode, byproductAmount ] of byproducts ) {
+					html += '<li>' + util.trimFloatNumber( byproductAmount, 3 ) + '× ' + this.makeItemLink( byproductCode ) + '</li>\n';
+				}
+				html += '</ul>\n';
+			}
+		}
+
+		return html + this.renderRecipes( item.itemCode );
+	}
+
+	/**
+	 * @param {Monster} monster
+	 * @return {string} HTML.
+	 */
+	renderMonster( monster ) {
+		return this.makeImage( 'Monster_body_' + monster.type + '.png' ) +
+			this.renderDescription( monster.description ) +
+			this.renderFields( monster.toCargoDatabase() ) +
+			this.renderRecipes( 'monster:' + monster.type );
+	}
+
+	/**
+	 * @param {Biome} biome
+	 * @return {string} HTML.
+	 */
+	renderBiome( biome ) {
+		var html = this.renderFields( biome.toCargoDatabase() );
+
+		var planetLinks = [];
+		for ( var [ planetCode, { entity: planet } ] of this.pages.planet ) {
+			if ( this.getPlanetBiomes( planet ).has( biome.biomeCode ) ) {
+				planetLinks.push( this.makeLink( 'planet', planetCode, '' ) );
+			}
+		}
+
+		if ( planetLinks.length > 0 ) {
+			html += '<h2>Planets</h2>\n<p>' + planetLinks.sort().join( ', ' ) + '</p>\n';
+		}
+
+		return html + this.renderRecipes( 'biome:' + biome.biomeCode );
+	}
+
+	/**
+	 * @param {Quest} quest
+	 * @return {string} HTML.
+	 */
+	renderQuest( quest ) {
+		return this.renderDescription( RemoveBadSymbols.removeColors( quest.text || '' ) ) +
+			this.renderFields( quest.toCargoDatabase() ) +
+			this.renderRecipes( 'quest:' + quest.questCode );
+	}
+
+	/**
+	 * @param {Planet} planet
+	 * @return {string} HTML.
+	 */
+	renderPlanet( planet ) {
+		var [ planetRow, ...layerRows ] = planet.toCargoDatabase(),
+			html = this.renderFields( planetRow ) + '<h2>Layers</h2>\n<table class="fields">\n';
+
+		for ( var layerRow of layerRows ) {
+			var layerName = layerRow.fields.get( 'layer' ),
+				biomeLinks = [...this.getPlanetBiomes( planet, layerName )].map( ( biomeCode ) => this.makeLink( 'biome', biomeCode, biomeCode ) );
+
+			html += '<tr><th>' + this.escape( layerName ) + '</th><td>' + biomeLinks.join( ', ' ) + '</td></tr>\n';
+		}
+
+		return html + '</table>\n';
+	}
+
+	/**
+	 * @param {ResearchNode} node
+	 * @return {string} HTML.
+	 */
+	renderResearchNode( node ) {
+		var html = this.makeImage( 'Node_icon_' + node.id.replace( ':', '.' ) + '.png' ) +
+			'<p>Research tree: ' + this.escape( node.tree ) + '</p>\n' +
+			this.renderDescription( node.description );
+
+		var sections = {
+			Price: node.price.getAllComponents().map( ( component ) => this.renderComponent( component ) ),
+			Unlocks: node.unlocks.map( ( itemCode ) => this.makeItemLink( itemCode ) ),
+			'Required nodes': node.parents.map( ( nodeId ) => this.makeNodeLink( nodeId ) ),
+			'Next nodes': node.children.map( ( nodeId ) => this.makeNodeLink( nodeId ) )
+		};
+
+		for ( var [ sectionTitle, elements ] of Object.entries( sections ) ) {
+			if ( elements.length > 0 ) {
+				html += '<h2>' + sectionTitle + '</h2>\n<ul>\n' + elements.map( ( element ) => '<li>' + element + '</li>\n' ).join( '' ) + '</ul>\n';
+			}
+		}
+
+		return html;
+	}
+
+	/**
+	 * Get the list of recipes that produce/use something.
+	 *
+	 * @param {string} componentId Value of RecipeComponent.id, e.g. "ironore" or "monster:poptop".
+	 * @return {string} HTML.
+	 */
+	renderRecipes( componentId ) {
+		var mentions = this.recipesByComponentId.get( componentId ),
+			html = '';
+		if ( !mentions ) {
+			return html;
+		}
+
+		for ( var [ sectionTitle, recipes ] of [ [ 'Obtained from', mentions.outputOf ], [ 'Used in', mentions.inputOf ] ] ) {
+			if ( recipes.length === 0 ) {
+				continue;
+			}
+
+			html += '<h2>' + sectionTitle + '</h2>\n<table class="recipes">\n';
+			for ( var recipe of recipes ) {
+				html += '<tr><th>' + this.escape( recipe.station ) + '</th><td>' + this.renderRecipeSide( recipe.inputs ) +
+					'</td><td>→</td><td>' + this.renderRecipeSide( recipe.outputs ) + '</td></tr>\n';
+			}
+			html += '</table>\n';
+		}
+
+		return html;
+	}
+
+	/**
+	 * @param {RecipeSide} recipeSide
+	 * @return {string} HTML.
+	 */
+	renderRecipeSide( recipeSide ) {
+		return recipeSide.getAllComponents().map( ( component ) => this.renderComponent( component ) )
+			.filter( ( componentHtml ) => componentHtml !== '' ).join( '<br>' );
+	}
+
+	/**
+	 * Get human-readable description of one input/output of the recipe (with a link, if possible).
+	 *
+	 * @param {RecipeComponent} component
+	 * @return {string} HTML.
+	 */
+	renderComponent( component ) {
+		var pageType = null,
+			id = component.code;
+		if ( component.isItem ) {
+			pageType = 'item';
+			id = component.id;
+		} else if ( component.isMonster ) {
+			pageType = 'monster';
+		} else if ( component.isBiome ) {
+			pageType = 'biome';
+		} else if ( component.isQuest ) {
+			pageType = 'quest';
+		}
+
+		var html;
+		if ( pageType && this.pages[pageType].has( id ) ) {
+			html = this.makeLink( pageType, id, '' );
+		} else {
+			// Pseudo-items like "Air (on Desert planets)", entities without a page, etc.
+			html = this.wikitextToHtml( component.getDisplayName() || component.code );
+		}
+
+		var quantity = component.quantity;
+		if ( quantity.count ) {
+			html = quantity.count + '× ' + html;
+		}
+		if ( quantity.isBlueprint ) {
+			html += ' (blueprint)';
+		}
+		if ( quantity.chance ) {
+			html += ' ' + util.trimFloatNumber( quantity.chance, 2 ) + '%';
+		}
+		if ( quantity.averageCount ) {
+			html += ' ~' + util.trimFloatNumber( quantity.averageCount, 3 ) + '×';
+		}
+		if ( quantity.rarity ) {
+			html += ' (' + this.escape( quantity.rarity[0] ) + ')';
+		}
+
+		return html;
+	}
+
+	/**
+	 * Get the table with all fields of Cargo row (e.g. price, rarity and tier of the item).
+	 *
+	 * @param {CargoRow} cargoRow
+	 * @return {string} HTML.
+	 */
+	renderFields( cargoRow ) {
+		var html = '';
+		for ( var [ fieldName, value ] of cargoRow.fields ) {
+			if ( !hiddenFields.includes( fieldName ) && !fieldName.endsWith( 'Wikitext' ) ) {
+				html += '<tr><th>' + this.escape( fieldName ) + '</th><td>' + this.escape( value.replace( /,/g, ', ' ) ) + '</td></tr>\n';
+			}
+		}
+
+		return html ? '<table class="fields">\n' + html + '</table>\n' : '';
+	}
+
+	/**
+	 * @param {string|undefined} description
+	 * @return {string} HTML.
+	 */
+	renderDescription( description ) {
+		return description ? '<p class="description">' + this.escape( description ) + '</p>\n' : '';
+	}
+
+	/**
+	 * Get the full HTML document.
+	 *
+	 * @param {string} title
+	 * @param {string} bodyHtml
+	 * @param {string} root Relative path to the root of the site, e.g. "../" for pages in subdirectories.
+	 * @return {string}
+	 */
+	renderPage( title, bodyHtml, root ) {
+		var navigationHtml = '<a href="' + root + 'index.html">Main page</a>';
+		for ( var [ pageType, [ listTitle ] ] of Object.entries( pageTypes ) ) {
+			navigationHtml += ' | <a href="' + root + pageType + '.html">' + listTitle + '</a>';
+		}
+
+		return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+			'<title>' + this.escape( title ) + '</title>\n' +
+			'<link rel="stylesheet" href="' + root + 'style.css">\n' +
+			'</head>\n<body data-root="' + root + '">\n' +
+			'<nav>' + navigationHtml + '\n<input id="search" type="search" placeholder="Search"><ul id="search-results"></ul></nav>\n' +
+			'<main>\n<h1>' + this.escape( title ) + '</h1>\n' + bodyHtml + '</main>\n' +
+			'<script src="' + root + 'search-index.js"></script>\n<script src="' + root + 'search.js"></script>\n' +
+			'</body>\n</html>\n';
+	}
+
+	/**
+	 * Get path to the page (relative to the root of the site).
+	 *
+	 * @param {string} pageType
+	 * @param {string} id
+	 * @return {string}
+	 */
+	getPageUrl( pageType, id ) {
+		// Symbols like ":" are not allowed in filenames on some systems. Percent signs are replaced too,
+		// because the browser would decode them in the URL (and then the file wouldn't be found).
+		return pageType + '/' + encodeURIComponent( id ).replace( /%/g, '_' ) + '.html';
+	}
+
+	/**
+	 * Get the link to the page about the entity, or the plain text (if the entity doesn't have a page).
+	 *
+	 * @param {string} pageType
+	 * @param {string} id
+	 * @param {string} fallbackText Shown if there is no such page. If empty, ID is shown.
+	 * @param {string} root Relative path to the root of the site (see renderPage()).
+	 * @return {string} HTML.
+	 */
+	makeLink( pageType, id, fallbackText, root = '../' ) {
+		var page = this.pages[pageType].get( id );
+		if ( !page ) {
+			return this.escape( fallbackText || id );
+		}
+
+		return '<a href="' + root + this.escape( this.getPageUrl( pageType, id ) ) + '">' + this.escape( page.title ) + '</a>';
+	}
+
+	/**
+	 * @param {string} itemCode
+	 * @return {string} HTML.
+	 */
+	makeItemLink( itemCode ) {
+		var item = ItemDatabase.find( itemCode );
+		return this.makeLink( 'item', itemCode, item ? item.displayName : itemCode );
+	}
+
+	/**
+	 * @param {string} nodeId
+	 * @return {string} HTML.
+	 */
+	makeNodeLink( nodeId ) {
+		var node = ResearchTreeDatabase.knownNodes.get( nodeId );
+		return this.makeLink( 'node', nodeId, node ? node.name : nodeId );
+	}
+
+	/**
+	 * Get <img> tag for the image that was gathered by prepare_uploads.js, or empty string if there is no such image.
+	 *
+	 * @param {string} filename Name of the image in the wiki (same as in prepare_uploads.js).
+	 * @return {string} HTML.
+	 */
+	makeImage( filename ) {
+		if ( !fs.existsSync( this.imagesSourceDir + '/' + filename ) ) {
+			return '';
+		}
+
+		return '<img class="entity-image" src="../images/' + encodeURIComponent( filename ) + '" alt="">\n';
+	}
+
+	/**
+	 * Get the codes of all biomes that are possible on this planet.
+	 *
+	 * @param {Planet} planet
+	 * @param {string|null} onlyLayer If not null, only biomes of this layer (e.g. "surface") are returned.
+	 * @return {Set<string>}
+	 */
+	getPlanetBiomes( planet, onlyLayer = null ) {
+		var biomeCodes = new Set();
+		for ( var layerRow of planet.toCargoDatabase().slice( 1 ) ) {
+			var fields = layerRow.fields;
+			if ( onlyLayer && fields.get( 'layer' ) !== onlyLayer ) {
+				continue;
+			}
+
+			var regionCodes = [ fields.get( 'primaryRegion' ), fields.get( 'secondaryRegions' ) ].join( ',' ).split( ',' );
+			for ( var regionCode of regionCodes ) {
+				// Pseudo-region IDs like "core:2" (see Region class) have only 1 biome each.
+				var region = RegionDatabase.find( regionCode.split( ':' )[0] );
+				for ( var option of ( region ? region.biomeOptions : [] ) ) {
+					if ( option.regionCode === regionCode ) {
+						biomeCodes.add( option.biomeCode );
+					}
+				}
+			}
+		}
+
+		return biomeCodes;
+	}
+
+	/**
+	 * Convert simple wikitext (links, bold/italic text) into HTML. Templates are removed.
+	 *
+	 * @param {string} wikitext
+	 * @return {string} HTML.
+	 */
+	wikitextToHtml( wikitext ) {
+		return this.escape( wikitext
+			.replace( /\{\{[^{}]*\}\}/g, '' )
+			.replace( /\[\[[^|\]]*\|([^\]]*)\]\]/g, '$1' )
+			.replace( /\[\[([^\]]*)\]\]/g, '$1' )
+		).replace( /'''(.*?)'''/g, '<b>$1</b>' ).replace( /''(.*?)''/g, '<i>$1</i>' );
+	}
+
+	/**
+	 * Escape the text for use in HTML.
+	 *
+	 * @param {string} text
+	 * @return {string}
+	 */
+	escape( text ) {
+		return String( text ).replace( /&/g, '&amp;' ).replace( /</g, '&lt;' ).replace( />/g, '&gt;' ).replace( /"/g, '&quot;' );
+	}
+}
+
+module.exports = HtmlSiteWriter;
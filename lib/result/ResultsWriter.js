@@ -1,6 +1,7 @@
 'use strict';
 
-const { argv, config, ChunkWriter, DiffableResult, PageNameRegistry, WikiStatusCache } = require( '..' ),
+const { argv, config, CargoSchema, ChunkWriter, CraftingTreeCalculator, DiffableResult, OreDistributionDatabase,
+		PageNameRegistry, ResearchPathCalculator, SnapshotArchive, SqliteExporter, WikiStatusCache } = require( '..' ),
 	crypto = require( 'crypto' ),
 	fs = require( 'fs' );
 
@@ -19,6 +20,7 @@ class ResultsWriter {
 			/* eslint-disable camelcase */
 			item: 'item',
 			item_metadata: 'itemMetadata',
+			item_effect: 'itemEffect',
 			recipe: 'recipe',
 			research_node: 'node',
 			armorset: 'armorset',
@@ -31,7 +33,12 @@ class ResultsWriter {
 			weatherpool: 'weather',
 			statuseffect: 'status',
 			tenant: 'tenant',
-			function: 'function'
+			function: 'function',
+			raw_materials: 'rawMaterials',
+			research_path: 'researchPath',
+			ore_distribution: 'oreDistribution',
+			quest: 'quest',
+			merchant: 'merchant'
 			/* eslint-enable camelcase */
 		};
 
@@ -45,6 +52,10 @@ class ResultsWriter {
 					idxPattern: 'itemMetadata/$1',
 					chunksCount: config.cargoChunksCount.itemMetadata
 				},
+				itemEffect: {
+					idxPattern: 'itemEffect/$1',
+					chunksCount: config.cargoChunksCount.itemEffect
+				},
 				recipe: {
 					idxPattern: 'recipe/$1',
 					chunksCount: config.cargoChunksCount.recipe
@@ -92,6 +103,26 @@ class ResultsWriter {
 				function: {
 					idxPattern: 'function/$1',
 					chunksCount: config.cargoChunksCount.function
+				},
+				rawMaterials: {
+					idxPattern: 'rawMaterials/$1',
+					chunksCount: config.cargoChunksCount.rawMaterials
+				},
+				researchPath: {
+					idxPattern: 'researchPath/$1',
+					chunksCount: config.cargoChunksCount.researchPath
+				},
+				oreDistribution: {
+					idxPattern: 'oreDistribution/$1',
+					chunksCount: config.cargoChunksCount.oreDistribution
+				},
+				quest: {
+					idxPattern: 'quest/$1',
+					chunksCount: config.cargoChunksCount.quest
+				},
+				merchant: {
+					idxPattern: 'merchant/$1',
+					chunksCount: config.cargoChunksCount.merchant
 				}
 			}
 		} );
@@ -101,10 +132,27 @@ class ResultsWriter {
 			overwrite: '',
 			overwriteNewOnly: '',
 			precreate: '',
-			precreateNewOnly: ''
+			precreateNewOnly: '',
+			conflicts: ''
 		};
 
+		// Titles of pages that were added to this.buffer.conflicts.
+		this.conflictingPages = [];
+
 		this.diffableResult = new DiffableResult();
+
+		// Whether Cargo rows must be added to this.diffableResult (see shouldCollectRows()).
+		// Undefined until the first call to writeToCargo().
+		this.collectRows = undefined;
+
+		// If "generate.js --export-sqlite=path.db" is used, all Cargo rows are also written into SQLite database.
+		// Created in writeToCargo() (not here, because this singleton is created even by the scripts
+		// that don't write anything, and creating SqliteExporter overwrites the database file).
+		this.sqliteExporter = null;
+
+		// Contents of all pages that were written during this run: { "pageName1": "wikitext1", ... }.
+		// Only populated in "generate.js --watch" mode. Used by writeChangedPages().
+		this.pages = new Map();
 	}
 
 	/**
@@ -116,6 +164,24 @@ class ResultsWriter {
 		// Cargo database of all known items.
 		this.writeToCargo( item );
 
+		// Total amount of raw materials that are needed to craft this item (if it's craftable).
+		var craftingTree = CraftingTreeCalculator.getTree( item.itemCode );
+		if ( !craftingTree.isRawMaterial() ) {
+			this.writeToCargo( craftingTree );
+		}
+
+		// Research nodes that must be researched to unlock this item (if any).
+		var researchPath = ResearchPathCalculator.getPath( item.itemCode );
+		if ( researchPath ) {
+			this.writeToCargo( researchPath );
+		}
+
+		// Biomes where this item can be found as an ore (if it's an ore).
+		var oreDistribution = OreDistributionDatabase.find( item.itemCode );
+		if ( oreDistribution ) {
+			this.writeToCargo( oreDistribution );
+		}
+
 		// Pywikibot's import file (to mass-create articles about all items).
 		// See https://www.mediawiki.org/wiki/Manual:Pywikibot/pagefromfile.py
 		// These pages merely include {{All recipes for item}} and {{Automatic infobox item}}.
@@ -236,6 +302,25 @@ class ResultsWriter {
 		this.writeToCargo( tenant );
 	}
 
+	/**
+	 * Write everything about quest.
+	 *
+	 * @param {Quest} quest One quest from the QuestDatabase.
+	 */
+	writeQuest( quest ) {
+		this.writeToCargo( quest );
+		this.writeToArticle( quest );
+	}
+
+	/**
+	 * Write everything about NPC merchant.
+	 *
+	 * @param {Merchant} merchant One merchant from the MerchantDatabase.
+	 */
+	writeMerchant( merchant ) {
+		this.writeToCargo( merchant );
+	}
+
 	/**
 	 * Write everything about leveling function.
 	 *
@@ -265,8 +350,11 @@ class ResultsWriter {
 			// to become modified, which is useful when populating "replacement table" of Extension:Cargo.
 			// (if some pages were unchanged, then "pwb.py pagefromfile" of Pywikibot would skip them)
 			var versionPath = __dirname + '/../../schemaversion.txt';
-			this.schemaVersion = fs.existsSync( versionPath ) ?
+			var manualVersion = fs.existsSync( versionPath ) ?
 				fs.readFileSync( versionPath ).toString().trim() : '1';
+
+			// Same happens automatically when any Cargo table is declared differently (see CargoSchema).
+			this.schemaVersion = manualVersion + '-' + CargoSchema.getChecksum();
 		}
 
 		return this.schemaVersion;
@@ -277,25 +365,106 @@ class ResultsWriter {
 	 */
 	finalize() {
 		this.cargoChunkWriter.finalize( this.chunkOutputCallback.bind( this ) );
+		this.writeCargoDeclarations();
+
+		if ( this.sqliteExporter ) {
+			this.sqliteExporter.finalize();
+			this.sqliteExporter = null;
+		}
 
-		fs.writeFileSync( this.outputDir + '/cargoDatabase.import.txt', this.buffer.overwrite );
-		fs.writeFileSync( this.outputDir + '/cargoDatabase.onlyNew.import.txt', this.buffer.overwriteNewOnly );
+		this.writeFileIfChanged( this.outputDir + '/cargoDatabase.import.txt', this.buffer.overwrite );
+		this.writeFileIfChanged( this.outputDir + '/cargoDatabase.onlyNew.import.txt', this.buffer.overwriteNewOnly );
 
-		fs.writeFileSync( this.outputDir + '/precreateArticles.import.txt', this.buffer.precreate );
-		fs.writeFileSync( this.outputDir + '/precreateArticles.onlyNew.import.txt', this.buffer.precreateNewOnly );
+		this.writeFileIfChanged( this.outputDir + '/precreateArticles.import.txt', this.buffer.precreate );
+		this.writeFileIfChanged( this.outputDir + '/precreateArticles.onlyNew.import.txt', this.buffer.precreateNewOnly );
+
+		this.writeFileIfChanged( this.outputDir + '/conflicts.import.txt', this.buffer.conflicts );
+		if ( this.conflictingPages.length > 0 ) {
+			console.log( 'WARNING: ' + this.conflictingPages.length + ' bot-updated pages were edited manually ' +
+				'since the last edit by the bot. They were NOT added to cargoDatabase.import.txt, see conflicts.import.txt: ' +
+				this.conflictingPages.join( ', ' ) );
+		}
 
 		if ( argv.diff ) {
 			var oldDiffableResult = new DiffableResult();
 			oldDiffableResult.loadFromFile( this.diffableResultPath );
 
-			console.log( this.diffableResult.diff( oldDiffableResult ) );
+			var diffText;
+			if ( argv['diff-format'] === 'json' ) {
+				// Machine-readable format (e.g. for CI).
+				diffText = JSON.stringify( this.diffableResult.diffAsObject( oldDiffableResult ), null, '\t' );
+			} else {
+				diffText = this.diffableResult.diff( oldDiffableResult );
+			}
+
+			if ( argv['diff-output'] ) {
+				fs.writeFileSync( argv['diff-output'], diffText );
+			} else {
+				console.log( diffText );
+			}
 		}
 
 		if ( argv.save ) {
 			this.diffableResult.saveToFile( this.diffableResultPath );
+
+			// Also keep the results of this version of the mod (for comparing with future versions).
+			SnapshotArchive.save( this.diffableResult );
 		}
 	}
 
+	/**
+	 * Write {{#cargo_declare:}} templates of all Cargo tables (see CargoSchema) as bot-updated pages.
+	 */
+	writeCargoDeclarations() {
+		for ( var tableName of CargoSchema.getTables().keys() ) {
+			this.overwritePage( CargoSchema.getTemplateTitle( tableName ), CargoSchema.getTemplateText( tableName ) );
+		}
+	}
+
+	/**
+	 * Write the file, unless it already exists and has exactly the same contents.
+	 * This preserves the modification time of unchanged outputs (e.g. in "generate.js --watch" mode).
+	 *
+	 * @param {string} filename
+	 * @param {string} contents
+	 */
+	writeFileIfChanged( filename, contents ) {
+		if ( fs.existsSync( filename ) && fs.readFileSync( filename ).toString() === contents ) {
+			return;
+		}
+
+		fs.writeFileSync( filename, contents );
+	}
+
+	/**
+	 * Write the pages that are different from the previous run into changedPages.import.txt.
+	 * This is used by "generate.js --watch", which calls generate() after every modification of the mod.
+	 *
+	 * @param {Map} previousPages Value of this.pages during the previous run.
+	 * @return {string[]} Names of all pages that were added, modified or removed.
+	 */
+	writeChangedPages( previousPages ) {
+		var changedPagesText = '',
+			changedPageNames = [];
+
+		for ( var [ pageName, wikitext ] of this.pages ) {
+			if ( previousPages.get( pageName ) !== wikitext ) {
+				changedPagesText += this.wrapPage( pageName, wikitext );
+				changedPageNames.push( pageName );
+			}
+		}
+
+		for ( var oldPageName of previousPages.keys() ) {
+			if ( !this.pages.has( oldPageName ) ) {
+				// This page is no longer generated. We can't delete it via the import file, so just report it.
+				changedPageNames.push( oldPageName + ' (removed)' );
+			}
+		}
+
+		fs.writeFileSync( this.outputDir + '/changedPages.import.txt', changedPagesText );
+		return changedPageNames;
+	}
+
 	/**
 	 * Write one chunk into cargoDatabase.import.txt.
 	 * This is called by ChunkWriter.finalize() for every chunk.
@@ -331,16 +500,43 @@ class ResultsWriter {
 
 		for ( var i = 0; i < rows.length; i++ ) {
 			var cargoRow = rows[i];
+
+			// Extension:Cargo would silently ignore the fields that are not declared, so we must fail here.
+			CargoSchema.validate( cargoRow );
+
 			this.cargoChunkWriter.write(
 				this.tableToChunkGroup[cargoRow.table],
 				partitionKey + '-' + i,
 				cargoRow.toWikitext()
 			);
 
-			if ( argv.diff || argv.save ) {
+			if ( this.shouldCollectRows() ) {
 				this.diffableResult.addRow( cargoRow, partitionKey, entity );
 			}
+
+			if ( argv['export-sqlite'] ) {
+				if ( !this.sqliteExporter ) {
+					this.sqliteExporter = new SqliteExporter( argv['export-sqlite'] );
+				}
+				this.sqliteExporter.write( cargoRow );
+			}
+		}
+	}
+
+	/**
+	 * Check if Cargo rows must be remembered in this.diffableResult. This is only needed for --diff, --save
+	 * and the Changelog page (if there is a snapshot of the previous version to compare with),
+	 * because DiffableResult keeps an additional copy of every row in memory.
+	 *
+	 * @return {boolean}
+	 */
+	shouldCollectRows() {
+		if ( this.collectRows === undefined ) {
+			this.collectRows = Boolean( argv.diff || argv.save ||
+				SnapshotArchive.findPreviousVersion( SnapshotArchive.getCurrentVersion() ) );
 		}
+
+		return this.collectRows;
 	}
 
 	/**
@@ -379,6 +575,9 @@ class ResultsWriter {
 	 */
 	precreatePage( wikiPageName, wikitext ) {
 		var wrappedContents = this.wrapPage( wikiPageName, wikitext );
+		if ( argv.watch ) {
+			this.pages.set( wikiPageName, wikitext );
+		}
 
 		this.buffer.precreate += wrappedContents;
 		if ( !WikiStatusCache.pageExists( wikiPageName ) ) {
@@ -390,6 +589,9 @@ class ResultsWriter {
 
 	/**
 	 * Write arbitrary wikitext to Pywikibot's "update bot-generated pages with new data" import file.
+	 * If the page was edited manually since the last edit by the bot (see WikiStatusCache.pageWasEditedManually()),
+	 * then it's written into the "conflicts" file instead (unless --overwrite-manual-edits option is used),
+	 * because overwriting it would discard the manual changes.
 	 *
 	 * @param {string} wikiPageName Name of the target page.
 	 * @param {string} wikitext Contents of the target page.
@@ -398,10 +600,19 @@ class ResultsWriter {
 	overwritePage( wikiPageName, wikitext, params = {} ) {
 		var checksum = crypto.createHash( 'sha1' ).update( wikitext.trimEnd(), 'utf8' ).digest( 'hex' );
 		var wrappedContents = this.wrapPage( wikiPageName, wikitext );
+		if ( argv.watch ) {
+			this.pages.set( wikiPageName, wikitext );
+		}
 
-		this.buffer.overwrite += wrappedContents;
-		if ( !WikiStatusCache.pageHasChecksum( wikiPageName, checksum ) ) {
-			this.buffer.overwriteNewOnly += wrappedContents;
+		var isUnchanged = WikiStatusCache.pageHasChecksum( wikiPageName, checksum );
+		if ( !isUnchanged && !argv['overwrite-manual-edits'] && WikiStatusCache.pageWasEditedManually( wikiPageName ) ) {
+			this.buffer.conflicts += wrappedContents;
+			this.conflictingPages.push( wikiPageName );
+		} else {
+			this.buffer.overwrite += wrappedContents;
+			if ( !isUnchanged ) {
+				this.buffer.overwriteNewOnly += wrappedContents;
+			}
 		}
 
 		if ( !params.excludeFromDiff ) {
@@ -0,0 +1,169 @@
+'use strict';
+
+const { AssetDatabase, DiffableResult, config } = require( '..' ),
+	fs = require( 'fs' );
+
+/**
+ * Archive of DiffableResult snapshots (keyed by version of the mod and Git commit in config.pathToMod),
+ * which allows to compare the results of any two stored versions (see Changelog page and tools/diff_versions.js).
+ * Snapshots are saved by "generate.js --save".
+ *
+ * Snapshot of the version can be referred to as:
+ * "6.4.1" (the most recently saved snapshot of this version),
+ * "6.4.1@1a2b3c4" (snapshot of this version made at this commit, can be abbreviated),
+ * "1a2b3c4" (snapshot made at this commit).
+ */
+class SnapshotArchive {
+	constructor() {
+		this.directory = config.outputDir + '/snapshots';
+	}
+
+	/**
+	 * Get the version of the mod (e.g. "6.4.1") from _FUversioning.config.
+	 *
+	 * @return {string}
+	 */
+	getCurrentVersion() {
+		// Expected format: "Version 6.4.1" or "6.4.1".
+		return AssetDatabase.getData( '_FUversioning.config' ).version.replace( /Version/, '' ).trim();
+	}
+
+	/**
+	 * Get the path to the file with the snapshot.
+	 *
+	 * @param {Object} snapshotInfo Element of the array returned by listSnapshots().
+	 * @return {string}
+	 */
+	getPath( snapshotInfo ) {
+		return this.directory + '/' + snapshotInfo.version + '/' + snapshotInfo.commit + '.v8.serialized';
+	}
+
+	/**
+	 * Save the results of the current version/commit (replacing the older snapshot of the same version/commit, if any).
+	 *
+	 * @param {DiffableResult} diffableResult
+	 */
+	save( diffableResult ) {
+		var snapshotInfo = {
+			version: this.getCurrentVersion(),
+			commit: AssetDatabase.getCurrentCommit() || 'unknown',
+			savedAt: new Date().toISOString()
+		};
+
+		var path = this.getPath( snapshotInfo );
+		fs.mkdirSync( path.replace( /\/[^/]+$/, '' ), { recursive: true } );
+		diffableResult.saveToFile( path );
+
+		var snapshots = this.listSnapshots().filter( ( anotherInfo ) =>
+			anotherInfo.version !== snapshotInfo.version || anotherInfo.commit !== snapshotInfo.commit );
+		snapshots.push( snapshotInfo );
+
+		fs.writeFileSync( this.directory + '/index.json', JSON.stringify( snapshots, null, '\t' ) );
+	}
+
+	/**
+	 * Load the snapshot.
+	 *
+	 * @param {string} snapshotId Version and/or commit, e.g. "6.4.1" or "6.4.1@1a2b3c4" (see above).
+	 * @return {DiffableResult}
+	 */
+	load( snapshotId ) {
+		var result = new DiffableResult();
+		result.loadFromFile( this.getPath( this.find( snapshotId ) ) );
+		return result;
+	}
+
+	/**
+	 * Find the snapshot by its version and/or commit.
+	 *
+	 * @param {string} snapshotId Version and/or commit, e.g. "6.4.1" or "6.4.1@1a2b3c4" (see above).
+	 * @return {Object} Element of the array returned by listSnapshots().
+	 */
+	find( snapshotId ) {
+		var [ version, commit ] = snapshotId.split( '@' ),
+			snapshots = this.listSnapshots();
+
+		var found = snapshots.filter( ( snapshotInfo ) => {
+			if ( commit !== undefined ) {
+				return snapshotInfo.version === version && snapshotInfo.commit.startsWith( commit );
+			}
+
+			return snapshotInfo.version === version;
+		} );
+		if ( found.length === 0 && commit === undefined ) {
+			// Not a version, but can be a commit.
+			found = snapshots.filter( ( snapshotInfo ) => snapshotInfo.commit.startsWith( version ) );
+		}
+
+		if ( found.length === 0 ) {
+			throw new Error( 'SnapshotArchive: no snapshot of ' + snapshotId + ' (known snapshots: ' +
+				( snapshots.map( ( snapshotInfo ) => this.getId( snapshotInfo ) ).join( ', ' ) || 'none' ) + ')' );
+		}
+
+		if ( commit === undefined && found.some( ( snapshotInfo ) => snapshotInfo.version !== found[0].version ) ) {
+			throw new Error( 'SnapshotArchive: commit ' + snapshotId + ' is ambiguous: ' +
+				found.map( ( snapshotInfo ) => this.getId( snapshotInfo ) ).join( ', ' ) );
+		}
+
+		// If there are several snapshots of the same version, use the most recently saved one.
+		return found[found.length - 1];
+	}
+
+	/**
+	 * Get the unique identifier of the snapshot, e.g. "6.4.1@1a2b3c4d...".
+	 *
+	 * @param {Object} snapshotInfo Element of the array returned by listSnapshots().
+	 * @return {string}
+	 */
+	getId( snapshotInfo ) {
+		return snapshotInfo.version + '@' + snapshotInfo.commit;
+	}
+
+	/**
+	 * Get the list of all stored snapshots, sorted by version (and by time of saving within the same version).
+	 *
+	 * @return {Object[]} Format: [ { version: "6.4.1", commit: "1a2b3c4d...", savedAt: "2024-01-01T00:00:00Z" }, ... ]
+	 */
+	listSnapshots() {
+		var indexPath = this.directory + '/index.json';
+		if ( !fs.existsSync( indexPath ) ) {
+			return [];
+		}
+
+		return JSON.parse( fs.readFileSync( indexPath ).toString() ).sort( ( a, b ) =>
+			this.compareVersions( a.version, b.version ) || a.savedAt.localeCompare( b.savedAt ) );
+	}
+
+	/**
+	 * Get the list of versions that have snapshots, from oldest to newest.
+	 *
+	 * @return {string[]}
+	 */
+	listVersions() {
+		return [...new Set( this.listSnapshots().map( ( snapshotInfo ) => snapshotInfo.version ) )];
+	}
+
+	/**
+	 * Find the newest stored version that is older than this version.
+	 *
+	 * @param {string} version
+	 * @return {string|null}
+	 */
+	findPreviousVersion( version ) {
+		var olderVersions = this.listVersions().filter( ( storedVersion ) => this.compareVersions( storedVersion, version ) < 0 );
+		return olderVersions.length > 0 ? olderVersions[olderVersions.length - 1] : null;
+	}
+
+	/**
+	 * Compare two versions, e.g. "6.4.1" and "6.10.0". Can be used as a callback for sort().
+	 *
+	 * @param {string} versionA
+	 * @param {string} versionB
+	 * @return {number} Negative number if versionA is older, positive number if it's newer, 0 if they are equal.
+	 */
+	compareVersions( versionA, versionB ) {
+		return versionA.localeCompare( versionB, 'en', { numeric: true } );
+	}
+}
+
+module.exports = new SnapshotArchive();
@@ -0,0 +1,123 @@
+'use strict';
+
+const { util } = require( '..' ),
+	fs = require( 'fs' );
+
+/**
+ * Writes all rows of Cargo tables into a local SQLite database ("generate.js --export-sqlite=path.db"),
+ * so that the results can be queried with SQL without installing MediaWiki and Extension:Cargo.
+ *
+ * Each Cargo table becomes an SQLite table with the same name. Its columns are added as they are found
+ * (rows of the same Cargo table can have different fields, and empty fields are not stored by CargoRow).
+ * Values that look like numbers are stored as numbers (to allow queries like "WHERE price > 100"),
+ * and everything else is stored as text (same as in {{#cargo_store:}}, e.g. lists are comma-separated).
+ */
+class SqliteExporter {
+	/**
+	 * @param {string} filename Path to SQLite database. If it already exists, it will be overwritten.
+	 */
+	constructor( filename ) {
+		if ( typeof filename !== 'string' ) {
+			throw new Error( 'SqliteExporter: --export-sqlite requires a filename, e.g. --export-sqlite=/path/to/fu.db' );
+		}
+
+		// Native module is loaded on demand (it's an optional dependency, and it's only needed for --export-sqlite).
+		var Database;
+		try {
+			Database = require( 'better-sqlite3' );
+		} catch ( error ) {
+			throw new Error( 'SqliteExporter: failed to load module "better-sqlite3" (needed for --export-sqlite): ' +
+				error.message + '. Try reinstalling it with "npm install better-sqlite3".' );
+		}
+
+		fs.rmSync( filename, { force: true } );
+
+		this.db = new Database( filename );
+
+		// Everything is written in one transaction, which is much faster than committing every row.
+		this.db.exec( 'BEGIN' );
+
+		// Known columns of each table. Format: { tableName: Set { columnName1, ... }, ... }
+		this.columns = new Map();
+
+		// Prepared INSERT statements. Format: { "tableName:column1,column2,...": Statement, ... }
+		this.statements = new Map();
+
+		this.rowsCount = 0;
+	}
+
+	/**
+	 * Insert one row into the SQLite database.
+	 *
+	 * @param {CargoRow} cargoRow
+	 */
+	write( cargoRow ) {
+		var { table, fields } = cargoRow,
+			fieldNames = [...fields.keys()];
+
+		this.addColumns( table, fieldNames );
+
+		var statementKey = table + ':' + fieldNames.join( ',' ),
+			statement = this.statements.get( statementKey );
+
+		if ( !statement ) {
+			statement = this.db.prepare( 'INSERT INTO ' + this.quote( table ) +
+				' (' + fieldNames.map( ( fieldName ) => this.quote( fieldName ) ).join( ', ' ) + ')' +
+				' VALUES (' + fieldNames.map( () => '?' ).join( ', ' ) + ')' );
+			this.statements.set( statementKey, statement );
+		}
+
+		statement.run( [...fields.values()].map( ( value ) => {
+			// Only the numbers in canonical form are converted (strings like "007" are likely IDs, not numbers).
+			var number = Number( value );
+			return String( number ) === value ? number : value;
+		} ) );
+		this.rowsCount++;
+	}
+
+	/**
+	 * Create the table (if it doesn't exist yet) and add the columns that it doesn't have yet.
+	 *
+	 * @param {string} table
+	 * @param {string[]} columnNames
+	 */
+	addColumns( table, columnNames ) {
+		var knownColumns = this.columns.get( table );
+		if ( !knownColumns ) {
+			// Columns are declared without type, so SQLite doesn't convert the values (numbers stay numbers, etc.).
+			this.db.exec( 'CREATE TABLE ' + this.quote( table ) +
+				' (' + columnNames.map( ( name ) => this.quote( name ) ).join( ', ' ) + ')' );
+			this.columns.set( table, new Set( columnNames ) );
+			return;
+		}
+
+		for ( var columnName of columnNames ) {
+			if ( !knownColumns.has( columnName ) ) {
+				this.db.exec( 'ALTER TABLE ' + this.quote( table ) + ' ADD COLUMN ' + this.quote( columnName ) );
+				knownColumns.add( columnName );
+			}
+		}
+	}
+
+	/**
+	 * Commit all inserted rows and close the database.
+	 */
+	finalize() {
+		this.db.exec( 'COMMIT' );
+		this.db.close();
+
+		util.log( '[info] SqliteExporter: exported ' + this.rowsCount + ' rows of ' + this.columns.size + ' Cargo tables.' );
+	}
+
+	/**
+	 * Quote the name of table or column, e.g. "item_metadata".
+	 *
+	 * @param {string} identifier
+	 * @return {string}
+	 */
+	quote( identifier ) {
+		return '"' + identifier.replace( /"/g, '""' ) + '"';
+	}
+}
+
+module.exports = SqliteExporter;
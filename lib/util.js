@@ -4,10 +4,10 @@
 
 'use strict';
 
-const { config } = require( '.' ),
+const { config, PakArchive } = require( '.' ),
 	fs = require( 'fs' ),
 	os = require( 'os' ),
-	stripJsonComments = require( 'strip-json-comments' );
+	nodePath = require( 'path' );
 
 var util = {};
 
@@ -42,47 +42,105 @@ util.log = function ( errorMessage ) {
 	fs.writeSync( logfileDescriptor, errorMessage + '\n' );
 };
 
+/**
+ * Characters that require special handling in sanitizeRelaxedJson() outside of JSON strings.
+ */
+const specialCharsOutsideString = /["/\r\uFEFF]/g;
+
+/**
+ * Characters that require special handling in sanitizeRelaxedJson() inside JSON strings.
+ */
+const specialCharsInsideString = /["\\\n\t\r\uFEFF]/g;
+
 /**
  * Turn non-strict JSON (with comments, newlines, etc.) into a string suitable for JSON.parse().
+ * This is a single-pass tokenizer: it jumps from one special character to another
+ * (instead of iterating over every character), copying the text between them as is.
  *
  * @param {string} relaxedJson
  * @return {string}
  */
 util.sanitizeRelaxedJson = function ( relaxedJson ) {
+	var chunks = [],
+		position = 0,
+		isInsideQuotes = false;
+
+	// Replace the comment with whitespace (JSON standard doesn't allow comments),
+	// preserving newlines, so that positions in the error messages of JSON.parse() remain meaningful.
+	var addComment = ( end ) => {
+		chunks.push( relaxedJson.slice( position, end ).replace( /\S/g, ' ' ).replace( /\r|\uFEFF/g, '' ) );
+		position = end;
+	};
+
 	// Some input files have "new line" character within the JSON strings (between " and ").
 	// This is invalid JSON (would cause syntax error), but we must be tolerant to such input.
 	// This is especially important for weapons/tools, as most of them have multiline descriptions.
-	var sanitizedJson = '',
-		isInsideQuotes = false,
-		prevChar = '';
-
-	// Remove comments (JSON standard doesn't allow them).
-	relaxedJson = stripJsonComments( relaxedJson );
-
-	// Remove both \r and BOM (byte order mark) symbols, because they confuse JSON.parse().
-	relaxedJson = relaxedJson.replace( /(\uFEFF|\r)/g, '' );
-
-	// Iterate over each character, and if we find "new line" or "tab" characters inside the quotes,
-	// replace them with "\n" and "\t" respectively, making this a valid JSON.
-	[...relaxedJson].forEach( ( char ) => {
-		// Non-escaped " means that this is start/end of a string.
-		if ( char === '"' && prevChar !== '\\' ) {
-			isInsideQuotes = !isInsideQuotes;
-		} else if ( isInsideQuotes ) {
-			switch ( char ) {
-				case '\n':
-					char = '\\n';
-					break;
-				case '\t':
-					char = '\\t';
-			}
+	// If we find "new line" or "tab" characters inside the quotes, we replace them with "\n" and "\t".
+	var addCharInsideString = ( stringChar ) => {
+		chunks.push( stringChar === '\n' ? '\\n' : ( stringChar === '\t' ? '\\t' : stringChar ) );
+	};
+
+	while ( position < relaxedJson.length ) {
+		var regex = isInsideQuotes ? specialCharsInsideString : specialCharsOutsideString;
+		regex.lastIndex = position;
+
+		var match = regex.exec( relaxedJson );
+		if ( !match ) {
+			break;
 		}
 
-		sanitizedJson += char;
-		prevChar = char;
-	} );
+		var index = match.index,
+			char = match[0];
+
+		chunks.push( relaxedJson.slice( position, index ) );
+		position = index + 1;
+
+		switch ( char ) {
+			case '\r':
+			case '\uFEFF':
+				// Remove both \r and BOM (byte order mark) symbols, because they confuse JSON.parse().
+				break;
+			case '"':
+				// Non-escaped " means that this is start/end of a string.
+				isInsideQuotes = !isInsideQuotes;
+				chunks.push( char );
+				break;
+			case '\\':
+				// Escape sequence: the next character (ignoring removed symbols) can't be the end of string.
+				chunks.push( char );
+				while ( relaxedJson[position] === '\r' || relaxedJson[position] === '\uFEFF' ) {
+					position++;
+				}
+				if ( position < relaxedJson.length ) {
+					addCharInsideString( relaxedJson[position++] );
+				}
+				break;
+			case '/': {
+				let nextChar = relaxedJson[index + 1];
+				position = index;
+
+				if ( nextChar === '/' ) {
+					// Single-line comment.
+					let end = relaxedJson.indexOf( '\n', index );
+					addComment( end === -1 ? relaxedJson.length : end );
+				} else if ( nextChar === '*' ) {
+					// Multi-line comment.
+					let end = relaxedJson.indexOf( '*/', index + 2 );
+					addComment( end === -1 ? relaxedJson.length : end + 2 );
+				} else {
+					chunks.push( char );
+					position++;
+				}
+				break;
+			}
+			default:
+				// Newline or tab inside the string.
+				addCharInsideString( char );
+		}
+	}
 
-	return sanitizedJson;
+	chunks.push( relaxedJson.slice( position ) );
+	return chunks.join( '' );
 };
 
 /**
@@ -128,7 +186,7 @@ util.loadModFile = function ( filename ) {
 		filename = config.pathToMod + '/' + filename;
 	}
 
-	var sanitizedJson = util.sanitizeRelaxedJson( fs.readFileSync( filename ).toString() );
+	var sanitizedJson = util.sanitizeRelaxedJson( util.readAssetFile( filename ).toString() );
 	var result;
 
 	try {
@@ -162,18 +220,97 @@ util.removeIrrelevantAssetKeys = function ( data ) {
 };
 
 /**
- * Find the file by searching both in the mod and in vanilla. (files from the mod have priority)
+ * Read the file, which can be either on disk or inside the .pak archive.
+ * Path to the file inside the archive looks like "/path/to/packed.pak/items/something.item".
+ *
+ * @param {string} absolutePath
+ * @return {Buffer}
+ */
+util.readAssetFile = function ( absolutePath ) {
+	var pakPaths = PakArchive.splitPath( absolutePath );
+	if ( pakPaths ) {
+		return PakArchive.open( pakPaths[0] ).read( pakPaths[1] );
+	}
+
+	return fs.readFileSync( absolutePath );
+};
+
+/**
+ * Check if the file exists, either on disk or inside the .pak archive.
+ *
+ * @param {string} absolutePath
+ * @return {boolean}
+ */
+util.assetFileExists = function ( absolutePath ) {
+	var pakPaths = PakArchive.splitPath( absolutePath );
+	if ( pakPaths ) {
+		return fs.existsSync( pakPaths[0] ) && PakArchive.open( pakPaths[0] ).has( pakPaths[1] );
+	}
+
+	return fs.existsSync( absolutePath );
+};
+
+/**
+ * Get the path to the file on disk. This is needed for third-party tools (like ImageMagick),
+ * which can't read the files inside .pak archives, so such files are extracted into util.tmpdir.
+ *
+ * @param {string} absolutePath
+ * @return {string} Path to the same file (if not in archive) or to the extracted copy (if in archive).
+ */
+util.getRealFilePath = function ( absolutePath ) {
+	var pakPaths = PakArchive.splitPath( absolutePath );
+	if ( !pakPaths ) {
+		return absolutePath;
+	}
+
+	// Don't extract the same file again, unless the archive was modified after the extraction.
+	var extractedPath = util.tmpdir + '/unpacked' + absolutePath;
+	if ( !fs.existsSync( extractedPath ) ||
+		fs.statSync( extractedPath ).mtimeMs < fs.statSync( pakPaths[0] ).mtimeMs
+	) {
+		fs.mkdirSync( nodePath.dirname( extractedPath ), { recursive: true } );
+		fs.writeFileSync( extractedPath, util.readAssetFile( absolutePath ) );
+	}
+
+	return extractedPath;
+};
+
+/**
+ * Get the list of directories (or .pak archives) of all mods (not including vanilla) in their load order.
+ *
+ * @return {string[]}
+ */
+util.listModPaths = function () {
+	if ( config.modPaths && config.modPaths.length ) {
+		return config.modPaths;
+	}
+
+	return [ config.pathToMod ];
+};
+
+/**
+ * Get the list of directories (or .pak archives) of vanilla and all mods in their load order
+ * (vanilla is always first).
+ * Assets from the directories that are later in this list have priority.
+ *
+ * @return {string[]}
+ */
+util.listAssetRoots = function () {
+	return [ config.pathToVanilla ].concat( util.listModPaths() );
+};
+
+/**
+ * Find the file by searching both in the mods and in vanilla. (files from the mods have priority)
  *
  * @param {string} relativePath
  * @return {string|false} Full path to existing file (if found) or false (if not found).
  */
 util.findInModOrVanilla = function ( relativePath ) {
-	var pathCandidates = [
-		config.pathToMod + '/' + relativePath,
-		config.pathToVanilla + '/' + relativePath
-	];
+	relativePath = relativePath.replace( /^\//, '' );
+
+	var pathCandidates = util.listAssetRoots().reverse().map( ( directory ) => directory + '/' + relativePath );
 	for ( var possiblePath of pathCandidates ) {
-		if ( fs.existsSync( possiblePath ) ) {
+		if ( util.assetFileExists( possiblePath ) ) {
 			// Found the file!
 			return possiblePath;
 		}
@@ -0,0 +1,49 @@
+/**
+ * Upload the results of generate.js (and images from prepare_uploads.js) directly to the wiki via MediaWiki API.
+ * This can be used instead of Pywikibot (see README).
+ *
+ * Usage: node publish.js [options]
+ * Options:
+ *   --pages       Overwrite the bot-updated pages (Cargo database, etc.) from cargoDatabase.import.txt.
+ *   --precreate   Create missing articles from precreateArticles.import.txt (existing articles are not modified).
+ *   --images      Upload images from filesToUpload directory (existing images are not overwritten).
+ *                 If none of --pages, --precreate and --images are specified, then all of them are published.
+ *   --only-new    Use the "onlyNew" import files/images (see update_status_cache.js).
+ *   --dry-run     Don't modify the wiki, only print what would be published
+ *                 (the current pages/images are still read via API to compare them with the results).
+ *   --summary=TEXT
+ *                 Edit summary (default: config.publishEditSummary).
+ *   --api-url=URL
+ *                 URL of api.php (default: config.mediawikiApiUrl). Can point to a local mock server for testing.
+ *   --restart     Forget which pages were published during the previous (interrupted) runs.
+ */
+
+'use strict';
+
+const { argv, config, WikiPublisher } = require( './lib' ),
+	process = require( 'process' );
+
+var publishEverything = !argv.pages && !argv.precreate && !argv.images,
+	apiUrl = argv['api-url'] || config.mediawikiApiUrl;
+
+if ( !apiUrl ) {
+	process.stderr.write( 'publish.js: config.mediawikiApiUrl is not defined.\n' );
+	process.exit( 1 );
+}
+
+if ( argv.restart ) {
+	WikiPublisher.clearState();
+}
+
+WikiPublisher.publish( {
+	apiUrl: apiUrl,
+	summary: argv.summary || config.publishEditSummary,
+	dryRun: argv['dry-run'],
+	onlyNew: argv['only-new'],
+	pages: publishEverything || argv.pages,
+	precreate: publishEverything || argv.precreate,
+	images: publishEverything || argv.images
+} ).catch( ( error ) => {
+	process.stderr.write( error.message + '\n' );
+	process.exit( 1 );
+} );
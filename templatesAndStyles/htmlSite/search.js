@@ -0,0 +1,50 @@
+/**
+ * Client-side search for the static HTML site (see HtmlSiteWriter).
+ * Uses window.searchIndex from search-index.js. Format: [ { title, id, kind, url }, ... ]
+ */
+
+'use strict';
+
+const MAX_RESULTS = 30;
+
+var input = document.getElementById( 'search' ),
+	resultsList = document.getElementById( 'search-results' ),
+	root = document.body.getAttribute( 'data-root' );
+
+/**
+ * Get the sorting weight of the search result (smaller is better): exact matches first, then prefix matches.
+ *
+ * @param {Object} entry One element of window.searchIndex.
+ * @param {string} query Lowercase search string.
+ * @return {number}
+ */
+function getWeight( entry, query ) {
+	var title = entry.title.toLowerCase();
+	if ( title === query || entry.id.toLowerCase() === query ) {
+		return 0;
+	}
+	return title.startsWith( query ) ? 1 : 2;
+}
+
+input.addEventListener( 'input', () => {
+	var query = input.value.trim().toLowerCase();
+	resultsList.textContent = '';
+	if ( !query ) {
+		return;
+	}
+
+	var found = window.searchIndex.filter( ( entry ) =>
+		entry.title.toLowerCase().includes( query ) || entry.id.toLowerCase().includes( query )
+	);
+	found.sort( ( a, b ) => getWeight( a, query ) - getWeight( b, query ) || a.title.localeCompare( b.title ) );
+
+	for ( var result of found.slice( 0, MAX_RESULTS ) ) {
+		var link = document.createElement( 'a' );
+		link.href = root + result.url;
+		link.textContent = result.title;
+
+		var listItem = document.createElement( 'li' );
+		listItem.append( link, ' (' + result.kind + ')' );
+		resultsList.append( listItem );
+	}
+} );
@@ -61,6 +61,16 @@ local function queryItemMetadata( itemId )
 	return metadata
 end
 
+-- Perform a SQL query to "item_effect" table in the Cargo database (see Special:CargoTables/item_effect).
+-- @param {string} itemId
+-- @return {table} Array of database rows (status effects that are applied when this item is used).
+local function queryItemEffects( itemId )
+	local queryOpt = {
+		where = 'id="' .. itemId .. '"'
+	}
+	return cargo.query( 'item_effect', 'effect,duration,modifiers', queryOpt ) or {}
+end
+
 -- Maps damage type (e.g. "cosmic") to the name of image in the wiki.
 local damageTypeIcons = {
 	physical = 'Physical (Attack).png',
@@ -76,8 +86,9 @@ local damageTypeIcons = {
 -- Based on item metadata, return wikitext that describes primaryAbility or altAbility of item.
 -- @param {table} metadata Result of queryItemMetadata()
 -- @param {bool} isPrimary True for primary ability, false for alt ability.
+-- @param {string|nil} tier Tier of this item (to show DPS, etc. on this tier).
 -- @return {table|nil} Either array of arguments to {{Infobox/field}} (if ability can be described) or nil.
-local function describeAbility( metadata, isPrimary )
+local function describeAbility( metadata, isPrimary, tier )
 	local keyPrefix = 'alt.'
 	if isPrimary then
 		keyPrefix = ''
@@ -88,6 +99,11 @@ local function describeAbility( metadata, isPrimary )
 	local comboSteps = metadata[keyPrefix .. 'comboSteps']
 	local damageType = metadata[keyPrefix .. 'damageType']
 	local abilityName = metadata[keyPrefix .. 'ability']
+	local energyPerSecond = metadata[keyPrefix .. 'energyPerSecond']
+
+	local tierPrefix = 'tier' .. ( tier or 1 ) .. '.' .. keyPrefix
+	local dps = metadata[tierPrefix .. 'dps']
+	local comboDamage = metadata[tierPrefix .. 'comboDamage']
 
 	local ret = ''
 	if damagePerHit then
@@ -102,6 +118,18 @@ local function describeAbility( metadata, isPrimary )
 		ret = ret .. comboSteps .. '-hit combo<br>'
 	end
 
+	if comboDamage then
+		ret = ret .. 'Combo damage: ' .. comboDamage .. '<br>'
+	end
+
+	if dps then
+		ret = ret .. 'DPS: ' .. dps .. '<br>'
+	end
+
+	if energyPerSecond then
+		ret = ret .. 'Energy per second: ' .. energyPerSecond .. '<br>'
+	end
+
 	if abilityName then
 		ret = ret .. "'''Special''': " .. abilityName
 	end
@@ -369,12 +397,36 @@ function p.Main( frame )
 		} }
 	end
 
-	local primaryAbility = describeAbility( metadata, true )
+	local consumptionEffects = queryItemEffects( id )
+	if consumptionEffects[1] then
+		for _, effectRow in ipairs( consumptionEffects ) do
+			LinkBatch.AddEffect( effectRow.effect )
+		end
+
+		local effectLines = {}
+		for _, effectRow in ipairs( consumptionEffects ) do
+			local line = LinkBatch.GetEffectLink( effectRow.effect, { icon = 'ifExists', allowUnknown = true } )
+			if effectRow.duration and effectRow.duration ~= '' then
+				line = line .. ' (' .. effectRow.duration .. 's)'
+			end
+			if effectRow.modifiers and effectRow.modifiers ~= '' then
+				line = line .. ': ' .. string.gsub( effectRow.modifiers, ',', ', ' )
+			end
+			table.insert( effectLines, line )
+		end
+
+		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = {
+			'[[File:VisualEditor - Icon - Alert.svg|16px|left|link=|alt=]] Effects when used',
+			table.concat( effectLines, '<br>' )
+		} }
+	end
+
+	local primaryAbility = describeAbility( metadata, true, row.tier )
 	if primaryAbility then
 		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = primaryAbility }
 	end
 
-	local altAbility = describeAbility( metadata, false )
+	local altAbility = describeAbility( metadata, false, row.tier )
 	if altAbility then
 		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = altAbility }
 	end
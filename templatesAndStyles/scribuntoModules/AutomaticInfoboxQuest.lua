@@ -0,0 +1,127 @@
+local p = {}
+local cargo = mw.ext.cargo
+local LinkBatch = require( 'Module:LinkBatch' )
+
+-- Split the value of "List (,) of String" field into array.
+-- @param {string|nil} value
+-- @return {string[]}
+local function splitList( value )
+	if not value or value == '' then
+		return {}
+	end
+	return mw.text.split( value, ',' )
+end
+
+-- Perform a SQL query to "quest" table in the Cargo database (see Special:CargoTables/quest).
+-- @param {string} questId
+-- @return {table} Database row.
+local function queryQuest( questId )
+	local tables = 'quest'
+	local fields = 'id,name,wikiPage,text,prerequisites,requiredItems,rewards,moneyMin,moneyMax,giverObjects,giverNpcs'
+	local queryOpt = {
+		where = 'id="' .. questId .. '"',
+		limit = 1
+	}
+	return ( cargo.query( tables, fields, queryOpt ) or {} )[1]
+end
+
+-- Print the automatic infobox of quest. (based on [[Special:CargoTables/quest]])
+-- Usage: {{#invoke: AutomaticInfoboxQuest|Main|fu_byos}}
+-- First parameter: quest ID, e.g. "fu_byos".
+-- Optional parameter: nocat=1 - if present, this infobox won't add any categories to the current article. (can used in examples, help pages, etc.)
+function p.Main( frame )
+	local args = frame.args
+	if not args[1] then
+		args = frame:getParent().args
+	end
+
+	local id = args[1] or 'fu_byos'
+	local nocat = args['nocat'] or false
+
+	local row = queryQuest( id )
+	if not row then
+		-- Quest not found in the database.
+		if nocat then
+			return ''
+		end
+		return '[[Category:Quest pages with broken automatic infobox]]'
+	end
+
+	local ret = ''
+	if not nocat then
+		ret = ret .. '[[Category:Quests]]\n'
+
+		if row.wikiPage ~= mw.title.getCurrentTitle().text then
+			ret = ret .. '[[Category:Quest pages where title is different from expected]]\n'
+		end
+	end
+
+	local prerequisites = splitList( row.prerequisites )
+	local requiredItems = splitList( row.requiredItems )
+	local rewards = splitList( row.rewards )
+	local giverObjects = splitList( row.giverObjects )
+
+	-- Prepare all links with 1 SQL query per Cargo table.
+	for _, questCode in ipairs( prerequisites ) do
+		LinkBatch.AddQuest( questCode )
+	end
+	for _, itemCodes in ipairs( { requiredItems, rewards, giverObjects } ) do
+		for _, itemCode in ipairs( itemCodes ) do
+			LinkBatch.AddItem( itemCode )
+		end
+	end
+
+	-- @param {string[]} itemCodes
+	-- @return {string}
+	local function itemLinks( itemCodes )
+		local links = {}
+		for _, itemCode in ipairs( itemCodes ) do
+			table.insert( links, LinkBatch.GetItemLink( itemCode, { icon = 'ifExists', allowUnknown = true } ) )
+		end
+		return table.concat( links, '<br>' )
+	end
+
+	ret = ret .. '{| class="infobox"\n'
+	ret = ret .. frame:expandTemplate{ title = 'infobox/title', args = { row.name } }
+	ret = ret .. frame:expandTemplate{ title = 'infobox/line', args = { row.text } }
+
+	local giverLinks = itemLinks( giverObjects )
+	for _, npcName in ipairs( splitList( row.giverNpcs ) ) do
+		giverLinks = giverLinks .. ( giverLinks == '' and '' or '<br>' ) .. npcName
+	end
+	if giverLinks ~= '' then
+		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = { 'Given by', giverLinks } }
+	end
+
+	if #prerequisites > 0 then
+		local questLinks = {}
+		for _, questCode in ipairs( prerequisites ) do
+			table.insert( questLinks, LinkBatch.GetQuestLink( questCode, { allowUnknown = true } ) )
+		end
+		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = { 'Prerequisites', table.concat( questLinks, '<br>' ) } }
+	end
+
+	if #requiredItems > 0 then
+		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = { 'Required items', itemLinks( requiredItems ) } }
+	end
+
+	if #rewards > 0 then
+		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = { 'Rewards', itemLinks( rewards ) } }
+	end
+
+	if row.moneyMax and row.moneyMax ~= '' and row.moneyMax ~= '0' then
+		local money = row.moneyMin
+		if row.moneyMin ~= row.moneyMax then
+			money = row.moneyMin .. '-' .. row.moneyMax
+		end
+		ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = { 'Pixels', money } }
+	end
+
+	-- Quest ID is last, because very few people need it
+	ret = ret .. frame:expandTemplate{ title = 'infobox/field', args = { 'ID', row.id } }
+
+	ret = ret .. '\n|}\n'
+	return ret
+end
+
+return p
@@ -47,7 +47,23 @@ function p.Main( frame )
 		return ''
 	end
 
-	return '<div class="unlockedby">Unlocked by ' .. table.concat( whatUnlocksThis, ', ' ) .. '.</div>'
+	local ret = '<div class="unlockedby">Unlocked by ' .. table.concat( whatUnlocksThis, ', ' ) .. '.</div>'
+
+	-- Find the shortest chain of research nodes that leads to this item (see Special:CargoTables/research_path).
+	-- Not found if this item doesn't need any research.
+	local pathRow = ( cargo.query( 'research_path', 'nodesWikitext,priceWikitext', {
+		where = 'id="' .. id .. '"'
+	} ) or {} )[1]
+
+	if pathRow then
+		ret = ret .. '<div class="researchpath">Research path: ' .. pathRow.nodesWikitext
+		if pathRow.priceWikitext and pathRow.priceWikitext ~= '' then
+			ret = ret .. ' (total price: ' .. pathRow.priceWikitext .. ')'
+		end
+		ret = ret .. '.</div>'
+	end
+
+	return ret
 end
 
 return p
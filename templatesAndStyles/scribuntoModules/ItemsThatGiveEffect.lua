@@ -0,0 +1,46 @@
+local p = {}
+local cargo = mw.ext.cargo
+local LinkBatch = require( 'Module:LinkBatch' )
+
+-- Implements {{Items that give effect|ID of status effect}}, which calls {{#invoke: ItemsThatGiveEffect|Main}}
+-- and shows the table of all foods/consumables that apply this status effect (and for how long).
+function p.Main( frame )
+	local args = frame.args
+	if not args[1] then
+		-- If called from a template like {{Items that give effect}} without parameters,
+		-- use parameters of the parent template instead.
+		args = frame:getParent().args
+	end
+
+	local effectCode = args[1] or 'wellfed'
+
+	-- Perform a SQL query to the Cargo database (see Special:CargoTables/item_effect).
+	local tables = 'item_effect,item'
+	local fields = 'item.id=id,item.name=name,item_effect.duration=duration'
+	local queryOpt = {
+		where = 'item_effect.effect="' .. effectCode .. '"',
+		join = 'item_effect.id=item.id',
+		orderBy = 'item.name',
+		limit = 5000
+	}
+	local rows = cargo.query( tables, fields, queryOpt ) or {}
+	if #rows == 0 then
+		-- Nothing found.
+		return ''
+	end
+
+	for _, row in ipairs( rows ) do
+		LinkBatch.AddItem( row.id )
+	end
+
+	local ret = '{| class="wikitable sortable"\n|-\n! Item !! Duration (seconds)\n'
+	for _, row in ipairs( rows ) do
+		ret = ret .. '|-\n| ' .. LinkBatch.GetItemLink( row.id, { icon = true, iconWidth = '32px' } ) ..
+			' || ' .. ( row.duration or '' ) .. '\n'
+	end
+
+	ret = ret .. '|}'
+	return ret
+end
+
+return p
@@ -18,7 +18,8 @@ local iconFilenameFormat = {
 }
 
 local hasWikiPageField = {
-	item = true
+	item = true,
+	quest = true
 }
 
 local hasHasIconField = {
@@ -133,9 +134,10 @@ local function getLink( cargoTable, id, renderOptions )
 		linkData = { displayName = id, wikiPage = id }
 	end
 
-	local filename = string.format( iconFilenameFormat[cargoTable], id )
+	-- Some entities (e.g. quests) don't have icons.
+	local filename = iconFilenameFormat[cargoTable] and string.format( iconFilenameFormat[cargoTable], id )
 
-	local showIcon = renderOptions.icon
+	local showIcon = filename and renderOptions.icon
 	if showIcon == 'ifExists' then
 		-- "Include icon only if it exists" mode
 		if hasHasIconField[cargoTable] then
@@ -190,6 +192,11 @@ function p.AddEffect( effectCode )
 	add( 'statuseffect', effectCode )
 end
 
+-- @param {string} questCode
+function p.AddQuest( questCode )
+	add( 'quest', questCode )
+end
+
 -- @param {string} itemCode
 -- @param {table} renderOptions
 function p.GetItemLink( itemCode, renderOptions )
@@ -202,4 +209,10 @@ function p.GetEffectLink( effectCode, renderOptions )
 	return getLink( 'statuseffect', effectCode, renderOptions )
 end
 
+-- @param {string} questCode
+-- @param {table} renderOptions
+function p.GetQuestLink( questCode, renderOptions )
+	return getLink( 'quest', questCode, renderOptions )
+end
+
 return p
@@ -0,0 +1,46 @@
+local p = {}
+local cargo = mw.ext.cargo
+
+-- Print the list of all NPC merchants in the game. (based on [[Special:CargoTables/merchant]])
+-- Usage: {{#invoke: ListMerchants|ListAllMerchants}}
+function p.ListAllMerchants( frame )
+	-- Perform a SQL query to the Cargo database.
+	local tables = 'merchant'
+	local fields = 'name,pools,buyFactorMin,buyFactorMax,sellFactorMin,sellFactorMax,numItems,dungeonNames'
+	local queryOpt = {
+		limit = 5000,
+		orderBy = 'name'
+	}
+
+	local rows = cargo.query( tables, fields, queryOpt ) or {}
+	if #rows == 0 then
+		return ''
+	end
+
+	-- @param {string} min
+	-- @param {string} max
+	-- @return {string} E.g. "x1" or "x1-1.2".
+	local function formatFactor( min, max )
+		if min == max then
+			return 'x' .. min
+		end
+		return 'x' .. min .. '-' .. max
+	end
+
+	local ret = '{| class="wikitable sortable"\n' ..
+		'|-\n! Merchant !! Buy price !! Sell price !! Items in stock !! Sells items from !! Can be found in\n'
+
+	for _, row in ipairs( rows ) do
+		ret = ret .. '|-\n| <span id="' .. row.name .. '">' .. row.name .. '</span>' ..
+			' || ' .. formatFactor( row.buyFactorMin, row.buyFactorMax ) ..
+			' || ' .. formatFactor( row.sellFactorMin, row.sellFactorMax ) ..
+			' || ' .. ( row.numItems or '' ) ..
+			' || ' .. string.gsub( row.pools or '', ',', ', ' ) ..
+			' || ' .. string.gsub( row.dungeonNames or '', ',', ', ' ) .. '\n'
+	end
+
+	ret = ret .. '\n|}'
+	return ret
+end
+
+return p
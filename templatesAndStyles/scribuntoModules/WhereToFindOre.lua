@@ -0,0 +1,78 @@
+local p = {}
+local cargo = mw.ext.cargo
+
+-- Implements {{Where to find ore|ID of item}}, which calls {{#invoke: WhereToFindOre|Main}}
+-- and shows the table of biomes where this ore can be found (on which planets and tiers).
+-- Shows nothing if this item is not an ore.
+function p.Main( frame )
+	local args = frame.args
+	if not args[1] then
+		-- If called from a template like {{Where to find ore}} without parameters,
+		-- use parameters of the parent template instead.
+		args = frame:getParent().args
+	end
+
+	local id = args[1] or 'copperore'
+
+	-- Perform a SQL query to the Cargo database (see Special:CargoTables/ore_distribution).
+	local tables = 'ore_distribution,biome'
+	local fields = 'biome.name=biomeName,ore_distribution.planets=planets,ore_distribution.layers=layers,' ..
+		'ore_distribution.minTier=minTier,ore_distribution.maxTier=maxTier,ore_distribution.commonality=commonality'
+	local queryOpt = {
+		where = 'ore_distribution.id="' .. id .. '"',
+		join = 'ore_distribution.biome=biome.id',
+		orderBy = '(0+ore_distribution.minTier),biome.name',
+		limit = 5000
+	}
+	local rows = cargo.query( tables, fields, queryOpt ) or {}
+	if #rows == 0 then
+		-- Not an ore.
+		return ''
+	end
+
+	-- Query the "planet" table for human-readable names of planets.
+	local quotedPlanetTypes = {}
+	local seenPlanetTypes = {}
+	for _, row in ipairs( rows ) do
+		for _, planetCode in ipairs( mw.text.split( row.planets or '', ',' ) ) do
+			if planetCode ~= '' and not seenPlanetTypes[planetCode] then
+				seenPlanetTypes[planetCode] = true
+				table.insert( quotedPlanetTypes, '"' .. planetCode .. '"' )
+			end
+		end
+	end
+
+	local planetTypeToName = {} -- { planetCode: planetName, ... }
+	if #quotedPlanetTypes > 0 then
+		local planetQueryOpt = { where = 'id IN (' .. table.concat( quotedPlanetTypes, ',' ) .. ')' }
+		for _, row in ipairs( cargo.query( 'planet', 'id,name', planetQueryOpt ) or {} ) do
+			planetTypeToName[row.id] = row.name
+		end
+	end
+
+	local ret = '=== Where to find ===\n{| class="wikitable sortable"\n|-\n! Biome !! Planets !! Layers !! Tier !! Commonality\n'
+	for _, row in ipairs( rows ) do
+		local planetLinks = {}
+		for _, planetCode in ipairs( mw.text.split( row.planets or '', ',' ) ) do
+			if planetTypeToName[planetCode] then
+				table.insert( planetLinks, '[[' .. planetTypeToName[planetCode] .. ']]' )
+			end
+		end
+
+		local tier = row.minTier
+		if row.maxTier ~= row.minTier then
+			tier = row.minTier .. '-' .. row.maxTier
+		end
+
+		ret = ret .. '|-\n| ' .. frame:expandTemplate{ title = 'BiomeLink', args = { row.biomeName } } ..
+			' || ' .. table.concat( planetLinks, ', ' ) ..
+			' || ' .. string.gsub( row.layers or '', ',', ', ' ) ..
+			' || ' .. tier ..
+			' || ' .. ( row.commonality or '' ) .. '\n'
+	end
+
+	ret = ret .. '|}\n'
+	return ret
+end
+
+return p
@@ -0,0 +1,60 @@
+/**
+ * Show the differences between the results of two versions of the mod
+ * (snapshots saved by "generate.js --save", see SnapshotArchive).
+ *
+ * Usage:
+ * node diff_versions.js 6.3.0 6.4.1
+ * node diff_versions.js 6.4.1@1a2b3c4 6.4.1@5d6e7f8 --table=recipe
+ * node diff_versions.js 6.3.0 6.4.1 --format=json
+ * node diff_versions.js --list
+ */
+
+'use strict';
+
+const { argv, SnapshotArchive } = require( '../lib' ),
+	minimist = require( 'minimist' ),
+	process = require( 'process' );
+
+if ( argv.list ) {
+	for ( var snapshotInfo of SnapshotArchive.listSnapshots() ) {
+		console.log( SnapshotArchive.getId( snapshotInfo ) + ' (saved at ' + snapshotInfo.savedAt + ')' );
+	}
+	process.exit( 0 );
+}
+
+if ( argv._.length !== 2 || argv.help ) {
+	let usage = 'Usage: node diff_versions.js OldVersion NewVersion\n\n' +
+		'Version can be "6.4.1" (the latest snapshot of this version), "6.4.1@commit" or "commit".\n\nOptions:' +
+		'\n\t--list          List all stored snapshots.' +
+		'\n\t--table=T1,T2   Only compare these Cargo tables (e.g. "recipe" or "item,item_metadata").' +
+		'\n\t--format=json   Print the differences as JSON (see DiffableResult.diffAsObject()).' +
+		'\n';
+
+	process.stderr.write( usage );
+	process.exit( 1 );
+}
+
+// Not argv._, because minimist has converted numeric-looking arguments (like "7.10" or commit "4705e12") to numbers.
+var snapshotIds = minimist( process.argv.slice( 2 ), { string: [ '_' ] } )._;
+try {
+	// Report unknown/ambiguous versions before spending time on loading the snapshots.
+	snapshotIds.forEach( ( snapshotId ) => SnapshotArchive.find( snapshotId ) );
+} catch ( error ) {
+	process.stderr.write( error.message + '\n' );
+	process.exit( 1 );
+}
+
+var [ oldResult, newResult ] = snapshotIds.map( ( snapshotId ) => SnapshotArchive.load( snapshotId ) );
+
+if ( argv.table ) {
+	var tableNames = String( argv.table ).split( ',' );
+	for ( var result of [ oldResult, newResult ] ) {
+		result.tables = new Map( [...result.tables].filter( ( [ tableName ] ) => tableNames.includes( tableName ) ) );
+	}
+}
+
+if ( argv.format === 'json' ) {
+	console.log( JSON.stringify( newResult.diffAsObject( oldResult ), null, '\t' ) );
+} else {
+	process.stdout.write( newResult.diff( oldResult ) );
+}
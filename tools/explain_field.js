@@ -0,0 +1,82 @@
+/**
+ * Show where the value of some field of the asset came from:
+ * the file of the asset itself (from which mod) and every patch instruction that has modified this field.
+ *
+ * Usage:
+ * node explain_field.js items/generic/crafting/algaegreen.item /price
+ * node explain_field.js objects/minibiome/elder/elderdoor/elderdoor.object upgradeStages[0].itemSpawnParameters
+ */
+
+'use strict';
+
+const { argv, AssetDatabase, LoadedAsset } = require( '../lib' ),
+	lodash = require( 'lodash' ),
+	process = require( 'process' );
+
+if ( argv._.length !== 2 || argv.help ) {
+	process.stderr.write( 'Usage: node explain_field.js AssetFilename FieldPath\n\n' +
+		'FieldPath can be either JSON pointer (like "/upgradeStages/0/price") or "upgradeStages[0].price".\n' );
+	process.exit( 1 );
+}
+
+var [ filename, fieldPath ] = argv._.map( String );
+
+filename = filename.replace( /^\//, '' );
+if ( fieldPath[0] !== '/' ) {
+	// Convert "upgradeStages[0].price" into JSON pointer.
+	fieldPath = lodash.toPath( fieldPath ).map( ( key ) => '/' + key.replace( /~/g, '~0' ).replace( /\//g, '~1' ) ).join( '' );
+}
+
+AssetDatabase.load();
+
+var asset = AssetDatabase.knownAssets.get( filename );
+if ( !asset ) {
+	process.stderr.write( 'Asset not found: ' + filename + '\n' );
+	process.exit( 1 );
+}
+
+// Load this asset again, this time remembering which file/patch has modified each field.
+var trackedAsset = new LoadedAsset( AssetDatabase, {
+	filename: asset.filename,
+	absolutePath: asset.absolutePath,
+	source: asset.source,
+	vanilla: asset.vanilla,
+	type: asset.type,
+	trackProvenance: true
+} );
+if ( !trackedAsset.loadNow() ) {
+	process.stderr.write( 'Failed to load asset: ' + asset.absolutePath + '\n' );
+	process.exit( 1 );
+}
+
+var keys = trackedAsset.parseJsonPointer( fieldPath ),
+	finalValue = trackedAsset.getValueByPointer( trackedAsset.data, keys );
+
+console.log( filename + ' ' + fieldPath + ' = ' + ( finalValue === undefined ? 'not set' : JSON.stringify( finalValue ) ) );
+if ( asset.overwrittenVanilla ) {
+	console.log( 'Note: the mod has replaced the vanilla asset with the same filename.' );
+}
+
+trackedAsset.getProvenance( fieldPath ).forEach( ( record, index ) => {
+	var line = ( index + 1 ) + '. ' + record.filename;
+	if ( record.instructionIndex !== null ) {
+		line += ', instruction #' + record.instructionIndex;
+	}
+
+	var recordPointer = record.path.map( ( key ) => '/' + key ).join( '' );
+	if ( record.op !== 'load' ) {
+		line += ': ' + record.op + ' ' + ( record.from ? record.from.map( ( key ) => '/' + key ).join( '' ) + ' -> ' : '' ) +
+			recordPointer;
+	}
+
+	if ( record.value !== undefined ) {
+		// If this operation has modified the parent of the field, then show only the value of the field.
+		var relativeKeys = keys.slice( record.path.length ),
+			value = trackedAsset.getValueByPointer( record.value, relativeKeys );
+
+		line += ' (' + ( relativeKeys.length > 0 ? fieldPath : recordPointer || '/' ) + ' = ' +
+			( value === undefined ? 'not set' : JSON.stringify( value ) ) + ')';
+	}
+
+	console.log( line );
+} );
@@ -0,0 +1,72 @@
+/**
+ * Find recipe combinations that can be exploited: infinite resource loops (cycles of recipes that produce more
+ * than they consume), recipes that create items from nothing, and items that can be bought in a shop
+ * and sold for more pixels (see RecipeExploitFinder).
+ *
+ * Usage:
+ * node find_recipe_exploits.js
+ * node find_recipe_exploits.js --max-length=6 --format=json
+ */
+
+'use strict';
+
+const { argv, RecipeExploitFinder, util } = require( '../lib' ),
+	process = require( 'process' );
+
+if ( argv.help ) {
+	let usage = 'Usage: node find_recipe_exploits.js\n\nOptions:' +
+		'\n\t--max-length=N   Maximum number of recipes in the cycle (default: 4).' +
+		'\n\t--format=json    Print the results as JSON.' +
+		'\n';
+
+	process.stderr.write( usage );
+	process.exit( 1 );
+}
+
+var exploits = new RecipeExploitFinder( Number( argv['max-length'] ) || 4 ).findAll();
+
+/**
+ * Get human-readable description of the recipe, including the file where it is defined.
+ *
+ * @param {Recipe} recipe
+ * @return {string}
+ */
+function describeRecipe( recipe ) {
+	return recipe.station + ' (' + ( recipe.filename || 'unknown file' ) + '): ' +
+		recipe.inputs.getAllCodes().join( ' + ' ) + ' → ' + recipe.outputs.getAllCodes().join( ' + ' );
+}
+
+if ( argv.format === 'json' ) {
+	// Replace Recipe objects with their descriptions.
+	for ( var exploitList of Object.values( exploits ) ) {
+		for ( var exploit of exploitList ) {
+			if ( exploit.recipe ) {
+				exploit.recipe = describeRecipe( exploit.recipe );
+			}
+			if ( exploit.recipes ) {
+				exploit.recipes = exploit.recipes.map( describeRecipe );
+			}
+		}
+	}
+
+	console.log( JSON.stringify( exploits, null, '\t' ) );
+	process.exit( 0 );
+}
+
+console.log( '== Infinite resource loops (' + exploits.cycles.length + ') ==' );
+for ( var cycle of exploits.cycles ) {
+	console.log( cycle.items.join( ' → ' ) + ': gain ×' + util.trimFloatNumber( cycle.gain, 3 ) );
+	cycle.recipes.forEach( ( recipe ) => console.log( '\t' + describeRecipe( recipe ) ) );
+}
+
+console.log( '\n== Items from nothing (' + exploits.fromNothing.length + ') ==' );
+for ( var fromNothing of exploits.fromNothing ) {
+	console.log( fromNothing.items.join( ', ' ) + '\n\t' + describeRecipe( fromNothing.recipe ) );
+}
+
+console.log( '\n== Pixel arbitrage (' + exploits.arbitrage.length + ') ==' );
+for ( var arbitrage of exploits.arbitrage ) {
+	console.log( 'Buy ' + arbitrage.items.join( ' + ' ) + ' for ' + util.trimFloatNumber( arbitrage.cost, 2 ) +
+		' pixels, sell for ' + util.trimFloatNumber( arbitrage.income, 2 ) + ' pixels' );
+	arbitrage.recipes.forEach( ( recipe ) => console.log( '\t' + describeRecipe( recipe ) ) );
+}
@@ -0,0 +1,68 @@
+/**
+ * Find the changes of items (price, stats, recipes, etc.) in every Git commit of the mod within some range of commits,
+ * and write them into the import file for Pywikibot as "item_history" Cargo table
+ * (see templatesAndStyles/Automatic_item_history.template).
+ *
+ * Usage:
+ * node item_history.js v6.3.0 HEAD
+ * node item_history.js 1a2b3c4 5d6e7f8 --print
+ *
+ * Note: the results include only the specified range of commits, so Chunk pages from the previous runs
+ * will be overwritten. To keep the full history, always use the same first commit.
+ */
+
+'use strict';
+
+const { argv, config, CargoSchema, ChunkWriter, ItemHistoryTracker, ResultsWriter } = require( '../lib' ),
+	fs = require( 'fs' ),
+	minimist = require( 'minimist' ),
+	process = require( 'process' );
+
+if ( argv._.length !== 2 || argv.help ) {
+	let usage = 'Usage: node item_history.js FromCommit ToCommit\n\n' +
+		'Commits are in the Git repository of config.pathToMod (can be tags, branches, etc.).\n\nOptions:' +
+		'\n\t--print   Print the changes instead of writing the import file.' +
+		'\n';
+
+	process.stderr.write( usage );
+	process.exit( 1 );
+}
+
+// Not argv._, because minimist has converted numeric-looking commits (like "4705e12") to numbers.
+var [ fromCommit, toCommit ] = minimist( process.argv.slice( 2 ), { string: [ '_' ] } )._,
+	rows = new ItemHistoryTracker().run( fromCommit, toCommit );
+
+if ( argv.print ) {
+	for ( var row of rows ) {
+		var fields = row.fields;
+		console.log( fields.get( 'version' ) + ' ' + fields.get( 'commit' ).slice( 0, 10 ) + ' ' + fields.get( 'id' ) +
+			' ' + fields.get( 'field' ) + ': ' + ( fields.get( 'oldValue' ) || '' ) + ' → ' + ( fields.get( 'newValue' ) || '' ) );
+	}
+	process.exit( 0 );
+}
+
+var chunkWriter = new ChunkWriter( {
+	groups: {
+		history: {
+			idxPattern: 'history/$1',
+			chunksCount: config.cargoChunksCount.history
+		}
+	}
+} );
+
+for ( var historyRow of rows ) {
+	CargoSchema.validate( historyRow );
+
+	// All changes of the same item are in the same chunk.
+	chunkWriter.write( 'history', historyRow.fields.get( 'id' ), historyRow.toWikitext() );
+}
+
+var importText = '';
+chunkWriter.finalize( ( chunkName, contents ) => {
+	importText += ResultsWriter.wrapPage( 'Template:Cargo/' + chunkName, contents );
+} );
+
+var outputFilename = ResultsWriter.outputDir + '/itemHistory.import.txt';
+fs.writeFileSync( outputFilename, importText );
+
+console.log( 'Found ' + rows.length + ' changes. Written into ' + outputFilename );
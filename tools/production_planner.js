@@ -0,0 +1,33 @@
+/**
+ * Calculate how many crafting stations (Extraction Labs, Centrifuges, Smelters, etc.) are needed at each stage
+ * of the production chain to produce N items per minute of some item (see ProductionPlanner).
+ *
+ * Usage:
+ * node production_planner.js copperbar 60
+ * node production_planner.js fu_carbon 30 --format=json
+ */
+
+'use strict';
+
+const { argv, ProductionPlanner } = require( '../lib' ),
+	process = require( 'process' );
+
+var [ itemCode, itemsPerMinute ] = argv._;
+itemsPerMinute = Number( itemsPerMinute );
+
+if ( argv._.length !== 2 || !( itemsPerMinute > 0 ) || argv.help ) {
+	let usage = 'Usage: node production_planner.js ItemCode ItemsPerMinute\n\nOptions:' +
+		'\n\t--format=json   Print the plan as JSON instead of wikitext.' +
+		'\n';
+
+	process.stderr.write( usage );
+	process.exit( 1 );
+}
+
+var plan = new ProductionPlanner( String( itemCode ), itemsPerMinute ).plan();
+
+if ( argv.format === 'json' ) {
+	console.log( JSON.stringify( plan, null, '\t' ) );
+} else {
+	process.stdout.write( ProductionPlanner.toWikitext( plan ) );
+}